@@ -176,10 +176,13 @@ contract Router is IRouter, EIP712, ReentrancyGuard {
         emit OrderCancelled(orderHash, maker, clobPair);
     }
 
+    // Batch entry points are not nonReentrant themselves: each leg re-enters through
+    // the guarded external function, and msg.sender is then the Router, so every
+    // leg must carry the maker's EIP-712 signature.
     function batchPlaceLimitOrders(
         OrderStructs.LimitOrder[] calldata orders,
         bytes[] calldata signatures
-    ) external override nonReentrant {
+    ) external override {
         require(orders.length == signatures.length, "Router: length mismatch");
         require(orders.length > 0, "Router: empty");
 
@@ -189,6 +192,8 @@ contract Router is IRouter, EIP712, ReentrancyGuard {
                 successCount++;
             } catch Error(string memory reason) {
                 emit BatchFailed(i, reason);
+            } catch {
+                emit BatchFailed(i, "Router: leg reverted");
             }
         }
         emit BatchOrdersPlaced(msg.sender, successCount);
@@ -197,7 +202,7 @@ contract Router is IRouter, EIP712, ReentrancyGuard {
     function batchCancelOrders(
         OrderStructs.LimitOrder[] calldata orders,
         bytes[] calldata signatures
-    ) external override nonReentrant {
+    ) external override {
         require(orders.length == signatures.length, "Router: length mismatch");
         require(orders.length > 0, "Router: empty");
 
@@ -207,6 +212,8 @@ contract Router is IRouter, EIP712, ReentrancyGuard {
                 successCount++;
             } catch Error(string memory reason) {
                 emit BatchFailed(i, reason);
+            } catch {
+                emit BatchFailed(i, "Router: leg reverted");
             }
         }
         emit BatchOrdersCancelled(msg.sender, successCount);
@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.26;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+import "../src/Router.sol";
+import "../src/ClobPair.sol";
+import "../src/Vault.sol";
+import "../src/libraries/OrderStructs.sol";
+
+contract TestToken is ERC20 {
+    constructor(string memory symbol) ERC20(symbol, symbol) {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+/// Batch entry points keep going past a failing leg: one leg reverts, the other lands.
+contract RouterBatchTest is Test {
+    event BatchOrdersPlaced(address indexed maker, uint256 orderCount);
+    event BatchOrdersCancelled(address indexed maker, uint256 orderCount);
+    event BatchFailed(uint256 index, string reason);
+
+    uint256 constant TICK = 1e16;
+    uint64 constant SIZE = 1e18;
+    uint256 constant MAKER_KEY = 0xA11CE;
+
+    Router router;
+    Vault vault;
+    ClobPair pair;
+    TestToken base;
+    TestToken quote;
+    address maker;
+
+    function setUp() public {
+        maker = vm.addr(MAKER_KEY);
+        TestToken a = new TestToken("AAA");
+        TestToken b = new TestToken("BBB");
+        (base, quote) = address(a) < address(b) ? (a, b) : (b, a);
+
+        vault = new Vault(address(this));
+        // Orders name their clobPair, so the Router never has to ask the factory
+        router = new Router(address(0xFAC7));
+        pair = new ClobPair(address(base), address(quote), TICK, address(vault), address(router));
+
+        vault.proposeAddSupportedToken(address(base));
+        vault.proposeAddSupportedToken(address(quote));
+        vault.proposeAuthorizeExecutor(address(pair), true);
+        vm.warp(block.timestamp + vault.TIMELOCK_DURATION());
+        vault.executeAddSupportedToken(address(base));
+        vault.executeAddSupportedToken(address(quote));
+        vault.executeAuthorizeExecutor(address(pair), true);
+
+        base.mint(maker, 10 * uint256(SIZE));
+        vm.startPrank(maker);
+        base.approve(address(vault), type(uint256).max);
+        vault.deposit(address(base), 10 * uint256(SIZE));
+        vm.stopPrank();
+    }
+
+    function _order(uint256 nonce, uint256 price) internal view returns (OrderStructs.LimitOrder memory) {
+        return OrderStructs.LimitOrder({
+            maker: maker,
+            baseToken: address(base),
+            quoteToken: address(quote),
+            clobPair: address(pair),
+            baseAmount: SIZE,
+            price: price,
+            isSellBase: true,
+            expiry: 0,
+            nonce: nonce
+        });
+    }
+
+    function _digest(bytes32 structHash) internal view returns (bytes32) {
+        bytes32 domain = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("ClobRouter"),
+            keccak256("1"),
+            block.chainid,
+            address(router)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domain, structHash));
+    }
+
+    function _orderDigest(OrderStructs.LimitOrder memory o) internal view returns (bytes32) {
+        return _digest(keccak256(abi.encode(
+            OrderStructs.LIMIT_ORDER_TYPEHASH,
+            o.maker, o.baseToken, o.quoteToken, o.clobPair, o.baseAmount, o.price, o.isSellBase, o.expiry, o.nonce
+        )));
+    }
+
+    function _sign(bytes32 digest) internal pure returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(MAKER_KEY, digest);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function testBatchPlaceSkipsRevertingLeg() public {
+        OrderStructs.LimitOrder[] memory orders = new OrderStructs.LimitOrder[](2);
+        bytes[] memory sigs = new bytes[](2);
+        orders[0] = _order(1, 1e18);
+        sigs[0] = _sign(_orderDigest(orders[0]));
+        orders[1] = _order(1, 2e18); // nonce already used by leg 0
+        sigs[1] = _sign(_orderDigest(orders[1]));
+
+        vm.expectEmit(address(router));
+        emit BatchFailed(1, "Router: invalid nonce");
+        vm.expectEmit(address(router));
+        emit BatchOrdersPlaced(address(this), 1);
+        router.batchPlaceLimitOrders(orders, sigs);
+
+        assertEq(router.userNonces(maker), 2);
+        assertEq(pair.getUserOrders(maker).length, 1);
+        assertEq(vault.getLockedBalance(maker, address(base)), SIZE);
+    }
+
+    function testBatchPlaceCatchesCustomErrors() public {
+        OrderStructs.LimitOrder[] memory orders = new OrderStructs.LimitOrder[](2);
+        bytes[] memory sigs = new bytes[](2);
+        orders[0] = _order(1, 1e18);
+        sigs[0] = hex"01"; // ECDSA reverts with a custom error, not Error(string)
+        orders[1] = _order(2, 1e18);
+        sigs[1] = _sign(_orderDigest(orders[1]));
+
+        vm.expectEmit(address(router));
+        emit BatchFailed(0, "Router: leg reverted");
+        vm.expectEmit(address(router));
+        emit BatchOrdersPlaced(address(this), 1);
+        router.batchPlaceLimitOrders(orders, sigs);
+
+        assertEq(pair.getUserOrders(maker).length, 1);
+    }
+
+    function testBatchCancelSkipsRevertingLeg() public {
+        OrderStructs.LimitOrder memory resting = _order(1, 1e18);
+        vm.prank(maker);
+        bytes32 orderHash = router.placeLimitOrder(resting, "");
+
+        OrderStructs.LimitOrder[] memory orders = new OrderStructs.LimitOrder[](2);
+        bytes[] memory sigs = new bytes[](2);
+        orders[0] = _order(7, 3e18); // never placed
+        orders[1] = resting;
+        for (uint256 i = 0; i < 2; i++) {
+            bytes32 cancelHash = keccak256(abi.encode(
+                OrderStructs.CANCEL_ORDER_TYPEHASH, _orderDigest(orders[i]), orders[i].nonce
+            ));
+            sigs[i] = _sign(_digest(cancelHash));
+        }
+
+        vm.expectEmit(address(router));
+        emit BatchFailed(0, "Router: order not found");
+        vm.expectEmit(address(router));
+        emit BatchOrdersCancelled(address(this), 1);
+        router.batchCancelOrders(orders, sigs);
+
+        // Cancelling drops the hash from getUserOrders; the final status stays readable
+        assertEq(pair.getUserOrders(maker).length, 0);
+        assertEq(uint8(pair.getOrderInfo(orderHash).status), uint8(OrderStructs.OrderStatus.CANCELLED));
+        assertEq(vault.getLockedBalance(maker, address(base)), 0);
+    }
+}
@@ -2,6 +2,8 @@ import React from 'react';
 import { Helmet } from 'react-helmet';
 import { Toaster } from '@/components/ui/toaster';
 import TradingDashboard from '@/components/TradingDashboard';
+import { TradingProvider } from '@/hooks/useTrading';
+import { ContractsProvider } from '@/hooks/useContracts';
 
 function App() {
   return (
@@ -14,7 +16,11 @@ function App() {
       </Helmet>
       
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-indigo-900">
-        <TradingDashboard />
+        <ContractsProvider>
+          <TradingProvider>
+            <TradingDashboard />
+          </TradingProvider>
+        </ContractsProvider>
         <Toaster />
       </div>
     </>
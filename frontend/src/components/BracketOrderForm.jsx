@@ -0,0 +1,138 @@
+// src/components/BracketOrderForm.jsx
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { useConditionalOrders } from '@/hooks/useConditionalOrders';
+import { validateBracket } from '@/lib/ocoOrders';
+
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+
+/**
+ * Bracket order: a limit entry plus, once it fills, a take-profit limit and a
+ * stop-loss linked one-cancels-other. The exit legs are managed by the conditional
+ * engine, so they only arm while the app is open.
+ */
+const BracketOrderForm = ({ pairAddress }) => {
+  const { account, signer } = useWeb3();
+  const { client, placeLimitOrder, loading } = useContracts(signer);
+  const meta = usePairMeta(pairAddress);
+  const { addBracket, ready } = useConditionalOrders();
+
+  const [side, setSide] = useState('buy');
+  const [amount, setAmount] = useState('');
+  const [entryPrice, setEntryPrice] = useState('');
+  const [takeProfitPrice, setTakeProfitPrice] = useState('');
+  const [stopPrice, setStopPrice] = useState('');
+  const [stopTrigger, setStopTrigger] = useState('last');
+  const [slippageBps, setSlippageBps] = useState('50');
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!account || !meta) return;
+    const params = { side, amount, entryPrice, takeProfitPrice, stopPrice };
+    try {
+      validateBracket(params);
+    } catch (err) {
+      toast({ title: "Invalid bracket", description: err?.message, variant: "destructive" });
+      return;
+    }
+
+    let placed;
+    try {
+      const tx = await placeLimitOrder({
+        maker: account,
+        baseToken: meta.base,
+        quoteToken: meta.quote,
+        baseAmountHuman: amount,
+        baseDecimals: meta.baseDecimals,
+        priceHuman: entryPrice,
+        isSellBase: side === 'sell',
+        pairAddress,
+        autoFund: true,
+        usePermit: true
+      });
+      placed = client.parsePlacementReceipt(await tx.wait(), account);
+    } catch (err) {
+      console.error("bracket entry failed:", err);
+      return;
+    }
+
+    addBracket({
+      ...params, pair: pairAddress, stopTrigger, slippageBps,
+      entryOrderHash: placed.orderHash,
+      entryRested: placed.rested,
+      entryFilledRaw: placed.filledBase
+    });
+    toast({
+      title: "Bracket entry placed",
+      description: placed.rested ? "Exits arm once the entry fills" : "Entry filled; arming exits"
+    });
+    setAmount('');
+  };
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center gap-2 mb-3">
+        <span className="text-sm font-semibold text-white mr-2">Bracket order</span>
+        <Button
+          variant={side === 'buy' ? 'default' : 'secondary'}
+          className={`h-7 px-3 ${side === 'buy' ? '' : 'opacity-60'}`}
+          onClick={() => setSide('buy')}
+        >
+          Buy
+        </Button>
+        <Button
+          variant={side === 'sell' ? 'default' : 'secondary'}
+          className={`h-7 px-3 ${side === 'sell' ? '' : 'opacity-60'}`}
+          onClick={() => setSide('sell')}
+        >
+          Sell
+        </Button>
+      </div>
+
+      <form onSubmit={onSubmit} className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <div className="text-slate-400 mb-1">Entry price</div>
+            <input className={inputCls} value={entryPrice} onChange={(e) => setEntryPrice(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Size ({meta?.baseSymbol ?? 'base'})</div>
+            <input className={inputCls} value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Take-profit</div>
+            <input className={inputCls} value={takeProfitPrice} onChange={(e) => setTakeProfitPrice(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Stop-loss</div>
+            <input className={inputCls} value={stopPrice} onChange={(e) => setStopPrice(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Stop trigger</div>
+            <select className={inputCls} value={stopTrigger} onChange={(e) => setStopTrigger(e.target.value)}>
+              <option value="last">Last fill</option>
+              <option value="book">Best bid/ask</option>
+            </select>
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Stop slippage (bps)</div>
+            <input className={inputCls} value={slippageBps} onChange={(e) => setSlippageBps(e.target.value)} />
+          </div>
+        </div>
+        <div className="text-slate-400">
+          {side === 'buy' ? 'Take-profit above, stop below the entry.' : 'Take-profit below, stop above the entry.'}
+          {' '}Exits are sized to what the entry actually filled.
+        </div>
+        <Button type="submit" className="w-full h-9" disabled={!ready || !meta || loading}>
+          {loading ? 'Submitting…' : 'Place bracket'}
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default BracketOrderForm;
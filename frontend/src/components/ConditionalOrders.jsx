@@ -0,0 +1,184 @@
+// src/components/ConditionalOrders.jsx
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { useConditionalOrders } from '@/hooks/useConditionalOrders';
+import { CONDITIONAL_KINDS, referencePrice, triggerDirection } from '@/lib/conditionalOrders';
+
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+
+const KIND_LABELS = { 'stop-loss': 'Stop-loss', 'take-profit': 'Take-profit', 'stop-limit': 'Stop-limit' };
+const short = (h) => `${h.slice(0, 8)}…${h.slice(-6)}`;
+const STATUS_STYLES = {
+  active: 'text-sky-300',
+  triggering: 'text-amber-300',
+  done: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-slate-500'
+};
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+
+/**
+ * Create and monitor client-side conditional orders for the selected pair, optionally
+ * one-cancels-other with a resting order, plus the brackets built on them.
+ * They are kept in this browser and only fire while the app is open.
+ */
+const ConditionalOrders = ({ pairAddress }) => {
+  const { account, signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const meta = usePairMeta(pairAddress);
+  const { orders, prices, add, cancel, remove, clearFinished, ready } = useConditionalOrders();
+
+  const [kind, setKind] = useState('stop-loss');
+  const [side, setSide] = useState('sell');
+  const [triggerPrice, setTriggerPrice] = useState('');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [amount, setAmount] = useState('');
+  const [trigger, setTrigger] = useState('last');
+  const [slippageBps, setSlippageBps] = useState('50');
+  const [ocoWith, setOcoWith] = useState('');
+  const [restingOrders, setRestingOrders] = useState([]);
+
+  const pairPrices = pairAddress ? prices.get(pairAddress.toLowerCase()) : null;
+  const mine = orders.filter(o =>
+    o.pair.toLowerCase() === pairAddress?.toLowerCase() && (CONDITIONAL_KINDS.includes(o.kind) || o.kind === 'bracket'));
+
+  // Resting orders that can be OCO-linked: same side as the conditional order
+  useEffect(() => {
+    if (!client || !pairAddress || !account) { setRestingOrders([]); return; }
+    let cancelled = false;
+    client.getUserOrders(pairAddress, account)
+      .then(list => { if (!cancelled) setRestingOrders(list.filter(o => o.exists)); })
+      .catch(e => console.error("load user orders failed:", e));
+    return () => { cancelled = true; };
+  }, [client, pairAddress, account, orders.length]);
+  const linkable = restingOrders.filter(o => o.isBid === (side === 'buy'));
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    try {
+      add({
+        pair: pairAddress, kind, side, amount, triggerPrice, limitPrice, trigger, slippageBps,
+        ...(ocoWith ? { ocoOrderHash: ocoWith } : {})
+      });
+      setTriggerPrice('');
+      setAmount('');
+      setOcoWith('');
+    } catch (err) {
+      toast({ title: "Invalid conditional order", description: err?.message, variant: "destructive" });
+    }
+  };
+
+  const draft = { kind, side, trigger };
+  const dir = triggerDirection(draft);
+  const ref = pairPrices ? referencePrice(draft, pairPrices) : null;
+  const refLabel = trigger === 'book' ? (side === 'sell' ? 'best bid' : 'best ask') : 'last price';
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">Conditional Orders</h3>
+        <button className="text-xs text-sky-400" onClick={clearFinished}>Clear finished</button>
+      </div>
+
+      <form onSubmit={onSubmit} className="space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <select className={inputCls} value={kind} onChange={(e) => setKind(e.target.value)}>
+            {Object.entries(KIND_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <select className={inputCls} value={side} onChange={(e) => setSide(e.target.value)}>
+            <option value="sell">Sell</option>
+            <option value="buy">Buy</option>
+          </select>
+          <input className={inputCls} placeholder="Trigger price" value={triggerPrice} onChange={(e) => setTriggerPrice(e.target.value)} />
+          <select className={inputCls} value={trigger} onChange={(e) => setTrigger(e.target.value)}>
+            <option value="last">Last fill</option>
+            <option value="book">Best bid/ask</option>
+          </select>
+          <input className={inputCls} placeholder={`Amount (${meta?.baseSymbol ?? 'base'})`} value={amount} onChange={(e) => setAmount(e.target.value)} />
+          {kind === 'stop-limit' ? (
+            <input className={inputCls} placeholder="Limit price" value={limitPrice} onChange={(e) => setLimitPrice(e.target.value)} />
+          ) : (
+            <input className={inputCls} placeholder="Slippage (bps)" value={slippageBps} onChange={(e) => setSlippageBps(e.target.value)} />
+          )}
+        </div>
+        <select className={inputCls} value={ocoWith} onChange={(e) => setOcoWith(e.target.value)}>
+          <option value="">No OCO link</option>
+          {linkable.map(o => (
+            <option key={o.hash} value={o.hash}>
+              OCO with {o.isBid ? 'BUY' : 'SELL'} {format18(o.price)} ({short(o.hash)})
+            </option>
+          ))}
+        </select>
+        <div className="text-slate-400">
+          Fires when the {refLabel} is {dir === 'below' ? '≤' : '≥'} the trigger
+          {ref !== null && ref !== undefined ? ` (now ${format18(ref)})` : ''}.
+        </div>
+        <Button type="submit" className="w-full h-8" disabled={!ready || !pairAddress}>
+          Add {KIND_LABELS[kind].toLowerCase()}
+        </Button>
+      </form>
+
+      <div className="space-y-2 mt-3 max-h-72 overflow-auto">
+        {mine.length === 0 ? <div className="text-slate-500">No conditional orders on this pair</div> :
+          [...mine].reverse().map(o => o.kind === 'bracket' ? (
+            <div key={o.id} className="border border-slate-700/50 rounded p-2 text-slate-300">
+              <div className="flex justify-between">
+                <span>
+                  <span className={o.side === 'buy' ? 'text-green-400' : 'text-red-400'}>{o.side.toUpperCase()}</span>
+                  {' '}{o.amount} {meta?.baseSymbol ?? ''} · Bracket
+                </span>
+                <span className={STATUS_STYLES[o.status]}>{o.status === 'active' ? 'waiting for entry' : o.status}</span>
+              </div>
+              <div>Entry {o.entryPrice} · TP {o.takeProfitPrice} · SL {o.stopPrice}</div>
+              <div className="text-slate-500 truncate" title={o.entryOrderHash}>Entry: {short(o.entryOrderHash)}</div>
+              {o.note && <div className="text-slate-400">{o.note}</div>}
+              {o.error && <div className="text-red-400">{o.error}</div>}
+              <div className="flex gap-3 mt-1">
+                {o.status === 'active' && (
+                  <button className="text-sky-400" title="Stops watching; the entry order stays on the book" onClick={() => cancel(o.id)}>Detach</button>
+                )}
+                {o.status !== 'active' && o.status !== 'triggering' && (
+                  <button className="text-slate-400" onClick={() => remove(o.id)}>Remove</button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div key={o.id} className="border border-slate-700/50 rounded p-2 text-slate-300">
+              <div className="flex justify-between">
+                <span>
+                  <span className={o.side === 'buy' ? 'text-green-400' : 'text-red-400'}>{o.side.toUpperCase()}</span>
+                  {' '}{o.amount} {meta?.baseSymbol ?? ''} · {KIND_LABELS[o.kind]}
+                </span>
+                <span className={STATUS_STYLES[o.status]}>{o.status}</span>
+              </div>
+              <div>
+                Trigger: {o.trigger === 'book' ? (o.side === 'sell' ? 'bid' : 'ask') : 'last'} {triggerDirection(o) === 'below' ? '≤' : '≥'} {o.triggerPrice}
+                {o.limitPrice ? ` → limit ${o.limitPrice}` : ` → market, ${o.slippageBps} bps`}
+              </div>
+              {o.ocoOrderHash && <div className="text-slate-500" title={o.ocoOrderHash}>OCO with {short(o.ocoOrderHash)}</div>}
+              {o.note && <div className="text-slate-400">{o.note}</div>}
+              {o.observedPrice && <div className="text-slate-500">Fired at {o.observedPrice}</div>}
+              {o.txHash && <div className="text-slate-500 truncate" title={o.txHash}>Tx: {o.txHash}</div>}
+              {o.error && <div className="text-red-400">{o.error}</div>}
+              <div className="flex gap-3 mt-1">
+                {o.status === 'active' && <button className="text-sky-400" onClick={() => cancel(o.id)}>Cancel</button>}
+                {o.status !== 'active' && o.status !== 'triggering' && (
+                  <button className="text-slate-400" onClick={() => remove(o.id)}>Remove</button>
+                )}
+              </div>
+            </div>
+          ))
+        }
+      </div>
+    </div>
+  );
+};
+
+export default ConditionalOrders;
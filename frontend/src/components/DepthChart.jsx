@@ -0,0 +1,127 @@
+// src/components/DepthChart.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { buildDepthSeries } from '@/lib/bookGrouping';
+
+const W = 600;
+const H = 200;
+
+const num18 = (x) => Number(ethers.formatUnits(x, 18));
+const fmt = (x) => (Number.isFinite(x) ? x.toLocaleString(undefined, { maximumFractionDigits: 6 }) : '—');
+
+/**
+ * Cumulative bid/ask depth as stepped areas, with markers for the connected
+ * account's resting orders. `book` is the live useOrderBook state.
+ */
+const DepthChart = ({ pairAddress, book, meta }) => {
+  const { account, signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [myOrders, setMyOrders] = useState([]);
+  const [hover, setHover] = useState(null);
+
+  const baseDecimals = meta?.baseDecimals ?? 18;
+  const quoteDecimals = meta?.quoteDecimals ?? 18;
+
+  // Own resting orders, refreshed whenever the book advances
+  useEffect(() => {
+    if (!client || !pairAddress || !account) { setMyOrders([]); return; }
+    let cancelled = false;
+    client.getUserOrders(pairAddress, account)
+      .then(list => { if (!cancelled) setMyOrders(list.filter(o => o.exists)); })
+      .catch(e => console.error("load user orders failed:", e));
+    return () => { cancelled = true; };
+  }, [client, pairAddress, account, book.lastBlock]);
+
+  const chart = useMemo(() => {
+    const series = buildDepthSeries(book, book.tickSize);
+    const toPoint = (p) => ({
+      price: num18(p.price),
+      cumBase: Number(ethers.formatUnits(p.cumQty, baseDecimals)),
+      cumQuote: Number(ethers.formatUnits(p.cumQuote, quoteDecimals))
+    });
+    const bids = series.bids.map(toPoint);
+    const asks = series.asks.map(toPoint);
+    const all = [...bids, ...asks];
+    if (!all.length) return null;
+
+    const minP = Math.min(...all.map(p => p.price));
+    const maxP = Math.max(...all.map(p => p.price));
+    const span = maxP - minP || maxP || 1;
+    const lo = minP - span * 0.05;
+    const hi = maxP + span * 0.05;
+    const maxY = Math.max(...all.map(p => p.cumBase)) || 1;
+    const x = (price) => ((price - lo) / (hi - lo)) * W;
+    const y = (v) => H - (v / maxY) * (H - 10);
+
+    // Step outwards from the spread: depth stays flat until the next level
+    const path = (pts, edge) => {
+      if (!pts.length) return '';
+      let d = `M ${x(pts[0].price)} ${H}`;
+      let prevY = H;
+      for (const p of pts) {
+        d += ` L ${x(p.price)} ${prevY} L ${x(p.price)} ${y(p.cumBase)}`;
+        prevY = y(p.cumBase);
+      }
+      return `${d} L ${edge} ${prevY} L ${edge} ${H} Z`;
+    };
+
+    return { bids, asks, x, lo, hi, bidPath: path(bids, 0), askPath: path(asks, W) };
+  }, [book, baseDecimals, quoteDecimals]);
+
+  const onMove = (e) => {
+    if (!chart) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const price = chart.lo + ((e.clientX - rect.left) / rect.width) * (chart.hi - chart.lo);
+    // The deepest level on the hovered side that is at least as good as the cursor price
+    const bid = [...chart.bids].reverse().find(p => p.price >= price);
+    const ask = [...chart.asks].reverse().find(p => p.price <= price);
+    const bestAsk = chart.asks[0]?.price ?? Infinity;
+    setHover(price >= bestAsk ? (ask ? { side: 'ask', ...ask } : null) : (bid ? { side: 'bid', ...bid } : null));
+  };
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-white">Depth</h3>
+        <div className="text-xs text-slate-400 font-mono">
+          {hover
+            ? <span className={hover.side === 'bid' ? 'text-green-400' : 'text-red-400'}>
+                {fmt(hover.price)} · Σ {fmt(hover.cumBase)} {meta?.baseSymbol ?? 'base'} · Σ {fmt(hover.cumQuote)} {meta?.quoteSymbol ?? 'quote'}
+              </span>
+            : `${myOrders.length} own order${myOrders.length === 1 ? '' : 's'}`}
+        </div>
+      </div>
+      <div className="h-48 w-full rounded-md bg-slate-800/40 border border-slate-700/50">
+        {chart ? (
+          <svg
+            viewBox={`0 0 ${W} ${H}`}
+            preserveAspectRatio="none"
+            className="w-full h-full"
+            onMouseMove={onMove}
+            onMouseLeave={() => setHover(null)}
+          >
+            <path d={chart.bidPath} fill="rgba(74,222,128,0.2)" stroke="#4ade80" strokeWidth={1} />
+            <path d={chart.askPath} fill="rgba(248,113,113,0.2)" stroke="#f87171" strokeWidth={1} />
+            {myOrders.map(o => {
+              const px = chart.x(num18(o.price));
+              return (
+                <g key={o.hash}>
+                  <line x1={px} x2={px} y1={0} y2={H} stroke={o.isBid ? '#4ade80' : '#f87171'} strokeDasharray="3 3" strokeWidth={1} />
+                  <circle cx={px} cy={6} r={3} fill={o.isBid ? '#4ade80' : '#f87171'} />
+                </g>
+              );
+            })}
+          </svg>
+        ) : (
+          <div className="h-full flex items-center justify-center text-slate-400 text-xs">
+            {pairAddress ? 'Book is empty' : 'No pair selected'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DepthChart;
@@ -0,0 +1,155 @@
+// src/components/ExecutionOrders.jsx
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { useConditionalOrders } from '@/hooks/useConditionalOrders';
+import { EXECUTION_KINDS, canCancelExecution, executionProgress } from '@/lib/executionScheduler';
+
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+
+const KIND_LABELS = { twap: 'TWAP', iceberg: 'Iceberg' };
+const STATUS_STYLES = {
+  active: 'text-sky-300',
+  triggering: 'text-amber-300',
+  paused: 'text-amber-300',
+  done: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-slate-500'
+};
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+
+function countdown(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+/**
+ * Slice a large order into child limit orders: TWAP (equal slices over time) or
+ * iceberg (one visible clip, replenished as it fills). Runs in this browser only.
+ */
+const ExecutionOrders = ({ pairAddress }) => {
+  const meta = usePairMeta(pairAddress);
+  const { orders, addExecution, pause, resume, cancelParent, remove, ready } = useConditionalOrders();
+
+  const [kind, setKind] = useState('twap');
+  const [side, setSide] = useState('buy');
+  const [amount, setAmount] = useState('');
+  const [price, setPrice] = useState('');
+  const [slices, setSlices] = useState('5');
+  const [intervalSec, setIntervalSec] = useState('60');
+  const [clipSize, setClipSize] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  const baseDecimals = meta?.baseDecimals ?? 18;
+  const mine = orders.filter(o =>
+    o.pair.toLowerCase() === pairAddress?.toLowerCase() && EXECUTION_KINDS.includes(o.kind));
+  const hasTwap = mine.some(o => o.kind === 'twap' && o.status === 'active');
+
+  // Tick the next-slice countdown
+  useEffect(() => {
+    if (!hasTwap) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [hasTwap]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await addExecution({ pair: pairAddress, kind, side, amount, price, slices, intervalSec, clipSize });
+      setAmount('');
+    } catch (err) {
+      toast({ title: "Invalid parent order", description: err?.message, variant: "destructive" });
+    }
+  };
+
+  const onCancel = async (id) => {
+    try {
+      await cancelParent(id);
+    } catch (err) {
+      console.error("cancel parent failed:", err);
+      toast({ title: "Cancel failed", description: err?.shortMessage || err?.message, variant: "destructive" });
+    }
+  };
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="text-sm font-semibold text-white mb-3">TWAP / Iceberg</div>
+
+      <form onSubmit={onSubmit} className="space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <select className={inputCls} value={kind} onChange={(e) => setKind(e.target.value)}>
+            {EXECUTION_KINDS.map(k => <option key={k} value={k}>{KIND_LABELS[k]}</option>)}
+          </select>
+          <select className={inputCls} value={side} onChange={(e) => setSide(e.target.value)}>
+            <option value="buy">Buy</option>
+            <option value="sell">Sell</option>
+          </select>
+          <input className={inputCls} placeholder={`Total (${meta?.baseSymbol ?? 'base'})`} value={amount} onChange={(e) => setAmount(e.target.value)} />
+          <input className={inputCls} placeholder="Limit price" value={price} onChange={(e) => setPrice(e.target.value)} />
+          {kind === 'twap' ? (
+            <>
+              <input className={inputCls} placeholder="Slices" value={slices} onChange={(e) => setSlices(e.target.value)} />
+              <input className={inputCls} placeholder="Interval (s)" value={intervalSec} onChange={(e) => setIntervalSec(e.target.value)} />
+            </>
+          ) : (
+            <input className={`${inputCls} col-span-2`} placeholder={`Visible size (${meta?.baseSymbol ?? 'base'})`} value={clipSize} onChange={(e) => setClipSize(e.target.value)} />
+          )}
+        </div>
+        <Button type="submit" className="w-full h-8" disabled={!ready || !pairAddress || !meta}>
+          Start {KIND_LABELS[kind]}
+        </Button>
+      </form>
+
+      <div className="space-y-2 mt-3 max-h-72 overflow-auto">
+        {mine.length === 0 ? <div className="text-slate-500">No TWAP or iceberg orders on this pair</div> :
+          [...mine].reverse().map(p => {
+            const { filled, resting, pct } = executionProgress(p);
+            const live = p.status === 'active' || p.status === 'paused';
+            return (
+              <div key={p.id} className="border border-slate-700/50 rounded p-2 text-slate-300">
+                <div className="flex justify-between">
+                  <span>
+                    <span className={p.side === 'buy' ? 'text-green-400' : 'text-red-400'}>{p.side.toUpperCase()}</span>
+                    {' '}{p.amount} {meta?.baseSymbol ?? ''} @ {p.price} · {KIND_LABELS[p.kind]}
+                  </span>
+                  <span className={STATUS_STYLES[p.status]}>{p.status}</span>
+                </div>
+                <div className="h-1.5 bg-slate-800 rounded mt-1 overflow-hidden">
+                  <div className="h-full bg-sky-500" style={{ width: `${Math.min(100, pct)}%` }} />
+                </div>
+                <div className="flex justify-between text-slate-400 mt-1">
+                  <span>Filled {formatQty(filled, baseDecimals)} ({pct}%)</span>
+                  <span>Resting {formatQty(resting, baseDecimals)}</span>
+                </div>
+                <div className="text-slate-500">
+                  {p.kind === 'twap'
+                    ? `Slices ${p.slicesPlaced}/${p.slices}` +
+                      (p.status === 'active' && p.slicesPlaced < p.slices ? ` · next in ${countdown(p.nextSliceAt - now)}` : '')
+                    : `Visible ${formatQty(p.clipRaw, baseDecimals)} · ${p.children.length} clip(s) placed`}
+                </div>
+                {p.note && <div className="text-slate-400">{p.note}</div>}
+                {p.error && <div className="text-red-400">{p.error}</div>}
+                <div className="flex gap-3 mt-1">
+                  {p.status === 'active' && <button className="text-amber-300" onClick={() => pause(p.id)}>Pause</button>}
+                  {p.status === 'paused' && <button className="text-sky-400" onClick={() => resume(p.id)}>Resume</button>}
+                  {canCancelExecution(p) && (
+                    <button className="text-red-400" onClick={() => onCancel(p.id)}>{live ? 'Cancel' : 'Cancel resting'}</button>
+                  )}
+                  {!live && p.status !== 'triggering' && (
+                    <button className="text-slate-400" onClick={() => remove(p.id)}>Remove</button>
+                  )}
+                </div>
+              </div>
+            );
+          })
+        }
+      </div>
+    </div>
+  );
+};
+
+export default ExecutionOrders;
@@ -0,0 +1,190 @@
+// src/components/LadderOrderForm.jsx
+import React, { useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { buildLadder, ladderFunding } from '@/lib/ladder';
+
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+
+/**
+ * Scaled order builder: spreads a total size over N tick-aligned prices and
+ * submits every leg in one Router.batchPlaceLimitOrders transaction.
+ */
+const LadderOrderForm = ({ pairAddress }) => {
+  const { account, signer } = useWeb3();
+  const { placeLadderOrders, loading } = useContracts(signer);
+  const meta = usePairMeta(pairAddress);
+
+  const [side, setSide] = useState('buy');
+  const [startPrice, setStartPrice] = useState('');
+  const [endPrice, setEndPrice] = useState('');
+  const [legCount, setLegCount] = useState('5');
+  const [total, setTotal] = useState('');
+  const [distribution, setDistribution] = useState('linear');
+  const [skew, setSkew] = useState('1');
+  const [ratio, setRatio] = useState('1.5');
+  const [weights, setWeights] = useState('');
+  const [result, setResult] = useState(null);
+
+  const baseDecimals = meta?.baseDecimals ?? 18;
+  const quoteDecimals = meta?.quoteDecimals ?? 18;
+  const isSellBase = side === 'sell';
+
+  const { legs, error } = useMemo(() => {
+    if (!meta || !startPrice || !endPrice || !total) return { legs: null, error: null };
+    try {
+      return {
+        legs: buildLadder({
+          startPrice: ethers.parseUnits(startPrice, 18),
+          endPrice: ethers.parseUnits(endPrice, 18),
+          legs: Number(legCount),
+          totalBase: ethers.parseUnits(total, baseDecimals),
+          tickSize: meta.tickSize,
+          distribution,
+          skew: Number(skew),
+          ratio: Number(ratio),
+          weights: weights.split(',').map(s => s.trim()).filter(Boolean).map(Number)
+        }),
+        error: null
+      };
+    } catch (e) {
+      return { legs: null, error: e?.shortMessage || e?.message || String(e) };
+    }
+  }, [meta, startPrice, endPrice, legCount, total, distribution, skew, ratio, weights, baseDecimals]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!account || !legs) return;
+    setResult(null);
+    try {
+      const res = await placeLadderOrders({ pairAddress, maker: account, legs, isSellBase });
+      setResult(res.legs);
+      const failed = res.legs.filter(l => !l.ok).length;
+      toast({
+        title: failed ? "Ladder partially placed" : "Ladder placed",
+        description: `${res.legs.length - failed}/${res.legs.length} legs succeeded`,
+        variant: failed ? "destructive" : undefined
+      });
+    } catch (err) {
+      console.error("ladder failed:", err);
+    }
+  };
+
+  const baseSym = meta?.baseSymbol ?? 'base';
+  const quoteSym = meta?.quoteSymbol ?? 'quote';
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center gap-2 mb-3">
+        <span className="text-sm font-semibold text-white mr-2">Scaled order</span>
+        <Button
+          variant={side === 'buy' ? 'default' : 'secondary'}
+          className={`h-7 px-3 ${side === 'buy' ? '' : 'opacity-60'}`}
+          onClick={() => setSide('buy')}
+        >
+          Buy
+        </Button>
+        <Button
+          variant={side === 'sell' ? 'default' : 'secondary'}
+          className={`h-7 px-3 ${side === 'sell' ? '' : 'opacity-60'}`}
+          onClick={() => setSide('sell')}
+        >
+          Sell
+        </Button>
+      </div>
+
+      <form onSubmit={onSubmit} className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <div className="text-slate-400 mb-1">Start price</div>
+            <input className={inputCls} placeholder="e.g. 1.00" value={startPrice} onChange={(e) => setStartPrice(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">End price</div>
+            <input className={inputCls} placeholder="e.g. 0.90" value={endPrice} onChange={(e) => setEndPrice(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Legs</div>
+            <input className={inputCls} value={legCount} onChange={(e) => setLegCount(e.target.value)} />
+          </div>
+          <div>
+            <div className="text-slate-400 mb-1">Total size ({baseSym})</div>
+            <input className={inputCls} placeholder="e.g. 10" value={total} onChange={(e) => setTotal(e.target.value)} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <div className="text-slate-400 mb-1">Distribution</div>
+            <select className={inputCls} value={distribution} onChange={(e) => setDistribution(e.target.value)}>
+              <option value="linear">Linear</option>
+              <option value="geometric">Geometric</option>
+              <option value="custom">Custom</option>
+            </select>
+          </div>
+          {distribution === 'linear' && (
+            <div>
+              <div className="text-slate-400 mb-1">Last / first size</div>
+              <input className={inputCls} value={skew} onChange={(e) => setSkew(e.target.value)} />
+            </div>
+          )}
+          {distribution === 'geometric' && (
+            <div>
+              <div className="text-slate-400 mb-1">Ratio per leg</div>
+              <input className={inputCls} value={ratio} onChange={(e) => setRatio(e.target.value)} />
+            </div>
+          )}
+          {distribution === 'custom' && (
+            <div>
+              <div className="text-slate-400 mb-1">Weights (comma separated)</div>
+              <input className={inputCls} placeholder="e.g. 1,2,3,2,1" value={weights} onChange={(e) => setWeights(e.target.value)} />
+            </div>
+          )}
+        </div>
+
+        {error && <div className="text-red-400">{error}</div>}
+        {legs && (
+          <div className="border border-slate-800 rounded">
+            <div className="grid grid-cols-3 px-2 py-1 text-slate-400">
+              <div>Price</div>
+              <div className="text-right">Size ({baseSym})</div>
+              <div className="text-right">Status</div>
+            </div>
+            {legs.map((l, i) => {
+              const r = result?.[i];
+              return (
+                <div key={l.price.toString()} className="grid grid-cols-3 px-2 py-0.5 text-slate-200">
+                  <div className={isSellBase ? 'text-red-400' : 'text-green-400'}>{format18(l.price)}</div>
+                  <div className="text-right">{formatQty(l.baseAmount, baseDecimals)}</div>
+                  <div className={`text-right ${r ? (r.ok ? 'text-green-400' : 'text-red-400') : 'text-slate-500'}`} title={r?.reason ?? ''}>
+                    {r ? (r.ok ? 'placed' : (r.reason || 'failed')) : '—'}
+                  </div>
+                </div>
+              );
+            })}
+            <div className="px-2 py-1 text-slate-400 border-t border-slate-800">
+              Vault funds needed: {formatQty(ladderFunding(legs, isSellBase), isSellBase ? baseDecimals : quoteDecimals)} {isSellBase ? baseSym : quoteSym}
+            </div>
+          </div>
+        )}
+
+        <Button type="submit" className="w-full h-9" disabled={!legs || loading}>
+          {loading ? 'Submitting…' : `Place ${legs?.length ?? ''} orders in one batch`}
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default LadderOrderForm;
@@ -2,47 +2,53 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { TrendingUp, TrendingDown, Activity, DollarSign, BarChart3, Users } from 'lucide-react';
 
-const MarketStats = ({ currentPrice }) => {
-  const stats = [
+const fmt = (x, dp = 4) => (x === null || x === undefined || !Number.isFinite(x) ? '—' : x.toLocaleString(undefined, { maximumFractionDigits: dp }));
+const fmtPct = (x) => (x === null || !Number.isFinite(x) ? '—' : `${x >= 0 ? '+' : ''}${x.toFixed(2)}%`);
+
+/** Six stat cards; `stats` comes from useMarketStats (lifted to the dashboard). */
+const MarketStats = ({ stats, loading }) => {
+  const up = (stats.change24h ?? 0) >= 0;
+
+  const items = [
     {
-      label: '24h Volume',
-      value: '$12.4M',
-      change: '+5.2%',
+      label: '24h Volume (base)',
+      value: fmt(stats.volumeBase24h),
+      change: `${fmt(stats.volumeQuote24h, 2)} quote`,
       positive: true,
       icon: BarChart3
     },
     {
       label: '24h High',
-      value: `$${(currentPrice * 1.05).toFixed(2)}`,
-      change: '+2.1%',
+      value: fmt(stats.high24h),
+      change: '',
       positive: true,
       icon: TrendingUp
     },
     {
       label: '24h Low',
-      value: `$${(currentPrice * 0.95).toFixed(2)}`,
-      change: '-1.8%',
+      value: fmt(stats.low24h),
+      change: '',
       positive: false,
       icon: TrendingDown
     },
     {
-      label: 'Market Cap',
-      value: '$45.2B',
-      change: '+3.4%',
-      positive: true,
+      label: 'Last Price',
+      value: fmt(stats.lastPrice),
+      change: fmtPct(stats.change24h),
+      positive: up,
       icon: DollarSign
     },
     {
-      label: 'Active Traders',
-      value: '2,847',
-      change: '+12.5%',
+      label: '24h Makers / Takers',
+      value: `${stats.makers24h} / ${stats.takers24h}`,
+      change: `${stats.trades24h} fills`,
       positive: true,
       icon: Users
     },
     {
-      label: 'Total Orders',
-      value: '15,234',
-      change: '+8.9%',
+      label: 'Open Orders',
+      value: stats.openOrders.toLocaleString(),
+      change: loading ? 'syncing…' : '',
       positive: true,
       icon: Activity
     }
@@ -55,7 +61,7 @@ const MarketStats = ({ currentPrice }) => {
       className="glass-effect rounded-xl p-4"
     >
       <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-        {stats.map((stat, index) => {
+        {items.map((stat, index) => {
           const Icon = stat.icon;
           return (
             <motion.div
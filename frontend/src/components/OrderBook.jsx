@@ -1,9 +1,29 @@
 // src/components/OrderBook.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { ethers } from 'ethers';
 import { Button } from '@/components/ui/button';
-import { useWeb3 } from '@/hooks/useWeb3';
-import { useContracts } from '@/hooks/useContracts';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { useTrading } from '@/hooks/useTrading';
+import { bucketFromDecimals, bucketFromTicks, buildGroupedBook, maxPrecision } from '@/lib/bookGrouping';
+
+// Grouping presets: "t:N" = N x tickSize, "d:N" = N price decimals, "custom" = typed decimals
+const GROUPINGS = [
+  { value: 't:1', label: '1x tick' },
+  { value: 't:10', label: '10x tick' },
+  { value: 't:100', label: '100x tick' },
+  { value: 'd:6', label: '0.000001' },
+  { value: 'd:4', label: '0.0001' },
+  { value: 'd:2', label: '0.01' },
+  { value: 'd:0', label: '1' },
+  { value: 'custom', label: 'Custom…' }
+];
+const LEVEL_CAPS = [10, 20, 50, 100];
+
+function bucketFor(grouping, tickSize) {
+  if (!tickSize) return 1n;
+  const [kind, n] = grouping.split(':');
+  return kind === 't' ? bucketFromTicks(tickSize, n) : bucketFromDecimals(tickSize, n);
+}
 
 function format18(x) {
   try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
@@ -12,94 +32,131 @@ function formatQty(x, decimals = 18) {
   try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
 }
 
-const OrderBook = ({ pairAddress }) => {
-  const { signer } = useWeb3();
-  const { getOrderBookDepth, getDecimals, getPairInfo } = useContracts(signer);
+const BookSide = ({ title, side, rows, baseDecimals, onPick }) => {
+  const isBid = side === 'bid';
+  return (
+    <div className="border border-slate-800 rounded-lg overflow-hidden">
+      <div className={`bg-slate-800/50 ${isBid ? 'text-green-300' : 'text-red-300'} text-xs px-3 py-2 font-semibold`}>{title}</div>
+      <div className="max-h-96 overflow-auto text-xs">
+        <div className="grid grid-cols-3 px-3 py-2 text-slate-400">
+          <div>Price (quote/base)</div>
+          <div className="text-right">Qty (base)</div>
+          <div className="text-right">Total (base)</div>
+        </div>
+        {rows.length === 0 ? (
+          <div className="px-3 py-2 text-slate-500">No {title.toLowerCase()}</div>
+        ) : rows.map((l) => (
+          <div
+            key={`${side}-${l.price.toString()}`}
+            className="relative grid grid-cols-3 px-3 py-1.5 text-slate-200 cursor-pointer hover:bg-slate-800/60"
+            title="Click: use price · Click total: use price and cumulative size"
+            onClick={() => onPick(l, false)}
+          >
+            <div
+              className={`absolute inset-y-0 right-0 ${isBid ? 'bg-green-500/10' : 'bg-red-500/10'}`}
+              style={{ width: `${l.depthPct}%` }}
+            />
+            <div className={`relative ${isBid ? 'text-green-400' : 'text-red-400'}`}>{format18(l.price)}</div>
+            <div className="relative text-right">{formatQty(l.qty, baseDecimals)}</div>
+            <div
+              className="relative text-right text-slate-400 hover:text-white"
+              onClick={(e) => { e.stopPropagation(); onPick(l, true); }}
+            >
+              {formatQty(l.cumQty, baseDecimals)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 
-  const [bids, setBids] = useState([]);
-  const [asks, setAsks] = useState([]);
-  const [tickSize, setTickSize] = useState(0n);
-  const [baseDecimals, setBaseDecimals] = useState(18);
-  const [loading, setLoading] = useState(false);
+/** `book` is the live useOrderBook state, shared with the depth chart. */
+const OrderBook = ({ pairAddress, book }) => {
+  const meta = usePairMeta(pairAddress);
+  const { bids, asks, tickSize, lastBlock, syncing, error, resync } = book;
+  const { fillFromBook } = useTrading();
 
-  const load = async () => {
-    if (!pairAddress) { setBids([]); setAsks([]); return; }
-    try {
-      setLoading(true);
-      const info = await getPairInfo(pairAddress);
-      setTickSize(info.tickSize);
-      try {
-        const dec = await getDecimals(info.base);
-        setBaseDecimals(dec || 18);
-      } catch { setBaseDecimals(18); }
+  const [grouping, setGrouping] = useState('t:1');
+  const [customDecimals, setCustomDecimals] = useState('2');
+  const [maxLevels, setMaxLevels] = useState(20);
 
-      const { bids, asks } = await getOrderBookDepth(pairAddress, {
-        startPrice: 0n,
-        endPrice: info.tickSize * 32767n,
-        filterZero: true
-      });
-      setBids(bids);
-      setAsks(asks);
-    } catch (e) {
-      console.error("load orderbook failed:", e);
-      setBids([]); setAsks([]);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const baseDecimals = meta?.baseDecimals ?? 18;
+  const finest = tickSize ? maxPrecision(tickSize) : 18;
+  // Typed precision, clamped to 0..finest (never finer than one tick)
+  const precision = Math.min(finest, Math.max(0, Math.floor(Number(customDecimals) || 0)));
+  const effectiveGrouping = grouping === 'custom' ? `d:${precision}` : grouping;
 
-  useEffect(() => { load(); /* eslint-disable-next-line */ }, [pairAddress]);
+  const grouped = useMemo(
+    () => buildGroupedBook({ bids, asks }, { bucket: bucketFor(effectiveGrouping, tickSize), maxLevels }),
+    [bids, asks, tickSize, effectiveGrouping, maxLevels]
+  );
+
+  const onPick = (rowSide) => (row, withSize) => fillFromBook({
+    rowSide,
+    price: row.price,
+    tickSize,
+    cumQty: withSize ? row.cumQty : null,
+    baseDecimals
+  });
 
   return (
     <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
       <div className="flex items-center justify-between mb-3">
-        <h3 className="text-sm font-semibold text-white">Order Book (full depth)</h3>
+        <h3 className="text-sm font-semibold text-white">Order Book (live)</h3>
         <div className="flex items-center gap-3">
           <div className="text-xs text-slate-400">tickSize: {tickSize.toString()}</div>
-          <Button onClick={load} disabled={loading} className="h-7 px-3 text-xs">
-            {loading ? 'Refreshing...' : 'Refresh'}
+          <div className={`text-xs ${error ? 'text-red-400' : 'text-slate-500'}`} title={error?.message}>
+            {error ? 'sync error' : lastBlock !== null ? `block ${lastBlock}` : ''}
+          </div>
+          <Button onClick={resync} disabled={syncing || !pairAddress} className="h-7 px-3 text-xs">
+            {syncing ? 'Syncing...' : 'Resync'}
           </Button>
         </div>
       </div>
 
+      <div className="flex items-center gap-3 mb-3 text-xs text-slate-400">
+        <label className="flex items-center gap-1">
+          Group
+          <select
+            className="bg-slate-800/50 rounded px-2 py-1 text-white"
+            value={grouping}
+            onChange={(e) => setGrouping(e.target.value)}
+          >
+            {GROUPINGS.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+          </select>
+        </label>
+        {grouping === 'custom' && (
+          <label className="flex items-center gap-1" title={`Price decimals, at most ${finest} for this tick size`}>
+            Decimals
+            <input
+              type="number"
+              min={0}
+              max={finest}
+              className="w-14 bg-slate-800/50 rounded px-2 py-1 text-white"
+              value={customDecimals}
+              onChange={(e) => setCustomDecimals(e.target.value)}
+              onBlur={() => setCustomDecimals(String(precision))}
+            />
+          </label>
+        )}
+        <label className="flex items-center gap-1">
+          Levels
+          <select
+            className="bg-slate-800/50 rounded px-2 py-1 text-white"
+            value={maxLevels}
+            onChange={(e) => setMaxLevels(Number(e.target.value))}
+          >
+            {LEVEL_CAPS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+      </div>
+
       <div className="grid grid-cols-2 gap-4">
         {/* Asks: low -> high */}
-        <div className="border border-slate-800 rounded-lg overflow-hidden">
-          <div className="bg-slate-800/50 text-red-300 text-xs px-3 py-2 font-semibold">Asks</div>
-          <div className="max-h-96 overflow-auto text-xs">
-            <div className="grid grid-cols-2 px-3 py-2 text-slate-400">
-              <div>Price (quote/base)</div>
-              <div className="text-right">Qty (base)</div>
-            </div>
-            {asks.length === 0 ? (
-              <div className="px-3 py-2 text-slate-500">No asks</div>
-            ) : asks.map((l, i) => (
-              <div key={`ask-${l.price.toString()}-${i}`} className="grid grid-cols-2 px-3 py-1.5 text-slate-200">
-                <div className="text-red-400">{format18(l.price)}</div>
-                <div className="text-right">{formatQty(l.askQty, baseDecimals)}</div>
-              </div>
-            ))}
-          </div>
-        </div>
-
+        <BookSide title="Asks" side="ask" rows={grouped.asks} baseDecimals={baseDecimals} onPick={onPick('ask')} />
         {/* Bids: high -> low */}
-        <div className="border border-slate-800 rounded-lg overflow-hidden">
-          <div className="bg-slate-800/50 text-green-300 text-xs px-3 py-2 font-semibold">Bids</div>
-          <div className="max-h-96 overflow-auto text-xs">
-            <div className="grid grid-cols-2 px-3 py-2 text-slate-400">
-              <div>Price (quote/base)</div>
-              <div className="text-right">Qty (base)</div>
-            </div>
-            {bids.length === 0 ? (
-              <div className="px-3 py-2 text-slate-500">No bids</div>
-            ) : bids.map((l, i) => (
-              <div key={`bid-${l.price.toString()}-${i}`} className="grid grid-cols-2 px-3 py-1.5 text-slate-200">
-                <div className="text-green-400">{format18(l.price)}</div>
-                <div className="text-right">{formatQty(l.bidQty, baseDecimals)}</div>
-              </div>
-            ))}
-          </div>
-        </div>
+        <BookSide title="Bids" side="bid" rows={grouped.bids} baseDecimals={baseDecimals} onPick={onPick('bid')} />
       </div>
     </div>
   );
@@ -0,0 +1,262 @@
+// src/components/PairWizard.jsx
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { canonicalPair, tickSizeRange, tokenSupportStage, validateTickSize } from '@/lib/pairSetup';
+
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+function parse18(v) {
+  try { return v?.trim() ? ethers.parseUnits(v.trim(), 18) : null; } catch { return undefined; }
+}
+const short = (h) => `${h.slice(0, 8)}…${h.slice(-6)}`;
+
+function formatCountdown(sec) {
+  const s = Math.max(0, sec);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h ${m}m`;
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m ${s % 60}s`;
+}
+
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+const STATE_STYLES = {
+  done: 'text-green-400',
+  ready: 'text-sky-300',
+  pending: 'text-amber-300',
+  waiting: 'text-slate-500',
+  blocked: 'text-amber-300'
+};
+const STATE_ICONS = { done: '✓', ready: '→', pending: '…', waiting: '·', blocked: '!' };
+
+/**
+ * Create a pair and walk through what it needs before it can trade: both tokens
+ * supported by the Vault, a router on the factory, the pair itself and its Vault
+ * executor authorization. Token support and the executor are timelocked Vault
+ * proposals: the Vault owner proposes, waits out the timelock, then executes.
+ */
+const PairWizard = ({ onReady, onClose }) => {
+  const { account, signer } = useWeb3();
+  const {
+    client, loading: txLoading, proposeVaultAction, executeVaultAction, createClobPair, setFactoryRouter
+  } = useContracts(signer);
+
+  const [tokenA, setTokenA] = useState('');
+  const [tokenB, setTokenB] = useState('');
+  const [tick, setTick] = useState('0.01');
+  const [minPrice, setMinPrice] = useState('');
+  const [maxPrice, setMaxPrice] = useState('');
+  const [symbols, setSymbols] = useState({}); // lowercased address -> symbol
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const validTokens = ethers.isAddress(tokenA) && ethers.isAddress(tokenB) && tokenA.toLowerCase() !== tokenB.toLowerCase();
+  const canonical = validTokens ? canonicalPair(tokenA, tokenB) : null;
+  const tickSize = parse18(tick);
+  const check = useMemo(() => {
+    if (!tickSize) return { errors: [tickSize === undefined ? "Invalid tick size" : "Enter a tick size"], warnings: [] };
+    const min = parse18(minPrice);
+    const max = parse18(maxPrice);
+    if (min === undefined || max === undefined) return { errors: ["Invalid price range"], warnings: [] };
+    return validateTickSize(tickSize, { minPrice: min, maxPrice: max });
+  }, [tickSize, minPrice, maxPrice]);
+
+  const sym = (t) => symbols[t?.toLowerCase()] ?? (t ? short(t) : '');
+
+  const load = useCallback(async () => {
+    if (!client || !validTokens || !tickSize) { setStatus(null); return; }
+    try {
+      setLoading(true);
+      const [s, a, b] = await Promise.all([
+        client.getPairSetupStatus(tokenA, tokenB, tickSize),
+        client.getTokenMeta(tokenA).catch(() => null),
+        client.getTokenMeta(tokenB).catch(() => null)
+      ]);
+      setStatus(s);
+      setSymbols(prev => ({
+        ...prev,
+        ...(a ? { [tokenA.toLowerCase()]: a.symbol } : {}),
+        ...(b ? { [tokenB.toLowerCase()]: b.symbol } : {})
+      }));
+    } catch (e) {
+      console.error("load pair setup failed:", e);
+      setStatus(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, validTokens, tokenA, tokenB, tickSize]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Tick the timelock countdowns of pending proposals
+  const timelocked = !!status && (!!status.baseProposedAt || !!status.quoteProposedAt || !!status.executorProposedAt);
+  useEffect(() => {
+    if (!timelocked) return;
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(t);
+  }, [timelocked]);
+
+  const run = async (label, fn) => {
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`${label} failed:`, e);
+      toast({ title: `${label} failed`, description: e?.shortMessage || e?.reason || e?.message, variant: "destructive" });
+    }
+    await load();
+  };
+
+  const onCreate = () => {
+    const flip = status.flipped
+      ? `\n\nThe factory orders tokens by address: ${sym(status.base)} becomes the base and prices are quoted in ${sym(status.quote)}.`
+      : '';
+    if (!window.confirm(`Create ${sym(status.base)}/${sym(status.quote)} with tick size ${tick}?${flip}`)) return;
+    run("Create pair", () => createClobPair(status.base, status.quote, tickSize));
+  };
+
+  const isOwner = !!status && !!account && status.factoryOwner.toLowerCase() === account.toLowerCase();
+  const isVaultOwner = !!status && !!account && status.vaultOwner.toLowerCase() === account.toLowerCase();
+
+  // Each step: done, ready (can run now), pending (timelocked), waiting (an earlier step is open)
+  // or blocked (needs someone else)
+  const vaultStep = (action, what, done, proposedAt) => {
+    const vaultOwnerOnly = { state: 'blocked', hint: `Vault owner only (${short(status.vaultOwner)})` };
+    switch (tokenSupportStage({ supported: done, proposedAt, now })) {
+      case 'done': return { state: 'done' };
+      case 'pending':
+        return { state: 'pending', hint: `Proposed; executable in ${formatCountdown(proposedAt - now)}` };
+      case 'execute':
+        return isVaultOwner
+          ? { state: 'ready', hint: 'Timelock passed', actionLabel: 'Execute', action: () => run("Execute", () => executeVaultAction(action)) }
+          : { ...vaultOwnerOnly, hint: `Timelock passed; the Vault owner (${short(status.vaultOwner)}) must execute` };
+      default:
+        return isVaultOwner
+          ? {
+              state: 'ready',
+              actionLabel: 'Propose',
+              action: () => {
+                if (!window.confirm(`Propose ${what}? It can be executed after ${formatCountdown(status.timelockSec)}.`)) return;
+                run("Propose", () => proposeVaultAction(action));
+              }
+            }
+          : vaultOwnerOnly;
+    }
+  };
+
+  const steps = [];
+  if (status) {
+    const routerSet = status.router !== ethers.ZeroAddress;
+    const tokensOk = status.baseSupported && status.quoteSupported;
+    const routerOk = routerSet && status.routerMatches;
+    const canCreate = tokensOk && routerOk && check.errors.length === 0;
+    const routerStep = () => {
+      if (routerOk) return { state: 'done' };
+      if (routerSet) return { state: 'blocked', hint: `Factory uses router ${short(status.router)}, not the one this app sends orders to` };
+      return isOwner ? { state: 'ready' } : { state: 'blocked', hint: `Factory owner only (${short(status.factoryOwner)})` };
+    };
+
+    steps.push(
+      {
+        id: 'base', label: `${sym(status.base)} supported by the Vault`,
+        ...vaultStep({ kind: 'addSupportedToken', token: status.base }, `supporting ${sym(status.base)}`, status.baseSupported, status.baseProposedAt)
+      },
+      {
+        id: 'quote', label: `${sym(status.quote)} supported by the Vault`,
+        ...vaultStep({ kind: 'addSupportedToken', token: status.quote }, `supporting ${sym(status.quote)}`, status.quoteSupported, status.quoteProposedAt)
+      },
+      {
+        id: 'router', label: 'Router set on the factory',
+        ...routerStep(),
+        actionLabel: 'Set router',
+        action: () => run("Set router", () => setFactoryRouter())
+      },
+      {
+        id: 'pair', label: status.pair ? `Pair created (${short(status.pair)})` : 'Pair created',
+        state: status.pair ? 'done' : canCreate ? 'ready' : 'waiting',
+        hint: !status.pair && tokensOk && routerOk && check.errors.length ? 'Fix the tick size first' : undefined,
+        actionLabel: 'Create pair',
+        action: onCreate
+      },
+      {
+        id: 'executor', label: 'Pair authorized as Vault executor',
+        ...(status.pair
+          ? vaultStep(
+              { kind: 'authorizeExecutor', executor: status.pair, isAuthorized: true },
+              `authorizing pair ${short(status.pair)} as a Vault executor`,
+              status.pairAuthorized, status.executorProposedAt
+            )
+          : { state: 'waiting' })
+      }
+    );
+  }
+
+  const canTrade = steps.length > 0 && steps.every(s => s.state === 'done');
+  const busy = loading || txLoading;
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">New pair</h3>
+        <div className="flex items-center gap-3">
+          <button className="text-xs text-sky-400" onClick={load} disabled={loading || !validTokens}>{loading ? 'Checking...' : 'Refresh'}</button>
+          {onClose && <button className="text-xs text-slate-400" onClick={onClose}>Close</button>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <input className={inputCls} placeholder="Token A address" value={tokenA} onChange={(e) => setTokenA(e.target.value.trim())} />
+        <input className={inputCls} placeholder="Token B address" value={tokenB} onChange={(e) => setTokenB(e.target.value.trim())} />
+        <input className={inputCls} placeholder="Tick size" value={tick} onChange={(e) => setTick(e.target.value)} />
+        <div className="text-slate-400 self-center">
+          {tickSize ? `Prices ${format18(tickSizeRange(tickSize).minPrice)} … ${format18(tickSizeRange(tickSize).maxPrice)}` : 'Tick size in quote per base'}
+        </div>
+        <input className={inputCls} placeholder="Expected min price (optional)" value={minPrice} onChange={(e) => setMinPrice(e.target.value)} />
+        <input className={inputCls} placeholder="Expected max price (optional)" value={maxPrice} onChange={(e) => setMaxPrice(e.target.value)} />
+      </div>
+
+      {canonical && (
+        <div className="text-slate-400 mt-2">
+          Base <span className="text-white">{sym(canonical.base)}</span> · quote <span className="text-white">{sym(canonical.quote)}</span>
+          {canonical.flipped && <span className="text-amber-300"> · swapped into canonical (address) order, prices are in {sym(canonical.quote)}</span>}
+        </div>
+      )}
+      {(tokenA || tokenB) && !validTokens && <div className="text-red-400 mt-2">Enter two different token addresses</div>}
+      {check.errors.map(e => <div key={e} className="text-red-400 mt-1">{e}</div>)}
+      {check.warnings.map(w => <div key={w} className="text-amber-300 mt-1">{w}</div>)}
+
+      {steps.length > 0 && (
+        <div className="space-y-1 mt-3">
+          {steps.map((s, i) => (
+            <div key={s.id} className="flex items-center justify-between border border-slate-700/50 rounded px-2 py-1.5">
+              <span className={STATE_STYLES[s.state]}>
+                {STATE_ICONS[s.state]} {i + 1}. {s.label}
+                {s.hint && <span className="text-slate-500"> · {s.hint}</span>}
+              </span>
+              {s.state === 'ready' && (
+                <Button className="h-6 px-2 text-xs" disabled={busy} onClick={s.action}>
+                  {s.actionLabel}
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canTrade && (
+        <div className="flex items-center justify-between mt-3">
+          <span className="text-green-400">Ready to trade</span>
+          {onReady && <Button className="h-7 px-3" onClick={() => onReady(status.pair)}>Open pair</Button>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PairWizard;
@@ -1,34 +1,87 @@
 // src/PriceChart.jsx
-import { useMemo } from 'react';
-
-const genData = (currentPrice) => {
-  const now = Date.now();
-  const pts = [];
-  let price = currentPrice || 2200;
-  for (let i = 60; i >= 0; i--) {
-    price += (Math.random() - 0.5) * 10;
-    pts.push({ t: new Date(now - i * 60_000), p: Math.max(1, price) });
-  }
-  return pts;
-};
+import { useMemo, useState } from 'react';
+import { CANDLE_INTERVALS, buildCandles } from '@/lib/candles';
+import { useTradeFeed } from '@/hooks/useTradeFeed';
+
+const W = 600;
+const H = 220;
+const PRICE_H = 160;   // candle area height; the rest is volume
+const VOL_TOP = 170;
+const MAX_BARS = 60;
+
+const fmt = (x) => (Number.isFinite(x) ? x.toFixed(4) : '—');
+
+const PriceChart = ({ pairAddress }) => {
+  const [interval, setBarInterval] = useState('5m');
+  const [hover, setHover] = useState(null);
+  // Wider window than the trades panel: candles need every fill in range
+  const { trades, loading } = useTradeFeed(pairAddress, { limit: 5000, lookbackBlocks: 50000 });
+
+  const candles = useMemo(() => buildCandles(trades, interval).slice(-MAX_BARS), [trades, interval]);
 
-const PriceChart = ({ currentPrice }) => {
-  const data = useMemo(() => genData(currentPrice), [currentPrice]);
+  const scale = useMemo(() => {
+    if (!candles.length) return null;
+    const hi = Math.max(...candles.map(c => c.high));
+    const lo = Math.min(...candles.map(c => c.low));
+    const pad = (hi - lo) * 0.05 || hi * 0.01 || 1;
+    const maxVol = Math.max(...candles.map(c => c.volume)) || 1;
+    return {
+      y: (p) => ((hi + pad - p) / (hi - lo + 2 * pad)) * PRICE_H,
+      vol: (v) => (v / maxVol) * (H - VOL_TOP)
+    };
+  }, [candles]);
 
-  // Simple lightweight chart-less view (giữ UI sạch sẽ). Nếu muốn dùng chart lib, ta add sau.
-  const last = data[data.length - 1]?.p ?? 0;
-  const min = Math.min(...data.slice(-24).map(d => d.p));
-  const max = Math.max(...data.slice(-24).map(d => d.p));
+  const slot = W / MAX_BARS;
+  const bodyW = Math.max(2, slot * 0.6);
+  const shown = hover ?? candles[candles.length - 1];
 
   return (
     <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
       <div className="flex items-center justify-between mb-2">
-        <h3 className="text-sm font-semibold text-white">Price (last 1h)</h3>
-        <div className="text-xs text-slate-400">Now: ${last.toFixed(2)} · 24pts Range: ${min.toFixed(2)} – ${max.toFixed(2)}</div>
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-semibold text-white">Price</h3>
+          {Object.keys(CANDLE_INTERVALS).map(k => (
+            <button
+              key={k}
+              onClick={() => setBarInterval(k)}
+              className={`text-xs px-2 py-0.5 rounded ${k === interval ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'}`}
+            >
+              {k}
+            </button>
+          ))}
+        </div>
+        <div className="text-xs text-slate-400 font-mono">
+          {shown
+            ? <>O {fmt(shown.open)} · H {fmt(shown.high)} · L {fmt(shown.low)} · C {fmt(shown.close)} · V {fmt(shown.volume)}</>
+            : (loading ? 'Loading fills...' : 'No fills yet')}
+        </div>
       </div>
 
-      <div className="h-40 w-full rounded-md bg-slate-800/40 border border-slate-700/50 flex items-center justify-center text-slate-400 text-xs">
-        (Chart placeholder)
+      <div className="h-56 w-full rounded-md bg-slate-800/40 border border-slate-700/50">
+        {scale ? (
+          <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-full" onMouseLeave={() => setHover(null)}>
+            {candles.map((c, i) => {
+              const x = W - (candles.length - i) * slot + slot / 2;
+              const up = c.close >= c.open;
+              const color = up ? '#4ade80' : '#f87171';
+              const top = scale.y(Math.max(c.open, c.close));
+              const bottom = scale.y(Math.min(c.open, c.close));
+              const vh = scale.vol(c.volume);
+              return (
+                <g key={c.time} onMouseEnter={() => setHover(c)}>
+                  <rect x={x - slot / 2} y={0} width={slot} height={H} fill="transparent" />
+                  <line x1={x} x2={x} y1={scale.y(c.high)} y2={scale.y(c.low)} stroke={color} strokeWidth={1} />
+                  <rect x={x - bodyW / 2} y={top} width={bodyW} height={Math.max(1, bottom - top)} fill={color} />
+                  <rect x={x - bodyW / 2} y={H - vh} width={bodyW} height={vh} fill={color} opacity={0.35} />
+                </g>
+              );
+            })}
+          </svg>
+        ) : (
+          <div className="h-full flex items-center justify-center text-slate-400 text-xs">
+            {!pairAddress ? 'No pair selected' : loading ? 'Loading...' : 'No trades in range'}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,43 +1,17 @@
 // src/RecentTrades.jsx
-import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TrendingUp, TrendingDown } from 'lucide-react';
+import { useTradeFeed } from '@/hooks/useTradeFeed';
 
-const randomTrade = () => {
-  const type = Math.random() > 0.5 ? 'buy' : 'sell';
-  const price = 2000 + Math.random() * 500;
-  const amount = 0.1 + Math.random() * 2;
-  return {
-    id: crypto.randomUUID(),
-    time: Date.now(),
-    type,
-    price,
-    amount,
-    total: price * amount
-  };
-};
-
-const formatTime = (ts) => new Date(ts).toLocaleTimeString();
-
-const RecentTrades = () => {
-  const [trades, setTrades] = useState([]);
-  const timerRef = useRef(null);
-
-  useEffect(() => {
-    // seed
-    setTrades(Array.from({ length: 10 }, () => randomTrade()));
-
-    timerRef.current = setInterval(() => {
-      const t = randomTrade();
-      setTrades((prev) => [t, ...prev].slice(0, 20));
-    }, 2500);
+const formatTime = (ts) => (ts ? new Date(ts).toLocaleTimeString() : '—');
+const formatNum = (x, dp) => (Number.isFinite(x) ? x.toFixed(dp) : '—');
 
-    return () => clearInterval(timerRef.current);
-  }, []);
+const RecentTrades = ({ pairAddress }) => {
+  const { trades, loading, error } = useTradeFeed(pairAddress, { limit: 20 });
 
   const totals = trades.reduce((acc, t) => {
-    if (t.type === 'buy') acc.buy += t.total;
-    else acc.sell += t.total;
+    if (t.side === 'buy') acc.buy += t.total;
+    else if (t.side === 'sell') acc.sell += t.total;
     return acc;
   }, { buy: 0, sell: 0 });
 
@@ -46,8 +20,8 @@ const RecentTrades = () => {
       <div className="flex items-center justify-between mb-3">
         <h3 className="text-sm font-semibold text-white">Recent Trades</h3>
         <div className="text-xs text-slate-400">
-          <span className="mr-3">Buys ${totals.buy.toFixed(2)}</span>
-          <span>Sells ${totals.sell.toFixed(2)}</span>
+          <span className="mr-3">Buys {totals.buy.toFixed(2)}</span>
+          <span>Sells {totals.sell.toFixed(2)}</span>
         </div>
       </div>
 
@@ -60,6 +34,11 @@ const RecentTrades = () => {
       </div>
 
       <div className="h-64 overflow-y-auto space-y-2 pr-1">
+        {trades.length === 0 && (
+          <div className="text-slate-500 text-xs px-2 py-2">
+            {!pairAddress ? 'No pair selected' : error ? 'Failed to load trades' : loading ? 'Loading trades...' : 'No trades yet'}
+          </div>
+        )}
         <AnimatePresence initial={false}>
           {trades.map((trade) => (
             <motion.div
@@ -69,24 +48,25 @@ const RecentTrades = () => {
               exit={{ opacity: 0, y: -8 }}
               transition={{ duration: 0.15 }}
               className={`grid grid-cols-5 gap-2 items-center rounded-md p-2 bg-slate-800/40 border border-slate-700/50 ${
-                trade.type === 'buy' ? 'border-l-2 border-green-400/30' : 'border-l-2 border-red-400/30'
+                trade.side === 'buy' ? 'border-l-2 border-green-400/30' : trade.side === 'sell' ? 'border-l-2 border-red-400/30' : ''
               }`}
             >
               <div className="text-slate-300 font-mono text-xs">{formatTime(trade.time)}</div>
 
               <div className="flex items-center space-x-1">
-                {trade.type === 'buy' ? <TrendingUp className="h-3 w-3 text-green-400" /> : <TrendingDown className="h-3 w-3 text-red-400" />}
-                <span className={`text-xs font-medium ${trade.type === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
-                  {trade.type.toUpperCase()}
+                {trade.side === 'buy' && <TrendingUp className="h-3 w-3 text-green-400" />}
+                {trade.side === 'sell' && <TrendingDown className="h-3 w-3 text-red-400" />}
+                <span className={`text-xs font-medium ${trade.side === 'buy' ? 'text-green-400' : trade.side === 'sell' ? 'text-red-400' : 'text-slate-400'}`}>
+                  {trade.side ? trade.side.toUpperCase() : '—'}
                 </span>
               </div>
 
-              <div className={`text-right font-mono ${trade.type === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
-                ${trade.price.toFixed(2)}
+              <div className={`text-right font-mono ${trade.side === 'buy' ? 'text-green-400' : trade.side === 'sell' ? 'text-red-400' : 'text-slate-300'}`}>
+                {formatNum(trade.price, 4)}
               </div>
 
-              <div className="text-right text-slate-300 font-mono">{trade.amount.toFixed(4)}</div>
-              <div className="text-right text-slate-300 font-mono">${trade.total.toFixed(2)}</div>
+              <div className="text-right text-slate-300 font-mono">{formatNum(trade.amount, 4)}</div>
+              <div className="text-right text-slate-300 font-mono">{formatNum(trade.total, 2)}</div>
             </motion.div>
           ))}
         </AnimatePresence>
@@ -0,0 +1,179 @@
+// src/components/TradePreview.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { planMarketOrder } from '@/lib/marketOrder';
+import { simulateFill } from '@/lib/fillSimulator';
+
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+function parseOrNull(value, decimals) {
+  try {
+    const v = ethers.parseUnits(String(value).trim(), decimals);
+    return v > 0n ? v : null;
+  } catch { return null; }
+}
+
+const Row = ({ label, children, className = '' }) => (
+  <div className="flex justify-between gap-2">
+    <span className="text-slate-400">{label}</span>
+    <span className={`text-right ${className}`}>{children}</span>
+  </div>
+);
+
+/**
+ * Off-chain preview of what the TradingForm order would do against the live book:
+ * fills per level, average price, impact vs top of book and the resting remainder.
+ * The book only has level totals, so a first estimate treats each level as one maker;
+ * the maker queues of the levels it hits are then loaded and the order is replayed
+ * per maker order, as ClobPair matches it.
+ */
+const TradePreview = ({ pairAddress, book, side, orderType, price, amount, slippageBps }) => {
+  const { account, signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const meta = usePairMeta(pairAddress);
+  const [ownOrders, setOwnOrders] = useState([]);
+  const [queues, setQueues] = useState({ key: null, byPrice: new Map() });
+
+  // Own resting orders are skipped by ClobPair when we are the taker
+  useEffect(() => {
+    if (!client || !pairAddress || !account) { setOwnOrders([]); return; }
+    let cancelled = false;
+    client.getUserOrders(pairAddress, account)
+      .then(list => { if (!cancelled) setOwnOrders(list.filter(o => o.exists)); })
+      .catch(e => console.error("load user orders failed:", e));
+    return () => { cancelled = true; };
+  }, [client, pairAddress, account, book?.lastBlock]);
+
+  const isBuy = side === 'buy';
+  const baseDecimals = meta?.baseDecimals ?? 18;
+  const quoteDecimals = meta?.quoteDecimals ?? 18;
+
+  const plan = useMemo(() => {
+    const baseAmount = parseOrNull(amount, baseDecimals);
+    if (!book || !baseAmount) return { order: null, error: null };
+    const levels = isBuy ? book.asks : book.bids;
+    const own = new Map();
+    for (const o of ownOrders) {
+      if (o.isBid !== isBuy) continue; // only own orders on the side we hit
+      const p = BigInt(o.price);
+      own.set(p, (own.get(p) ?? 0n) + BigInt(o.remaining));
+    }
+    try {
+      let limit;
+      if (orderType === 'market') {
+        limit = planMarketOrder({
+          levels, isBuy, baseAmount,
+          tickSize: book.tickSize,
+          slippageBps: Number(slippageBps) || 0,
+          ownQtyByPrice: own
+        }).limitPrice;
+      } else {
+        limit = parseOrNull(price, 18);
+        if (!limit) return { order: null, error: null };
+      }
+      const order = { levels, isBuy, baseAmount, limitPrice: limit, ownQtyByPrice: own };
+      return { order, levelSim: simulateFill(order), error: null };
+    } catch (e) {
+      return { order: null, error: e?.message || String(e) };
+    }
+  }, [book, ownOrders, isBuy, orderType, price, amount, slippageBps, baseDecimals]);
+
+  // Per-maker queues of the levels the level estimate hits, re-read on every book update
+  const hitPrices = plan.levelSim?.fills.map(f => f.price) ?? [];
+  const queueKey = hitPrices.length ? `${hitPrices.join(',')}@${book?.lastBlock}` : null;
+  useEffect(() => {
+    if (!client || !pairAddress || !queueKey) return;
+    let cancelled = false;
+    client.getLevelQueues(pairAddress, hitPrices, { taker: account })
+      .then(byPrice => { if (!cancelled) setQueues({ key: queueKey, byPrice }); })
+      .catch(e => console.error("load maker queues failed:", e));
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [client, pairAddress, account, queueKey]);
+
+  const { error } = plan;
+  const limitPrice = plan.order?.limitPrice ?? null;
+  const sim = useMemo(() => {
+    if (!plan.order) return null;
+    return queues.key === queueKey ? simulateFill({ ...plan.order, queues: queues.byPrice }) : plan.levelSim;
+  }, [plan, queues, queueKey]);
+
+  const baseSym = meta?.baseSymbol ?? 'base';
+  const quoteSym = meta?.quoteSymbol ?? 'quote';
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs text-slate-200">
+      <div className="flex items-center mb-2">
+        <span className="text-sm font-semibold text-white">Order preview</span>
+        {book?.lastBlock !== null && book?.lastBlock !== undefined && (
+          <span className="ml-auto text-slate-500">book @ block {book.lastBlock}</span>
+        )}
+      </div>
+
+      {error ? (
+        <div className="text-red-400">{error}</div>
+      ) : !sim ? (
+        <div className="text-slate-500">Enter {orderType === 'market' ? 'an amount' : 'a price and amount'} to simulate.</div>
+      ) : (
+        <div className="space-y-1">
+          {sim.fills.length > 0 && (
+            <div className="border border-slate-800 rounded mb-2">
+              <div className="grid grid-cols-3 px-2 py-1 text-slate-400">
+                <div>Price</div>
+                <div className="text-right">Fill ({baseSym})</div>
+                <div className="text-right">{isBuy ? 'Pay' : 'Get'} ({quoteSym})</div>
+              </div>
+              {sim.fills.map(f => (
+                <div key={f.price.toString()} className="grid grid-cols-3 px-2 py-0.5">
+                  <div className={isBuy ? 'text-red-400' : 'text-green-400'}>{format18(f.price)}</div>
+                  <div className="text-right">{formatQty(f.base, baseDecimals)}</div>
+                  <div className="text-right">{formatQty(f.quote, quoteDecimals)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          <Row label="Filled">{formatQty(sim.filledBase, baseDecimals)} {baseSym}</Row>
+          <Row label="Avg price">{sim.avgPrice !== null ? format18(sim.avgPrice) : '—'}</Row>
+          <Row
+            label="Price impact"
+            className={sim.impactBps !== null && sim.impactBps > 100 ? 'text-amber-400' : ''}
+          >
+            {sim.impactBps !== null ? `${sim.impactBps.toFixed(2)} bps` : '—'}
+          </Row>
+          <Row label={isBuy ? 'Quote spent' : 'Quote received'}>{formatQty(sim.filledQuote, quoteDecimals)} {quoteSym}</Row>
+          {orderType === 'market' ? (
+            <Row label="Unfilled (cancelled)">{formatQty(sim.remainingBase, baseDecimals)} {baseSym}</Row>
+          ) : (
+            <Row label="Resting remainder">
+              {sim.rests ? `${formatQty(sim.remainingBase, baseDecimals)} ${baseSym} @ ${format18(limitPrice)}` : 'none'}
+            </Row>
+          )}
+          {sim.lockedQuote !== null && (
+            <Row label="Quote locked up front">{formatQty(sim.lockedQuote, quoteDecimals)} {quoteSym}</Row>
+          )}
+          {sim.zeroQuoteFill && (
+            <div className="text-red-400 pt-1">A fill rounds to 0 {quoteSym}; the pair would revert (ZERO_QUOTE).</div>
+          )}
+          {sim.levelOnly && sim.fills.length > 0 && (
+            <div className="text-slate-500 pt-1">
+              {queues.key === queueKey
+                ? 'Some levels could not be read per maker order and count as one maker.'
+                : 'Loading maker queues; until then each level counts as one maker.'}
+              {' '}On-chain quote can differ by 1 raw unit per extra maker there, and a ZERO_QUOTE revert on a
+              small maker order is not detected.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TradePreview;
@@ -1,38 +1,86 @@
 // src/components/TradingDashboard.jsx
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { ethers } from 'ethers';
 import { TrendingUp, TrendingDown, Activity } from 'lucide-react';
 import WalletConnection from '@/components/WalletConnection';
 import MarketStats from '@/components/MarketStats';
+import PriceChart from '@/components/PriceChart';
 import OrderBook from '@/components/OrderBook';
+import DepthChart from '@/components/DepthChart';
 import TradingForm from '@/components/TradingForm';
+import LadderOrderForm from '@/components/LadderOrderForm';
 import UserOrders from '@/components/UserOrders';
+import ConditionalOrders from '@/components/ConditionalOrders';
+import BracketOrderForm from '@/components/BracketOrderForm';
+import ExecutionOrders from '@/components/ExecutionOrders';
 import RecentTrades from '@/components/RecentTrades';
+import VaultPanel from '@/components/VaultPanel';
+import VaultGovernance from '@/components/VaultGovernance';
+import PairWizard from '@/components/PairWizard';
 import { useWeb3 } from '@/hooks/useWeb3';
 import { useContracts } from '@/hooks/useContracts';
+import { useMarketStats } from '@/hooks/useMarketStats';
+import { usePairMeta } from '@/hooks/usePairMeta';
+import { useOrderBook } from '@/hooks/useOrderBook';
+import { useTrading } from '@/hooks/useTrading';
+import { computeSpread } from '@/lib/marketStats';
+
+const fmtPrice = (x) => (x === null || !Number.isFinite(x) ? '—' : x.toLocaleString(undefined, { maximumFractionDigits: 6 }));
 
 const TradingDashboard = () => {
-  const [selectedPair, setSelectedPair] = useState('');  // clob pair address
+  const { pairAddress: selectedPair, setPairAddress: setSelectedPair } = useTrading();  // clob pair address
   const [pairList, setPairList] = useState([]);          // all pairs from factory
-  const [currentPrice, setCurrentPrice] = useState(2500);
-  const [priceChange, setPriceChange] = useState(0);
+  const [pairLabels, setPairLabels] = useState({});      // pair -> "BASE/QUOTE · tick"
+  const [showWizard, setShowWizard] = useState(false);
 
   const { signer } = useWeb3();
-  const { getAllPairs } = useContracts(signer);
+  const { client, getAllPairs } = useContracts(signer);
+  const { stats, bestBidAsk, loading: statsLoading } = useMarketStats(selectedPair);
+  const pairMeta = usePairMeta(selectedPair);
+  const book = useOrderBook(selectedPair);
+  const spread = computeSpread({ ...bestBidAsk, ...(pairMeta || {}) });
+  const headlinePrice = stats.lastPrice ?? spread.mid;
+  const priceChange = stats.change24h ?? 0;
+
+  const loadPairs = async () => {
+    try {
+      const list = await getAllPairs();
+      setPairList(list || []);
+      if (!selectedPair && list?.length) setSelectedPair(list[0]);
+    } catch (e) {
+      console.error('load pairs failed:', e);
+      setPairList([]);
+    }
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { loadPairs(); }, [signer]);
+
+  const openCreatedPair = async (pair) => {
+    await loadPairs();
+    setSelectedPair(pair);
+    setShowWizard(false);
+  };
 
+  // Resolve token symbols for the selector
   useEffect(() => {
+    if (!client || !pairList.length) return;
+    let cancelled = false;
     (async () => {
-      try {
-        const list = await getAllPairs();
-        setPairList(list || []);
-        if (!selectedPair && list?.length) setSelectedPair(list[0]);
-      } catch (e) {
-        console.error('load pairs failed:', e);
-        setPairList([]);
+      const labels = {};
+      for (const p of pairList) {
+        try {
+          const m = await client.getPairMeta(p);
+          labels[p] = `${m.baseSymbol}/${m.quoteSymbol} · tick ${ethers.formatUnits(m.tickSize, 18)}`;
+        } catch (e) {
+          console.warn('pair label failed:', p, e);
+        }
       }
+      if (!cancelled) setPairLabels(labels);
     })();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [signer]);
+    return () => { cancelled = true; };
+  }, [client, pairList]);
 
   return (
     <div className="min-h-screen p-4 flex flex-col space-y-4">
@@ -62,21 +110,35 @@ const TradingDashboard = () => {
                 {pairList.length === 0 && <option value="">No pairs</option>}
                 {pairList.map((p) => (
                   <option key={p} value={p}>
-                    {p.slice(0, 6)}...{p.slice(-4)}
+                    {pairLabels[p] ?? `${p.slice(0, 6)}...${p.slice(-4)}`}
                   </option>
                 ))}
               </select>
+              <button className="text-xs text-sky-400" onClick={() => setShowWizard(!showWizard)}>
+                {showWizard ? 'Close' : '+ New pair'}
+              </button>
             </div>
           </div>
 
           <div className="flex items-center space-x-4">
+            <div className="text-right text-xs text-slate-400 space-y-0.5">
+              <div>Mid <span className="text-white font-mono">{fmtPrice(spread.mid)}</span></div>
+              <div>
+                Spread{' '}
+                <span className="text-white font-mono">
+                  {spread.spreadTicks === null ? '—' : `${spread.spreadTicks} ticks · ${spread.spreadBps.toFixed(2)} bps`}
+                </span>
+              </div>
+            </div>
             <div className="text-right">
               <div className="text-2xl font-bold text-white">
-                ${currentPrice.toFixed(2)}
+                {fmtPrice(headlinePrice)}
+                {pairMeta && <span className="text-sm text-slate-400 ml-1">{pairMeta.quoteSymbol}</span>}
               </div>
               <div className={`flex items-center justify-end text-sm ${priceChange >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                 {priceChange >= 0 ? <TrendingUp className="h-4 w-4 mr-1" /> : <TrendingDown className="h-4 w-4 mr-1" />}
-                {priceChange >= 0 ? '+' : ''}{priceChange.toFixed(2)}%
+                {stats.change24h === null ? '—' : `${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%`}
+                <span className="text-slate-500 ml-1">24h</span>
               </div>
             </div>
             <WalletConnection />
@@ -84,11 +146,27 @@ const TradingDashboard = () => {
         </div>
       </motion.header>
 
+      {showWizard && (
+        <div className="flex-shrink-0">
+          <PairWizard onReady={openCreatedPair} />
+        </div>
+      )}
+
       {/* Market Stats */}
       <div className="flex-shrink-0">
-        <MarketStats currentPrice={currentPrice} />
+        <MarketStats stats={stats} loading={statsLoading} />
       </div>
 
+      {/* Price Chart */}
+      <motion.section
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.05 }}
+        className="flex-shrink-0"
+      >
+        <PriceChart pairAddress={selectedPair} />
+      </motion.section>
+
       {/* Main */}
       <main className="flex-grow grid grid-cols-1 lg:grid-cols-3 gap-4 min-h-0">
         {/* Order Book */}
@@ -96,9 +174,10 @@ const TradingDashboard = () => {
           initial={{ opacity: 0, x: -20 }}
           animate={{ opacity: 1, x: 0 }}
           transition={{ delay: 0.1 }}
-          className="lg:col-span-1 min-h-0"
+          className="lg:col-span-1 min-h-0 space-y-4"
         >
-          <OrderBook pairAddress={selectedPair} />
+          <OrderBook pairAddress={selectedPair} book={book} />
+          <DepthChart pairAddress={selectedPair} book={book} meta={pairMeta} />
         </motion.div>
 
         {/* Trading Form - now tied to selectedPair */}
@@ -106,9 +185,11 @@ const TradingDashboard = () => {
           initial={{ opacity: 0, x: 20 }}
           animate={{ opacity: 1, x: 0 }}
           transition={{ delay: 0.3 }}
-          className="lg:col-span-1 min-h-0"
+          className="lg:col-span-1 min-h-0 space-y-4"
         >
-          <TradingForm pairAddress={selectedPair} />
+          <TradingForm pairAddress={selectedPair} book={book} />
+          <LadderOrderForm pairAddress={selectedPair} />
+          <BracketOrderForm pairAddress={selectedPair} />
         </motion.div>
 
         {/* User Orders */}
@@ -116,9 +197,11 @@ const TradingDashboard = () => {
           initial={{ opacity: 0, x: 20 }}
           animate={{ opacity: 1, x: 0 }}
           transition={{ delay: 0.4 }}
-          className="lg:col-span-1 min-h-0"
+          className="lg:col-span-1 min-h-0 space-y-4"
         >
           <UserOrders pairAddress={selectedPair} />
+          <ConditionalOrders pairAddress={selectedPair} />
+          <ExecutionOrders pairAddress={selectedPair} />
         </motion.div>
       </main>
 
@@ -127,9 +210,11 @@ const TradingDashboard = () => {
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.4 }}
-        className="flex-shrink-0"
+        className="flex-shrink-0 space-y-4"
       >
-        <RecentTrades />
+        <VaultPanel />
+        <VaultGovernance />
+        <RecentTrades pairAddress={selectedPair} />
       </motion.footer>
     </div>
   );
@@ -1,19 +1,42 @@
 // src/components/TradingForm.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
 import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
 import { useWeb3 } from '@/hooks/useWeb3';
 import { useContracts } from '@/hooks/useContracts';
+import { useTrading } from '@/hooks/useTrading';
+import TradePreview from '@/components/TradePreview';
+import { FAR_THROUGH_BPS, checkPostOnly, throughMarketBps } from '@/lib/orderGuards';
+import { getOrderExpiry } from '@/lib/eip712';
+
+// Time-in-force presets: minutes from now, plus GTC, custom minutes and an absolute time (GTT)
+const EXPIRY_PRESETS = [
+  { value: 'gtc', label: 'Good till cancel' },
+  { value: '15', label: '15 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '1440', label: '1 day' },
+  { value: '10080', label: '7 days' },
+  { value: 'custom', label: 'Good for N minutes' },
+  { value: 'gtt', label: 'Good till time' }
+];
 
 /**
  * Simple limit-order form that always uses the selected ClobPair.
  * It auto-reads base/quote from on-chain, and places order via Router.
  * Price is 18-dec fixed (quote per 1 base). Amount is in base token units (human).
  */
-const TradingForm = ({ pairAddress }) => {
+const TradingForm = ({ pairAddress, book }) => {
   const { account, signer } = useWeb3();
-  const { placeLimitOrder, getPairInfo, getDecimals } = useContracts(signer);
+  const { client, placeLimitOrder, placeMarketOrder } = useContracts(signer);
 
   const [side, setSide] = useState('buy'); // 'buy' | 'sell'
+  const [orderType, setOrderType] = useState('limit'); // 'limit' | 'market' (IOC)
+  const [slippageBps, setSlippageBps] = useState('50');
+  const [postOnly, setPostOnly] = useState('off'); // 'off' | 'reject' | 'reprice'
+  const [expiryPreset, setExpiryPreset] = useState('gtc');
+  const [expiryMinutes, setExpiryMinutes] = useState('30');
+  const [expiryAt, setExpiryAt] = useState(''); // datetime-local value
   const [price, setPrice] = useState('');  // human string, 18-dec
   const [amount, setAmount] = useState(''); // human string in base decimals
 
@@ -22,30 +45,66 @@ const TradingForm = ({ pairAddress }) => {
   const [baseDecimals, setBaseDecimals] = useState(18);
   const [tickSize, setTickSize] = useState(0n);
 
+  // Apply values pushed from the order book (click-to-fill)
+  const { draft } = useTrading();
   useEffect(() => {
-    (async () => {
-      if (!pairAddress) { setBaseToken(''); setQuoteToken(''); return; }
+    if (!draft.seq) return;
+    if (draft.side) setSide(draft.side);
+    if (draft.price !== null) setPrice(draft.price);
+    if (draft.amount !== null) setAmount(draft.amount);
+  }, [draft]);
+
+  const loadPair = useCallback(async () => {
+    if (!client || !pairAddress) { setBaseToken(''); setQuoteToken(''); return; }
+    try {
+      const info = await client.getPairInfo(pairAddress);
+      setBaseToken(info.base);
+      setQuoteToken(info.quote);
+      setTickSize(info.tickSize);
       try {
-        const info = await getPairInfo(pairAddress);
-        setBaseToken(info.base);
-        setQuoteToken(info.quote);
-        setTickSize(info.tickSize);
-        try {
-          const dec = await getDecimals(info.base);
-          setBaseDecimals(dec || 18);
-        } catch { setBaseDecimals(18); }
-      } catch (e) {
-        console.error("load pair info failed:", e);
-      }
-    })();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pairAddress]);
+        const dec = await client.getDecimals(info.base);
+        setBaseDecimals(dec || 18);
+      } catch { setBaseDecimals(18); }
+    } catch (e) {
+      console.error("load pair info failed:", e);
+    }
+  }, [client, pairAddress]);
+
+  useEffect(() => { loadPair(); }, [loadPair]);
+
+  // Crossing check against the live book; the client re-checks right before signing
+  const guard = useMemo(() => {
+    if (orderType !== 'limit' || !book || !tickSize) return null;
+    let price18;
+    try { price18 = ethers.parseUnits(price, 18); } catch { return null; }
+    if (price18 <= 0n) return null;
+    const isBid = side === 'buy';
+    const best = { bestBid: book.bids[0]?.price ?? null, bestAsk: book.asks[0]?.price ?? null };
+    return {
+      ...checkPostOnly({ price: price18, isBid, tickSize, ...best }),
+      throughBps: throughMarketBps({ price: price18, isBid, ...best })
+    };
+  }, [orderType, book, tickSize, price, side]);
+  const farThrough = postOnly === 'off' && guard && guard.throughBps > FAR_THROUGH_BPS;
+
+  // Absolute expiry (unix seconds) for the selected time in force; 0 = GTC
+  const resolveExpiry = () => {
+    if (expiryPreset === 'gtc') return 0;
+    if (expiryPreset === 'gtt') {
+      const t = Math.floor(new Date(expiryAt).getTime() / 1000);
+      if (!Number.isFinite(t) || t <= Math.floor(Date.now() / 1000)) throw new Error('Pick an expiry time in the future');
+      return t;
+    }
+    const minutes = Number(expiryPreset === 'custom' ? expiryMinutes : expiryPreset);
+    if (!Number.isInteger(minutes) || minutes <= 0) throw new Error('Enter a whole number of minutes');
+    return getOrderExpiry(minutes);
+  };
 
   const onSubmit = async (e) => {
     e.preventDefault();
     if (!account) return;
 
-    if (!price || Number(price) <= 0) {
+    if (orderType === 'limit' && (!price || Number(price) <= 0)) {
       alert('Enter a positive price');
       return;
     }
@@ -58,6 +117,46 @@ const TradingForm = ({ pairAddress }) => {
       return;
     }
 
+    if (orderType === 'market') {
+      try {
+        const res = await placeMarketOrder({
+          pairAddress,
+          maker: account,
+          baseAmountHuman: amount,
+          isSellBase: side === 'sell',
+          slippageBps: Number(slippageBps) || 0,
+          autoFund: true,
+          usePermit: true
+        });
+        toast({
+          title: res.filledBase > 0n ? "Market order filled" : "Market order not filled",
+          description:
+            `Filled ${ethers.formatUnits(res.filledBase, baseDecimals)} base` +
+            (res.avgPrice !== null ? ` @ avg ${ethers.formatUnits(res.avgPrice, 18)}` : '') +
+            (res.cancelledRemainder ? ' · remainder cancelled' : '')
+        });
+        setAmount('');
+      } catch (e) {
+        console.error("market order failed:", e);
+        toast({ title: "Market order failed", description: e?.shortMessage || e?.message, variant: "destructive" });
+      }
+      return;
+    }
+
+    let expirySec;
+    try {
+      expirySec = resolveExpiry();
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+
+    if (farThrough && !window.confirm(
+      `Price is ${(guard.throughBps / 100).toFixed(2)}% through the best ${side === 'buy' ? 'ask' : 'bid'} and will take liquidity up to it. Submit anyway?`
+    )) {
+      return;
+    }
+
     try {
       await placeLimitOrder({
         maker: account,
@@ -67,6 +166,9 @@ const TradingForm = ({ pairAddress }) => {
         baseDecimals,
         priceHuman: price,          // 18-dec fixed
         isSellBase: side === 'sell',
+        expirySec,
+        pairAddress,
+        postOnly: postOnly === 'off' ? null : postOnly,
         autoFund: true,
         usePermit: true
       });
@@ -75,74 +177,170 @@ const TradingForm = ({ pairAddress }) => {
     } catch (e) {
       console.error("place order failed:", e);
       // toast đã hiển thị trong hook; ở đây giữ yên
+      if (e?.message?.startsWith('Post-only')) {
+        toast({ title: "Order not placed", description: e.message, variant: "destructive" });
+      }
     }
   };
 
   return (
-    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
-      <div className="flex items-center gap-2 mb-3">
-        <Button
-          variant={side === 'buy' ? 'default' : 'secondary'}
-          className={`h-8 px-4 ${side === 'buy' ? '' : 'opacity-60'}`}
-          onClick={() => setSide('buy')}
-        >
-          Buy
-        </Button>
-        <Button
-          variant={side === 'sell' ? 'default' : 'secondary'}
-          className={`h-8 px-4 ${side === 'sell' ? '' : 'opacity-60'}`}
-          onClick={() => setSide('sell')}
-        >
-          Sell
-        </Button>
-        <div className="ml-auto text-xs text-slate-400">
-          tickSize: {tickSize.toString()}
+    <div className="space-y-4">
+      <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
+        <div className="flex items-center gap-2 mb-3">
+          <Button
+            variant={side === 'buy' ? 'default' : 'secondary'}
+            className={`h-8 px-4 ${side === 'buy' ? '' : 'opacity-60'}`}
+            onClick={() => setSide('buy')}
+          >
+            Buy
+          </Button>
+          <Button
+            variant={side === 'sell' ? 'default' : 'secondary'}
+            className={`h-8 px-4 ${side === 'sell' ? '' : 'opacity-60'}`}
+            onClick={() => setSide('sell')}
+          >
+            Sell
+          </Button>
+          <select
+            className="bg-slate-800/50 rounded px-2 py-1 text-xs text-white"
+            value={orderType}
+            onChange={(e) => setOrderType(e.target.value)}
+          >
+            <option value="limit">Limit</option>
+            <option value="market">Market (IOC)</option>
+          </select>
+          <div className="ml-auto text-xs text-slate-400">
+            tickSize: {tickSize.toString()}
+          </div>
         </div>
-      </div>
 
-      <form onSubmit={onSubmit} className="space-y-3">
-        <div>
-          <div className="text-xs text-slate-400 mb-1">Base token</div>
-          <input
-            readOnly
-            value={baseToken || ''}
-            className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
-          />
-        </div>
+        <form onSubmit={onSubmit} className="space-y-3">
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Base token</div>
+            <input
+              readOnly
+              value={baseToken || ''}
+              className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+            />
+          </div>
 
-        <div>
-          <div className="text-xs text-slate-400 mb-1">Quote token</div>
-          <input
-            readOnly
-            value={quoteToken || ''}
-            className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
-          />
-        </div>
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Quote token</div>
+            <input
+              readOnly
+              value={quoteToken || ''}
+              className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+            />
+          </div>
 
-        <div>
-          <div className="text-xs text-slate-400 mb-1">Price (quote per 1 base, 18-dec)</div>
-          <input
-            placeholder="e.g. 1.0"
-            value={price}
-            onChange={(e)=>setPrice(e.target.value)}
-            className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
-          />
-        </div>
+          {orderType === 'limit' ? (
+            <div>
+              <div className="text-xs text-slate-400 mb-1">Price (quote per 1 base, 18-dec)</div>
+              <div className="flex gap-2">
+                <input
+                  placeholder="e.g. 1.0"
+                  value={price}
+                  onChange={(e)=>setPrice(e.target.value)}
+                  className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+                />
+                <select
+                  className="bg-slate-800/60 rounded px-2 text-xs text-white"
+                  value={postOnly}
+                  onChange={(e) => setPostOnly(e.target.value)}
+                  title="Post-only: never take liquidity"
+                >
+                  <option value="off">Post-only off</option>
+                  <option value="reject">Post-only: reject</option>
+                  <option value="reprice">Post-only: reprice</option>
+                </select>
+              </div>
+              {guard?.crosses && postOnly !== 'off' && (
+                <div className="text-xs text-amber-300 mt-1">
+                  Crosses the best {side === 'buy' ? 'ask' : 'bid'} ({ethers.formatUnits(guard.opposing, 18)}):{' '}
+                  {postOnly === 'reprice' && guard.repriced !== null
+                    ? `will be repriced to ${ethers.formatUnits(guard.repriced, 18)}`
+                    : 'will be rejected'}
+                </div>
+              )}
+              {farThrough && (
+                <div className="text-xs text-red-400 mt-1">
+                  {(guard.throughBps / 100).toFixed(2)}% through the best {side === 'buy' ? 'ask' : 'bid'}: this order takes liquidity up to that price.
+                </div>
+              )}
+            </div>
+          ) : (
+            <div>
+              <div className="text-xs text-slate-400 mb-1">Slippage tolerance (bps beyond the worst level)</div>
+              <input
+                placeholder="e.g. 50"
+                value={slippageBps}
+                onChange={(e)=>setSlippageBps(e.target.value)}
+                className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+              />
+            </div>
+          )}
 
-        <div>
-          <div className="text-xs text-slate-400 mb-1">Amount (base token)</div>
-          <input
-            placeholder="e.g. 2"
-            value={amount}
-            onChange={(e)=>setAmount(e.target.value)}
-            className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
-          />
-        </div>
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Amount (base token)</div>
+            <input
+              placeholder="e.g. 2"
+              value={amount}
+              onChange={(e)=>setAmount(e.target.value)}
+              className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+            />
+          </div>
+
+          {orderType === 'limit' && (
+            <div>
+              <div className="text-xs text-slate-400 mb-1">Expiry</div>
+              <div className="flex gap-2">
+                <select
+                  className="bg-slate-800/60 rounded px-2 py-2 text-xs text-white"
+                  value={expiryPreset}
+                  onChange={(e) => setExpiryPreset(e.target.value)}
+                >
+                  {EXPIRY_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                </select>
+                {expiryPreset === 'custom' && (
+                  <input
+                    placeholder="Minutes"
+                    value={expiryMinutes}
+                    onChange={(e) => setExpiryMinutes(e.target.value)}
+                    className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+                  />
+                )}
+                {expiryPreset === 'gtt' && (
+                  <input
+                    type="datetime-local"
+                    value={expiryAt}
+                    onChange={(e) => setExpiryAt(e.target.value)}
+                    className="w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white"
+                  />
+                )}
+              </div>
+              {expiryPreset !== 'gtc' && (
+                <div className="text-xs text-slate-500 mt-1">
+                  The unfilled remainder stops matching at expiry; its funds stay locked until the book sweeps it or you release it from Open Orders.
+                </div>
+              )}
+            </div>
+          )}
+
+          <Button type="submit" className="w-full h-9 mt-2">
+            Submit Order
+          </Button>
+        </form>
+      </div>
 
-        <Button type="submit" className="w-full h-9 mt-2">
-          Submit Order
-        </Button>
-      </form>
+      <TradePreview
+        pairAddress={pairAddress}
+        book={book}
+        side={side}
+        orderType={orderType}
+        price={price}
+        amount={amount}
+        slippageBps={slippageBps}
+      />
     </div>
   );
 };
@@ -1,57 +1,370 @@
-import { useEffect, useState } from 'react';
+// src/components/UserOrders.jsx
+import React, { useEffect, useRef, useState } from 'react';
 import { ethers } from 'ethers';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
 
-const PAIR_ABI = [
-  "function getUserOrders(address) view returns (bytes32[])",
-  "function getOrderDetails(bytes32) view returns (bool,bool,uint256,uint64,address)"
-];
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+const short = (h) => `${h.slice(0, 8)}…${h.slice(-6)}`;
 
-const UserOrders = ({ factory, provider, user }) => {
+function formatCountdown(sec) {
+  if (sec >= 86400) return `${Math.floor(sec / 86400)}d ${Math.floor((sec % 86400) / 3600)}h`;
+  if (sec >= 3600) return `${Math.floor(sec / 3600)}h ${Math.floor((sec % 3600) / 60)}m`;
+  if (sec >= 60) return `${Math.floor(sec / 60)}m ${sec % 60}s`;
+  return `${sec}s`;
+}
+
+// How often a past-expiry order is re-checked until the chain reports EXPIRED
+const EXPIRY_RECHECK_MS = 5000;
+
+// Amends whose cancel landed but whose replacement did not, kept per wallet until re-placed or dismissed
+const unreplacedKey = (account) => `clob.unreplaced.${account.toLowerCase()}`;
+function readUnreplaced(account) {
+  try { return JSON.parse(localStorage.getItem(unreplacedKey(account)) ?? '[]'); } catch { return []; }
+}
+
+/**
+ * Open orders of the connected wallet, for the selected pair or across all pairs,
+ * with single, selected, per-side and cancel-all actions (batchCancelOrders).
+ * GTT orders show a countdown and turn EXPIRED once getOrderInfo or an OrderExpired
+ * event confirms it. An amend that cancelled the old order but failed to place the
+ * new one stays listed as "not replaced" until it is placed again or dismissed.
+ */
+const UserOrders = ({ pairAddress }) => {
+  const { account, signer } = useWeb3();
+  const {
+    client, loading: txLoading, cancelOrderByHash, releaseExpiredOrder, cancelOrdersBatch, amendOrder, placeLimitOrder
+  } = useContracts(signer);
+
+  const [scope, setScope] = useState('pair'); // 'pair' | 'all'
   const [orders, setOrders] = useState([]);
+  const [selected, setSelected] = useState(() => new Set());
+  const [failures, setFailures] = useState(() => new Map()); // hash -> reason from BatchFailed
   const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // { hash, price, amount }
+  const [amendNotice, setAmendNotice] = useState(null); // { ok, text }
+  const [unreplaced, setUnreplaced] = useState([]); // see readUnreplaced
+  const [expired, setExpired] = useState(() => new Map()); // hash -> { swept } once confirmed on-chain
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const lastExpiryCheck = useRef(new Map()); // hash -> ms of the last getOrderInfo
 
   const load = async () => {
-    if (!factory || !provider || !user) { setOrders([]); return; }
+    if (!client || !account || (scope === 'pair' && !pairAddress)) { setOrders([]); return; }
     try {
       setLoading(true);
-      const pairs = await factory.getAllPairs();
-      const out = [];
-      for (const p of pairs) {
-        const cp = new ethers.Contract(p, PAIR_ABI, provider);
-        const hashes = await cp.getUserOrders(user);
-        for (const h of hashes) {
-          const [exists, isBid, price, remaining, maker] = await cp.getOrderDetails(h);
-          out.push({ pair: p, hash: h, exists, isBid, price, remaining, maker });
-        }
-      }
-      setOrders(out);
+      const list = await client.getOpenOrders(account, { pairs: scope === 'pair' ? [pairAddress] : null });
+      const withMeta = await Promise.all(list.map(async o => ({
+        ...o,
+        meta: await client.getPairMeta(o.pair),
+        expiry: await client.getOrderExpiry(o.pair, o.hash).catch(() => null)
+      })));
+      setOrders(withMeta);
+      setSelected(prev => new Set(withMeta.filter(o => prev.has(o.hash)).map(o => o.hash)));
     } catch (e) {
-      console.error(e); setOrders([]);
+      console.error("load open orders failed:", e);
+      setOrders([]);
     } finally {
       setLoading(false);
     }
   };
 
-  useEffect(() => { load(); /* eslint-disable-next-line */ }, [factory, provider, user]);
+  useEffect(() => { load(); /* eslint-disable-next-line */ }, [client, account, pairAddress, scope]);
+
+  useEffect(() => { setUnreplaced(account ? readUnreplaced(account) : []); }, [account]);
+
+  const saveUnreplaced = (list) => {
+    setUnreplaced(list);
+    localStorage.setItem(unreplacedKey(account), JSON.stringify(list));
+  };
+
+  // Tick countdowns while any order has an expiry
+  const hasExpiry = orders.some(o => o.expiry > 0);
+  useEffect(() => {
+    if (!hasExpiry) return;
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(t);
+  }, [hasExpiry]);
+
+  // Past its expiry by the local clock: confirm with the chain (block time can lag)
+  useEffect(() => {
+    if (!client) return;
+    for (const o of orders) {
+      if (!(o.expiry > 0) || now <= o.expiry || expired.has(o.hash)) continue;
+      const last = lastExpiryCheck.current.get(o.hash) ?? 0;
+      if (Date.now() - last < EXPIRY_RECHECK_MS) continue;
+      lastExpiryCheck.current.set(o.hash, Date.now());
+      client.getOrderInfo(o.pair, o.hash)
+        .then(info => {
+          if (info.status === 'EXPIRED') setExpired(prev => new Map(prev).set(o.hash, { swept: prev.get(o.hash)?.swept ?? false }));
+        })
+        .catch(e => console.error("order status check failed:", e));
+    }
+  }, [client, orders, now, expired]);
+
+  // Swept off the book (matching or cleanupExpiredOrders): funds were released
+  const pairsKey = [...new Set(orders.map(o => o.pair.toLowerCase()))].sort().join(',');
+  useEffect(() => {
+    if (!client || !account || !pairsKey) return;
+    const offs = pairsKey.split(',').map(pair => client.subscribeOrderExpiries(pair, account, (hash) => {
+      setExpired(prev => new Map(prev).set(hash, { swept: true }));
+    }));
+    return () => offs.forEach(off => off());
+  }, [client, account, pairsKey]);
+
+  const toggle = (hash) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(hash)) next.delete(hash); else next.add(hash);
+    return next;
+  });
+
+  // Past expiry, confirmed or by the local clock: the Router refuses these, the pair releases them
+  const isExpired = (o) => expired.has(o.hash) || (o.expiry > 0 && o.expiry <= now);
+
+  const cancelMany = async (list, label) => {
+    if (!list.length) return;
+    if (list.length > 1 && !window.confirm(`${label}: cancel ${list.length} orders? Each one needs a signature.`)) return;
+    const stale = list.filter(isExpired);
+    const live = list.filter(o => !isExpired(o));
+    try {
+      const results = [];
+      // Expired orders: one maker-only ClobPair.cancelOrderByHash each
+      for (const o of stale) {
+        try {
+          await releaseExpiredOrder(o.pair, o.hash);
+          results.push({ pair: o.pair, hash: o.hash, ok: true, reason: null });
+        } catch (e) {
+          results.push({ pair: o.pair, hash: o.hash, ok: false, reason: e?.shortMessage || e?.reason || e?.message });
+        }
+      }
+      if (live.length === 1) {
+        // A single own order needs no signature: cancel it directly by hash
+        await cancelOrderByHash(live[0].hash);
+        results.push({ pair: live[0].pair, hash: live[0].hash, ok: true, reason: null });
+      } else if (live.length) {
+        results.push(...(await cancelOrdersBatch(account, live.map(o => ({ pair: o.pair, hash: o.hash })))).results);
+      }
+      const failed = results.filter(r => !r.ok);
+      setFailures(new Map(failed.map(r => [r.hash, r.reason])));
+      if (failed.length) {
+        toast({
+          title: `${results.length - failed.length}/${results.length} orders cancelled`,
+          description: [...new Set(failed.map(r => r.reason))].join('; '),
+          variant: "destructive"
+        });
+      }
+    } catch (e) {
+      console.error("cancel failed:", e);
+    }
+    await load();
+  };
+
+  const startEdit = (o) => setEditing({
+    hash: o.hash,
+    price: format18(o.price),
+    amount: formatQty(o.remaining, o.meta?.baseDecimals ?? 18)
+  });
+
+  const saveEdit = async (o) => {
+    setAmendNotice(null);
+    try {
+      const res = await amendOrder({
+        pairAddress: o.pair,
+        maker: account,
+        orderHash: o.hash,
+        newPriceHuman: editing.price,
+        newBaseAmountHuman: editing.amount
+      });
+      setEditing(null);
+      if (res.placed) {
+        setAmendNotice({ ok: true, text: `Order amended${res.rested ? '' : ' and filled on arrival'}.` });
+      } else {
+        const reason = res.error?.shortMessage || res.error?.message || 'unknown error';
+        saveUnreplaced([...unreplaced, {
+          hash: o.hash, pair: o.pair, isBid: o.isBid,
+          base: o.meta.base, quote: o.meta.quote, baseDecimals: o.meta.baseDecimals,
+          label: `${o.meta.baseSymbol}/${o.meta.quoteSymbol}`,
+          price: editing.price, amount: editing.amount, expiry: o.expiry ?? 0, reason
+        }]);
+        setAmendNotice({
+          ok: false,
+          text: `Old order was cancelled but the replacement failed: ${reason}. Your funds are back in the vault.`
+        });
+      }
+    } catch (e) {
+      console.error("amend failed:", e);
+      setAmendNotice({ ok: false, text: `Amend failed, original order untouched: ${e?.shortMessage || e?.message}` });
+    }
+    await load();
+  };
+
+  const placeAgain = async (u) => {
+    try {
+      await placeLimitOrder({
+        maker: account, baseToken: u.base, quoteToken: u.quote,
+        baseAmountHuman: u.amount, baseDecimals: u.baseDecimals,
+        priceHuman: u.price, isSellBase: !u.isBid,
+        expirySec: u.expiry, pairAddress: u.pair
+      });
+      saveUnreplaced(unreplaced.filter(x => x.hash !== u.hash));
+    } catch (e) {
+      console.error("re-place failed:", e);
+      saveUnreplaced(unreplaced.map(x => (x.hash === u.hash ? { ...x, reason: e?.shortMessage || e?.message } : x)));
+    }
+    await load();
+  };
+
+  if (!account) return null;
+
+  // Swept orders are already off the book; there is nothing left to cancel
+  const cancellable = orders.filter(o => !expired.get(o.hash)?.swept);
+  const bids = cancellable.filter(o => o.isBid);
+  const asks = cancellable.filter(o => !o.isBid);
+  const picked = cancellable.filter(o => selected.has(o.hash));
+  const busy = loading || txLoading;
+  const actionCls = "text-xs px-2 py-1 rounded bg-slate-800 text-slate-200 hover:bg-slate-700 disabled:opacity-40";
 
-  if (!user) return null;
   return (
     <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4">
       <div className="flex items-center justify-between mb-2">
         <h3 className="text-sm font-semibold text-white">Your Open Orders</h3>
-        <button className="text-xs text-sky-400" onClick={load} disabled={loading}>{loading ? 'Refreshing...' : 'Refresh'}</button>
+        <div className="flex items-center gap-2">
+          <select
+            className="bg-slate-800/50 rounded px-2 py-1 text-xs text-white"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+          >
+            <option value="pair">This pair</option>
+            <option value="all">All pairs</option>
+          </select>
+          <button className="text-xs text-sky-400" onClick={load} disabled={loading}>{loading ? 'Refreshing...' : 'Refresh'}</button>
+        </div>
       </div>
-      <div className="space-y-2">
-        {orders.length === 0 ? <div className="text-slate-500 text-sm">No open orders</div> :
-          orders.map(o => (
-            <div key={o.hash} className="text-xs text-slate-300 border border-slate-700/50 rounded p-2">
-              <div>Pair: {o.pair}</div>
-              <div>Hash: {o.hash}</div>
-              <div>Side: {o.isBid ? 'BUY' : 'SELL'}</div>
-              <div>Price: {o.price.toString()}</div>
-              <div>Remaining: {o.remaining.toString()}</div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <button className={actionCls} disabled={busy || !picked.length} onClick={() => cancelMany(picked, 'Cancel selected')}>
+          Cancel selected ({picked.length})
+        </button>
+        <button className={actionCls} disabled={busy || !bids.length} onClick={() => cancelMany(bids, 'Cancel all bids')}>
+          Cancel bids ({bids.length})
+        </button>
+        <button className={actionCls} disabled={busy || !asks.length} onClick={() => cancelMany(asks, 'Cancel all asks')}>
+          Cancel asks ({asks.length})
+        </button>
+        <button className={`${actionCls} text-red-300`} disabled={busy || !cancellable.length} onClick={() => cancelMany(cancellable, 'Cancel all')}>
+          Cancel all ({cancellable.length})
+        </button>
+      </div>
+
+      {amendNotice && (
+        <div
+          className={`text-xs rounded p-2 mb-2 cursor-pointer ${amendNotice.ok ? 'bg-green-500/10 text-green-300' : 'bg-red-500/10 text-red-300'}`}
+          title="Dismiss"
+          onClick={() => setAmendNotice(null)}
+        >
+          {amendNotice.text}
+        </div>
+      )}
+
+      {unreplaced.length > 0 && (
+        <div className="space-y-1 mb-2">
+          {unreplaced.map(u => (
+            <div key={u.hash} className="text-xs rounded p-2 bg-red-500/10 text-red-300">
+              <div className="flex justify-between">
+                <span>
+                  <span className="mr-2 px-1 rounded bg-red-500/20">NOT REPLACED</span>
+                  {u.isBid ? 'BUY' : 'SELL'} {u.amount} {u.label} @ {u.price}
+                </span>
+                <span className="flex gap-3">
+                  <button className="text-sky-400 disabled:opacity-40" disabled={busy} onClick={() => placeAgain(u)}>Place again</button>
+                  <button className="text-slate-400" onClick={() => saveUnreplaced(unreplaced.filter(x => x.hash !== u.hash))}>Dismiss</button>
+                </span>
+              </div>
+              <div className="text-red-300/80" title={u.hash}>
+                Amend of {short(u.hash)} cancelled it, but the replacement failed: {u.reason}
+              </div>
             </div>
-          ))
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-96 overflow-auto">
+        {orders.length === 0 ? <div className="text-slate-500 text-sm">No open orders</div> :
+          orders.map(o => {
+            const exp = expired.get(o.hash);
+            return (
+              <div key={o.hash} className={`flex gap-2 text-xs text-slate-300 border border-slate-700/50 rounded p-2 ${exp ? 'opacity-70' : ''}`}>
+                <input type="checkbox" checked={selected.has(o.hash)} disabled={!!exp?.swept} onChange={() => toggle(o.hash)} />
+                <div className="flex-1 min-w-0">
+                  <div className="flex justify-between">
+                    <span className={o.isBid ? 'text-green-400' : 'text-red-400'}>
+                      {o.isBid ? 'BUY' : 'SELL'} {o.meta ? `${o.meta.baseSymbol}/${o.meta.quoteSymbol}` : short(o.pair)}
+                      {exp && <span className="ml-2 px-1 rounded bg-amber-500/20 text-amber-300">EXPIRED</span>}
+                    </span>
+                    <span className="flex gap-3">
+                      {!exp && (
+                        <button
+                          className="text-sky-400 disabled:opacity-40"
+                          disabled={busy}
+                          onClick={() => (editing?.hash === o.hash ? setEditing(null) : startEdit(o))}
+                        >
+                          {editing?.hash === o.hash ? 'Close' : 'Edit'}
+                        </button>
+                      )}
+                      {!exp?.swept && (
+                        <button
+                          className="text-sky-400 disabled:opacity-40"
+                          disabled={busy}
+                          title={exp ? 'Remove the expired order and unlock its funds' : undefined}
+                          onClick={() => cancelMany([o], 'Cancel')}
+                        >
+                          {exp ? 'Release funds' : 'Cancel'}
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  {editing?.hash === o.hash ? (
+                    <div className="flex gap-2 items-center my-1">
+                      <input
+                        className="w-24 bg-slate-800/60 rounded px-2 py-1 text-white"
+                        value={editing.price}
+                        onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                        title="New price"
+                      />
+                      <input
+                        className="w-24 bg-slate-800/60 rounded px-2 py-1 text-white"
+                        value={editing.amount}
+                        onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                        title="New size (base)"
+                      />
+                      <button className="text-green-400 disabled:opacity-40" disabled={busy} onClick={() => saveEdit(o)}>
+                        {busy ? 'Saving…' : 'Save'}
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <div>Price: {format18(o.price)}</div>
+                      <div>Remaining: {formatQty(o.remaining, o.meta?.baseDecimals ?? 18)}</div>
+                    </>
+                  )}
+                  <div className="text-slate-500">
+                    {exp?.swept ? 'Expired and swept off the book; funds released'
+                      : exp ? 'Expired; funds stay locked until you release them or the book sweeps it'
+                      : o.expiry > 0
+                        ? (o.expiry > now ? `Expires in ${formatCountdown(o.expiry - now)}` : 'Expiring…')
+                        : o.expiry === 0 ? 'Good till cancel' : null}
+                  </div>
+                  <div className="text-slate-500 truncate" title={o.hash}>Hash: {short(o.hash)}</div>
+                  {failures.has(o.hash) && <div className="text-red-400">Cancel failed: {failures.get(o.hash)}</div>}
+                </div>
+              </div>
+            );
+          })
         }
       </div>
     </div>
@@ -0,0 +1,247 @@
+// src/components/VaultGovernance.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { VAULT_ACTION_KINDS } from '@/lib/vaultGovernance';
+
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+const short = (h) => `${h.slice(0, 8)}…${h.slice(-6)}`;
+
+const KIND_LABELS = {
+  authorizeExecutor: 'Executor',
+  addSupportedToken: 'Add token',
+  removeSupportedToken: 'Remove token',
+  emergencyWithdraw: 'Emergency withdraw'
+};
+const inputCls = "w-full bg-slate-800/60 rounded px-3 py-2 text-sm text-white";
+
+function formatCountdown(sec) {
+  const s = Math.max(0, sec);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h ${m}m`;
+  if (h > 0) return `${h}h ${m}m ${s % 60}s`;
+  return `${m}m ${s % 60}s`;
+}
+
+/**
+ * Timelocked Vault administration: proposals still pending (with time left until
+ * they can execute), propose/execute and pause/unpause. Read-only unless the
+ * connected wallet owns the Vault.
+ */
+const VaultGovernance = () => {
+  const { account, signer } = useWeb3();
+  const { client, loading: txLoading, proposeVaultAction, executeVaultAction, setVaultPaused } = useContracts(signer);
+
+  const [gov, setGov] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [tokens, setTokens] = useState({}); // lowercased address -> { symbol, decimals }
+  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  const [kind, setKind] = useState('addSupportedToken');
+  const [executor, setExecutor] = useState('');
+  const [authorize, setAuthorize] = useState(true);
+  const [token, setToken] = useState('');
+  const [to, setTo] = useState('');
+  const [amount, setAmount] = useState('');
+
+  const load = useCallback(async () => {
+    if (!client) { setGov(null); setPending([]); return; }
+    try {
+      setLoading(true);
+      const [g, p] = await Promise.all([client.getVaultGovernance(), client.getPendingVaultActions()]);
+      const metas = {};
+      for (const a of p) {
+        if (!a.token || metas[a.token.toLowerCase()]) continue;
+        metas[a.token.toLowerCase()] = await client.getTokenMeta(a.token).catch(() => null);
+      }
+      setGov(g);
+      setPending(p);
+      setTokens(metas);
+    } catch (e) {
+      console.error("load vault governance failed:", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [client]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Tick the timelock countdowns
+  useEffect(() => {
+    if (!pending.length) return;
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(t);
+  }, [pending.length]);
+
+  const isOwner = !!gov && !!account && gov.owner.toLowerCase() === account.toLowerCase();
+  const busy = loading || txLoading;
+
+  const describe = (a) => {
+    const sym = (t) => tokens[t.toLowerCase()]?.symbol ?? short(t);
+    switch (a.kind) {
+      case 'authorizeExecutor': return `${a.isAuthorized ? 'Authorize' : 'Revoke'} executor ${short(a.executor)}`;
+      case 'addSupportedToken': return `Add supported token ${sym(a.token)}`;
+      case 'removeSupportedToken': return `Remove supported token ${sym(a.token)}`;
+      case 'emergencyWithdraw':
+        return `Withdraw ${formatQty(a.amount, tokens[a.token.toLowerCase()]?.decimals ?? 18)} ${sym(a.token)} to ${short(a.to)}`;
+      default: return a.kind;
+    }
+  };
+
+  const buildAction = async () => {
+    if (kind === 'authorizeExecutor') {
+      if (!ethers.isAddress(executor)) throw new Error("Enter a valid executor address");
+      return { kind, executor: ethers.getAddress(executor), isAuthorized: authorize };
+    }
+    if (!ethers.isAddress(token)) throw new Error("Enter a valid token address");
+    if (kind !== 'emergencyWithdraw') return { kind, token: ethers.getAddress(token) };
+    if (!ethers.isAddress(to)) throw new Error("Enter a valid recipient address");
+    const { decimals } = await client.getTokenMeta(token);
+    let raw;
+    try { raw = ethers.parseUnits(amount.trim(), decimals); } catch { throw new Error("Enter a valid amount"); }
+    if (raw <= 0n) throw new Error("Enter a positive amount");
+    return { kind, token: ethers.getAddress(token), to: ethers.getAddress(to), amount: raw };
+  };
+
+  const onPropose = async (e) => {
+    e.preventDefault();
+    let action;
+    try {
+      action = await buildAction();
+    } catch (err) {
+      toast({ title: "Invalid proposal", description: err?.message, variant: "destructive" });
+      return;
+    }
+    const delay = gov ? formatCountdown(gov.timelockSec) : 'the timelock';
+    if (!window.confirm(`Propose: ${describe(action)}?\n\nIt can be executed after ${delay}.`)) return;
+    try {
+      await proposeVaultAction(action);
+      setExecutor(''); setToken(''); setTo(''); setAmount('');
+    } catch (err) {
+      console.error("propose failed:", err);
+    }
+    await load();
+  };
+
+  const onExecute = async (a) => {
+    if (!window.confirm(`Execute: ${describe(a)}?`)) return;
+    try {
+      await executeVaultAction(a);
+    } catch (err) {
+      console.error("execute failed:", err);
+      toast({ title: "Execute failed", description: err?.shortMessage || err?.message, variant: "destructive" });
+    }
+    await load();
+  };
+
+  const onTogglePause = async () => {
+    const pausing = !gov.paused;
+    const msg = pausing
+      ? "Pause the Vault? Deposits, withdrawals and settlement stop until it is unpaused."
+      : "Unpause the Vault?";
+    if (!window.confirm(msg)) return;
+    try {
+      await setVaultPaused(pausing);
+    } catch (err) {
+      console.error("pause toggle failed:", err);
+    }
+    await load();
+  };
+
+  if (!account) return null;
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">Vault governance</h3>
+        <div className="flex items-center gap-3">
+          {gov && (
+            <span className={gov.paused ? 'text-amber-300' : 'text-green-400'}>{gov.paused ? 'Paused' : 'Active'}</span>
+          )}
+          {isOwner && gov && (
+            <button className={gov.paused ? 'text-sky-400' : 'text-amber-300'} onClick={onTogglePause} disabled={busy}>
+              {gov.paused ? 'Unpause' : 'Pause'}
+            </button>
+          )}
+          <button className="text-xs text-sky-400" onClick={load} disabled={loading}>{loading ? 'Refreshing...' : 'Refresh'}</button>
+        </div>
+      </div>
+
+      {gov && (
+        <div className="text-slate-400 mb-3">
+          Owner <span title={gov.owner}>{short(gov.owner)}</span> · timelock {formatCountdown(gov.timelockSec)}
+          {!isOwner && ' · read-only (only the owner can propose or execute)'}
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {pending.length === 0 ? <div className="text-slate-500">{loading ? 'Loading…' : 'No pending proposals'}</div> :
+          pending.map(a => {
+            const left = a.executionTime - now;
+            const needsPause = a.kind === 'emergencyWithdraw' && !gov?.paused;
+            return (
+              <div key={a.actionHash} className="flex items-center justify-between border border-slate-700/50 rounded px-2 py-1.5 text-slate-200">
+                <span title={`${a.actionHash}\nproposed in ${a.txHash}`}>
+                  <span className="text-slate-400">{KIND_LABELS[a.kind]}:</span> {describe(a)}
+                </span>
+                <span className="flex items-center gap-3">
+                  {left > 0
+                    ? <span className="text-amber-300" title={new Date(a.executionTime * 1000).toLocaleString()}>in {formatCountdown(left)}</span>
+                    : <span className="text-green-400">ready</span>}
+                  {isOwner && (
+                    <button
+                      className="text-sky-400 disabled:text-slate-600"
+                      disabled={busy || left > 0 || needsPause}
+                      title={needsPause ? 'Emergency withdraw requires the Vault to be paused' : undefined}
+                      onClick={() => onExecute(a)}
+                    >
+                      Execute
+                    </button>
+                  )}
+                </span>
+              </div>
+            );
+          })
+        }
+      </div>
+
+      {isOwner && (
+        <form onSubmit={onPropose} className="space-y-2 mt-3 border-t border-slate-800 pt-3">
+          <div className="grid grid-cols-2 gap-2">
+            <select className={inputCls} value={kind} onChange={(e) => setKind(e.target.value)}>
+              {VAULT_ACTION_KINDS.map(k => <option key={k} value={k}>{KIND_LABELS[k]}</option>)}
+            </select>
+            {kind === 'authorizeExecutor' ? (
+              <>
+                <select className={inputCls} value={authorize ? 'authorize' : 'revoke'} onChange={(e) => setAuthorize(e.target.value === 'authorize')}>
+                  <option value="authorize">Authorize</option>
+                  <option value="revoke">Revoke</option>
+                </select>
+                <input className={`${inputCls} col-span-2`} placeholder="Executor address" value={executor} onChange={(e) => setExecutor(e.target.value)} />
+              </>
+            ) : (
+              <input className={inputCls} placeholder="Token address" value={token} onChange={(e) => setToken(e.target.value)} />
+            )}
+            {kind === 'emergencyWithdraw' && (
+              <>
+                <input className={inputCls} placeholder="Recipient address" value={to} onChange={(e) => setTo(e.target.value)} />
+                <input className={inputCls} placeholder="Amount" value={amount} onChange={(e) => setAmount(e.target.value)} />
+              </>
+            )}
+          </div>
+          <Button type="submit" className="w-full h-8" disabled={busy}>Propose</Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default VaultGovernance;
@@ -0,0 +1,265 @@
+// src/components/VaultPanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+
+function format18(x) {
+  try { return ethers.formatUnits(x, 18); } catch { return x?.toString?.() ?? String(x); }
+}
+function formatQty(x, decimals = 18) {
+  try { return ethers.formatUnits(x, decimals); } catch { return x?.toString?.() ?? String(x); }
+}
+const short = (h) => `${h.slice(0, 8)}…${h.slice(-6)}`;
+
+/**
+ * Vault balances of the connected wallet for every supported token, and for any
+ * delisted token it still holds (wallet, total, available, locked), deposit/withdraw
+ * actions, a multi-token batch deposit and which resting orders hold the locked part.
+ * Delisted tokens can only be withdrawn.
+ */
+const VaultPanel = () => {
+  const { account, signer } = useWeb3();
+  const {
+    client, loading: txLoading, depositToVault, withdrawFromVault, batchDepositToVault
+  } = useContracts(signer);
+
+  const [balances, setBalances] = useState([]);
+  const [locks, setLocks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [active, setActive] = useState(null); // token with the action row open
+  const [amount, setAmount] = useState('');
+  const [usePermit, setUsePermit] = useState(true);
+  const [expanded, setExpanded] = useState(() => new Set()); // tokens with the locked breakdown open
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [batchAmounts, setBatchAmounts] = useState({}); // token -> human amount
+
+  const load = useCallback(async () => {
+    if (!client || !account) { setBalances([]); setLocks([]); return; }
+    try {
+      setLoading(true);
+      const [b, l] = await Promise.all([client.getVaultBalances(account), client.getLockedBreakdown(account)]);
+      setBalances(b);
+      setLocks(l);
+    } catch (e) {
+      console.error("load vault balances failed:", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, account]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggleExpanded = (token) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(token)) next.delete(token); else next.add(token);
+    return next;
+  });
+
+  const openAction = (token) => {
+    setActive(active === token ? null : token);
+    setAmount('');
+  };
+
+  const run = async (b, kind) => {
+    let raw;
+    try {
+      raw = ethers.parseUnits(amount.trim(), b.decimals);
+    } catch {
+      toast({ title: "Invalid amount", description: `Enter a ${b.symbol} amount`, variant: "destructive" });
+      return;
+    }
+    if (raw <= 0n) return;
+    if (kind === 'deposit' && raw > b.wallet) {
+      toast({ title: "Amount too large", description: `Wallet holds ${formatQty(b.wallet, b.decimals)} ${b.symbol}`, variant: "destructive" });
+      return;
+    }
+    if (kind === 'withdraw' && raw > b.available) {
+      toast({ title: "Amount too large", description: `Only ${formatQty(b.available, b.decimals)} ${b.symbol} is available; the rest is locked by open orders`, variant: "destructive" });
+      return;
+    }
+    try {
+      if (kind === 'deposit') await depositToVault(b.token, account, raw, { usePermit });
+      else await withdrawFromVault(b.token, raw);
+      setAmount('');
+      setActive(null);
+    } catch (e) {
+      console.error(`${kind} failed:`, e);
+    }
+    await load();
+  };
+
+  const depositable = balances.filter(b => b.supported);
+
+  const runBatch = async () => {
+    const items = [];
+    for (const b of depositable) {
+      const v = (batchAmounts[b.token] ?? '').trim();
+      if (!v) continue;
+      let raw;
+      try { raw = ethers.parseUnits(v, b.decimals); } catch {
+        toast({ title: "Invalid amount", description: `Check the ${b.symbol} amount`, variant: "destructive" });
+        return;
+      }
+      if (raw > b.wallet) {
+        toast({ title: "Amount too large", description: `Wallet holds ${formatQty(b.wallet, b.decimals)} ${b.symbol}`, variant: "destructive" });
+        return;
+      }
+      if (raw > 0n) items.push({ token: b.token, amount: raw });
+    }
+    if (!items.length) return;
+    try {
+      const res = await batchDepositToVault(account, items, { usePermit });
+      const sym = (t) => balances.find(b => b.token === t)?.symbol ?? short(t);
+      const withReason = (t) => (res.fallbackReasons[t] ? `${sym(t)} (${res.fallbackReasons[t]})` : sym(t));
+      toast({
+        title: `Deposited ${items.length} token(s)`,
+        description: [
+          res.viaPermit.length ? `permit: ${res.viaPermit.map(sym).join(', ')}` : null,
+          res.viaApprove.length ? `approve: ${res.viaApprove.map(withReason).join(', ')}` : null
+        ].filter(Boolean).join(' · ')
+      });
+      setBatchAmounts({});
+      setBatchOpen(false);
+    } catch (e) {
+      console.error("batch deposit failed:", e);
+    }
+    await load();
+  };
+
+  if (!account) return null;
+  const busy = loading || txLoading;
+
+  return (
+    <div className="bg-slate-900/70 rounded-xl border border-slate-800 p-4 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">Vault</h3>
+        <div className="flex items-center gap-3">
+          <button className="text-xs text-sky-400" onClick={() => setBatchOpen(!batchOpen)} disabled={!depositable.length}>
+            {batchOpen ? 'Close batch deposit' : 'Batch deposit'}
+          </button>
+          <button className="text-xs text-sky-400" onClick={load} disabled={loading}>{loading ? 'Refreshing...' : 'Refresh'}</button>
+        </div>
+      </div>
+
+      {batchOpen && (
+        <div className="border border-slate-700/50 rounded p-2 mb-3 space-y-2">
+          <div className="text-slate-400">
+            One permit signature per permit token and a single batchDepositWithPermit; the others are approved and sent in one batchDeposit.
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {depositable.map(b => (
+              <input
+                key={b.token}
+                className="bg-slate-800/60 rounded px-2 py-1 text-white"
+                placeholder={`${b.symbol} (max ${formatQty(b.wallet, b.decimals)})`}
+                value={batchAmounts[b.token] ?? ''}
+                onChange={(e) => setBatchAmounts({ ...batchAmounts, [b.token]: e.target.value })}
+              />
+            ))}
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-1 text-slate-400">
+              <input type="checkbox" checked={usePermit} onChange={(e) => setUsePermit(e.target.checked)} />
+              permit
+            </label>
+            <Button className="h-7 px-3" disabled={busy || !Object.values(batchAmounts).some(v => v?.trim())} onClick={runBatch}>
+              Deposit all
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-6 gap-2 px-2 pb-1 text-slate-400">
+        <div>Token</div>
+        <div className="text-right">Wallet</div>
+        <div className="text-right">Vault total</div>
+        <div className="text-right">Available</div>
+        <div className="text-right">Locked</div>
+        <div />
+      </div>
+
+      <div className="space-y-1">
+        {balances.length === 0 ? <div className="text-slate-500 px-2">{loading ? 'Loading…' : 'No Vault tokens found'}</div> :
+          balances.map(b => {
+            const orderLocks = locks.filter(l => l.token.toLowerCase() === b.token.toLowerCase());
+            const attributed = orderLocks.reduce((acc, l) => acc + l.amount, 0n);
+            return (
+              <div key={b.token} className="border border-slate-700/50 rounded">
+                <div className="grid grid-cols-6 gap-2 items-center px-2 py-1.5 text-slate-200">
+                  <div title={b.token}>
+                    {b.symbol}
+                    {!b.supported && <span className="ml-1 px-1 rounded bg-amber-500/20 text-amber-300" title="No longer supported by the Vault: withdraw only">delisted</span>}
+                    {b.permit && <span className="ml-1 px-1 rounded bg-sky-500/20 text-sky-300" title="Supports EIP-2612 permit: deposit with one signature, no approve tx">permit</span>}
+                  </div>
+                  <div className="text-right">{formatQty(b.wallet, b.decimals)}</div>
+                  <div className="text-right">{formatQty(b.total, b.decimals)}</div>
+                  <div className="text-right text-green-400">{formatQty(b.available, b.decimals)}</div>
+                  <div className="text-right">
+                    {b.locked > 0n ? (
+                      <button className="text-amber-300 underline decoration-dotted" onClick={() => toggleExpanded(b.token)}>
+                        {formatQty(b.locked, b.decimals)}
+                      </button>
+                    ) : formatQty(b.locked, b.decimals)}
+                  </div>
+                  <div className="text-right">
+                    <button className="text-sky-400" onClick={() => openAction(b.token)}>
+                      {active === b.token ? 'Close' : 'Move'}
+                    </button>
+                  </div>
+                </div>
+
+                {active === b.token && (
+                  <div className="flex flex-wrap gap-2 items-center px-2 pb-2">
+                    <input
+                      className="w-32 bg-slate-800/60 rounded px-2 py-1 text-white"
+                      placeholder={`Amount (${b.symbol})`}
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                    />
+                    {b.supported && <button className="text-slate-400" onClick={() => setAmount(formatQty(b.wallet, b.decimals))}>Max deposit</button>}
+                    <button className="text-slate-400" onClick={() => setAmount(formatQty(b.available, b.decimals))}>Max withdraw</button>
+                    {!b.supported ? null : b.permit ? (
+                      <label className="flex items-center gap-1 text-slate-400">
+                        <input type="checkbox" checked={usePermit} onChange={(e) => setUsePermit(e.target.checked)} />
+                        permit
+                      </label>
+                    ) : (
+                      <span className="text-slate-500" title="No verifiable EIP-2612 permit domain">approve + deposit</span>
+                    )}
+                    {b.supported && <Button className="h-7 px-3" disabled={busy || !amount} onClick={() => run(b, 'deposit')}>Deposit</Button>}
+                    <Button variant="secondary" className="h-7 px-3" disabled={busy || !amount} onClick={() => run(b, 'withdraw')}>Withdraw</Button>
+                  </div>
+                )}
+
+                {expanded.has(b.token) && b.locked > 0n && (
+                  <div className="px-2 pb-2 text-slate-400 space-y-0.5">
+                    {orderLocks.map(l => (
+                      <div key={l.hash} className="flex justify-between">
+                        <span title={l.hash}>
+                          <span className={l.isBid ? 'text-green-400' : 'text-red-400'}>{l.isBid ? 'BUY' : 'SELL'}</span>
+                          {' '}{short(l.hash)} @ {format18(l.price)}
+                        </span>
+                        <span>{formatQty(l.amount, b.decimals)}</span>
+                      </div>
+                    ))}
+                    {b.locked !== attributed && (
+                      <div className="flex justify-between text-slate-500">
+                        <span title="Rounding left over from partial fills, or orders on pairs outside the factory">Not attributed to an open order</span>
+                        <span>{formatQty(b.locked - attributed, b.decimals)}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        }
+      </div>
+    </div>
+  );
+};
+
+export default VaultPanel;
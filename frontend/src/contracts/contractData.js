@@ -5,7 +5,13 @@
 export const VAULT_ABI = 
 [
   {
-    "inputs": [],
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "initialOwner",
+        "type": "address"
+      }
+    ],
     "stateMutability": "nonpayable",
     "type": "constructor"
   },
@@ -132,6 +138,62 @@ export const VAULT_ABI =
     "name": "Deposited",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "executionTime",
+        "type": "uint256"
+      }
+    ],
+    "name": "EmergencyWithdrawProposed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "executor",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "authorized",
+        "type": "bool"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "executionTime",
+        "type": "uint256"
+      }
+    ],
+    "name": "ExecutorAuthorized",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -164,6 +226,31 @@ export const VAULT_ABI =
     "name": "Paused",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "supported",
+        "type": "bool"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "executionTime",
+        "type": "uint256"
+      }
+    ],
+    "name": "TokenSupportChanged",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -233,37 +320,6 @@ export const VAULT_ABI =
     "name": "Withdrawn",
     "type": "event"
   },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "token",
-        "type": "address"
-      }
-    ],
-    "name": "addSupportedToken",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "executor",
-        "type": "address"
-      },
-      {
-        "internalType": "bool",
-        "name": "isAuthorized",
-        "type": "bool"
-      }
-    ],
-    "name": "authorizeExecutor",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
   {
     "inputs": [
       {
@@ -413,6 +469,37 @@ export const VAULT_ABI =
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "executeAddSupportedToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "executor",
+        "type": "address"
+      },
+      {
+        "internalType": "bool",
+        "name": "isAuthorized",
+        "type": "bool"
+      }
+    ],
+    "name": "executeAuthorizeExecutor",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -431,7 +518,20 @@ export const VAULT_ABI =
         "type": "uint256"
       }
     ],
-    "name": "emergencyWithdraw",
+    "name": "executeEmergencyWithdraw",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "executeRemoveSupportedToken",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -630,6 +730,25 @@ export const VAULT_ABI =
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "name": "pendingActions",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -638,14 +757,25 @@ export const VAULT_ABI =
         "type": "address"
       }
     ],
-    "name": "removeSupportedToken",
+    "name": "proposeAddSupportedToken",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "renounceOwnership",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "executor",
+        "type": "address"
+      },
+      {
+        "internalType": "bool",
+        "name": "isAuthorized",
+        "type": "bool"
+      }
+    ],
+    "name": "proposeAuthorizeExecutor",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -654,11 +784,41 @@ export const VAULT_ABI =
     "inputs": [
       {
         "internalType": "address",
-        "name": "executor",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeEmergencyWithdraw",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
         "type": "address"
       }
     ],
-    "name": "revokeExecutor",
+    "name": "proposeRemoveSupportedToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "renounceOwnership",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -682,6 +842,19 @@ export const VAULT_ABI =
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "TIMELOCK_DURATION",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -1229,6 +1402,25 @@ export const ROUTER_ABI =
     "name": "BatchOrdersPlaced",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "index",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ],
+    "name": "BatchFailed",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [],
@@ -1329,6 +1521,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -1383,6 +1580,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -1443,6 +1645,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -1503,6 +1710,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -1715,6 +1927,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -1833,6 +2050,11 @@ export const ROUTER_ABI =
             "name": "quoteToken",
             "type": "address"
           },
+          {
+            "internalType": "address",
+            "name": "clobPair",
+            "type": "address"
+          },
           {
             "internalType": "uint64",
             "name": "baseAmount",
@@ -0,0 +1,115 @@
+// src/hooks/useConditionalOrders.jsx
+import { useCallback, useEffect, useState } from 'react';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { ConditionalOrderStore, createConditionalOrder } from '@/lib/conditionalOrders';
+import { ConditionalOrderEngine } from '@/lib/conditionalEngine';
+import { createBracket, installOcoLinks } from '@/lib/ocoOrders';
+import {
+  cancelExecution, createExecution, installExecutionScheduler, pauseExecution, resumeExecution
+} from '@/lib/executionScheduler';
+
+// TWAP slices are time-based; local chains only mine when a tx arrives
+const HEARTBEAT_MS = 5000;
+
+// One store + engine per (deployment, maker), shared by every component using the
+// hook, so an order can never be fired twice from the same page.
+const registry = new Map(); // `${router}:${maker}` -> { store, engine, refs }
+
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+function acquire(client, maker) {
+  const key = `${client.addresses.router.toLowerCase()}:${maker.toLowerCase()}`;
+  let entry = registry.get(key);
+  if (!entry) {
+    const store = new ConditionalOrderStore(`clob:conditional:${key}`);
+    const engine = new ConditionalOrderEngine(client, store, { heartbeatMs: HEARTBEAT_MS });
+    installOcoLinks(engine);
+    installExecutionScheduler(engine);
+    engine.start();
+    entry = { store, engine, refs: 0 };
+    registry.set(key, entry);
+  }
+  entry.refs++;
+  return {
+    store: entry.store,
+    engine: entry.engine,
+    release: () => {
+      if (--entry.refs > 0) return;
+      entry.engine.stop();
+      registry.delete(key);
+    }
+  };
+}
+
+/**
+ * Conditional (stop-loss / take-profit / stop-limit), OCO, bracket and TWAP/iceberg
+ * orders of the connected wallet, persisted in localStorage and watched by a shared
+ * ConditionalOrderEngine.
+ */
+export const useConditionalOrders = () => {
+  const { account, signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [orders, setOrders] = useState([]);
+  const [prices, setPrices] = useState(() => new Map());
+  const [store, setStore] = useState(null);
+
+  useEffect(() => {
+    setOrders([]);
+    if (!client || !account) { setStore(null); return; }
+    const { store: s, engine, release } = acquire(client, account);
+    const offOrders = s.subscribe(setOrders);
+    const offPrices = engine.subscribe(p => setPrices(new Map(p)));
+    // Pick up changes made in other tabs
+    const onStorage = (e) => { if (e.key === s.key) s.emit(); };
+    window.addEventListener('storage', onStorage);
+    setStore(s);
+    return () => {
+      offOrders();
+      offPrices();
+      window.removeEventListener('storage', onStorage);
+      release();
+    };
+  }, [client, account]);
+
+  const add = useCallback((params) => {
+    if (!store || !account) throw new Error("Connect a wallet first");
+    return store.add(createConditionalOrder({ ...params, maker: account }));
+  }, [store, account]);
+
+  const addBracket = useCallback((params) => {
+    if (!store || !account) throw new Error("Connect a wallet first");
+    return store.add(createBracket({ ...params, maker: account }));
+  }, [store, account]);
+
+  const addExecution = useCallback(async (params) => {
+    if (!store || !account) throw new Error("Connect a wallet first");
+    const { baseDecimals } = await client.getPairMeta(params.pair);
+    return store.add(createExecution({ ...params, maker: account, baseDecimals }));
+  }, [store, account, client]);
+
+  const pause = useCallback((id) => store && pauseExecution(store, id), [store]);
+  const resume = useCallback((id) => store && resumeExecution(store, id), [store]);
+  const cancelParent = useCallback(async (id) => {
+    if (store) await cancelExecution(client, store, id);
+  }, [store, client]);
+
+  const cancel = useCallback((id) => {
+    const o = store?.get(id);
+    if (o?.status === 'active') store.update(id, { status: 'cancelled' });
+  }, [store]);
+
+  const remove = useCallback((id) => store?.remove(id), [store]);
+
+  const clearFinished = useCallback(() => {
+    if (!store) return;
+    for (const o of store.list()) {
+      if (FINISHED.includes(o.status)) store.remove(o.id);
+    }
+  }, [store]);
+
+  return {
+    orders, prices, add, addBracket, addExecution, cancel, remove, clearFinished,
+    pause, resume, cancelParent, ready: !!store
+  };
+};
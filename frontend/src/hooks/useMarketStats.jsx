@@ -0,0 +1,88 @@
+// src/hooks/useMarketStats.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { DAY_SEC, computeMarketStats, openOrderDelta } from '@/lib/marketStats';
+import { mergeTrades } from '@/lib/trades';
+
+/**
+ * 24h market stats for a pair from its event history, plus best bid/ask.
+ * Backfills from the last block mined 24h ago (found by block time), then pulls
+ * only the new block range on every block. Open orders are counted from the book
+ * once at the backfill head, then kept current from the same events (a negative
+ * running count means a missed range, so the book is counted again).
+ */
+export const useMarketStats = (pairAddress) => {
+  const { signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [trades, setTrades] = useState([]);
+  const [openOrders, setOpenOrders] = useState(0);
+  const [bestBidAsk, setBestBidAsk] = useState({ bestBid: null, bestAsk: null });
+  const [nowSec, setNowSec] = useState(() => Math.floor(Date.now() / 1000));
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setTrades([]);
+    setOpenOrders(0);
+    setBestBidAsk({ bestBid: null, bestAsk: null });
+    if (!client || !pairAddress) return;
+
+    let cancelled = false;
+    let lastBlock = null;
+    let open = 0;
+    let syncing = false;
+
+    const sync = async (head) => {
+      if (syncing) return;
+      syncing = true;
+      try {
+        const fromBlock = lastBlock === null
+          ? await client.findBlockAtTime(Math.floor(Date.now() / 1000) - DAY_SEC, head)
+          : lastBlock + 1;
+        if (fromBlock > head) return;
+        const [events, bba] = await Promise.all([
+          client.getPairEvents(pairAddress, { fromBlock, toBlock: head }),
+          client.getBestBidAsk(pairAddress)
+        ]);
+        // -1 asks for a full count: the first sync, or a running count gone negative
+        const next = lastBlock === null ? -1 : open + openOrderDelta(events);
+        const [fresh, counted] = await Promise.all([
+          client.toTrades(pairAddress, events.filled),
+          next < 0 ? client.countOpenOrders(pairAddress, { blockTag: head }) : next
+        ]);
+        if (cancelled) return;
+        lastBlock = head;
+        open = counted;
+        setTrades(prev => mergeTrades(prev, fresh, Infinity));
+        setOpenOrders(open);
+        setBestBidAsk(bba);
+        setNowSec(Math.floor(Date.now() / 1000));
+      } catch (e) {
+        console.error("market stats sync failed:", e);
+      } finally {
+        syncing = false;
+      }
+    };
+
+    const onBlock = (bn) => { sync(Number(bn)); };
+    (async () => {
+      try {
+        setLoading(true);
+        await sync(await client.provider.getBlockNumber());
+      } catch (e) {
+        console.error("market stats backfill failed:", e);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    client.provider.on('block', onBlock);
+    return () => { cancelled = true; client.provider.off('block', onBlock); };
+  }, [client, pairAddress]);
+
+  const stats = useMemo(
+    () => computeMarketStats(trades, { openOrders, nowSec }),
+    [trades, openOrders, nowSec]
+  );
+
+  return { stats, trades, bestBidAsk, loading };
+};
@@ -0,0 +1,27 @@
+// src/hooks/useOrderBook.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { OrderBookStore } from '@/lib/orderBookStore';
+
+const EMPTY = { bids: [], asks: [], tickSize: 0n, lastBlock: null, syncing: false, error: null };
+
+/** Live order book for a pair backed by an OrderBookStore (snapshot + per-block deltas). */
+export const useOrderBook = (pairAddress) => {
+  const { signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [book, setBook] = useState(EMPTY);
+  const [store, setStore] = useState(null);
+
+  useEffect(() => {
+    setBook(EMPTY);
+    if (!client || !pairAddress) { setStore(null); return; }
+    const s = new OrderBookStore(client, pairAddress);
+    const unsubscribe = s.subscribe(setBook);
+    s.start();
+    setStore(s);
+    return () => { unsubscribe(); s.stop(); };
+  }, [client, pairAddress]);
+
+  return useMemo(() => ({ ...book, resync: () => store?.resync() }), [book, store]);
+};
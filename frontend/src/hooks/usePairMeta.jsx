@@ -0,0 +1,23 @@
+// src/hooks/usePairMeta.jsx
+import { useEffect, useState } from 'react';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+
+/** Pair config with resolved token symbols/decimals, or null while loading. */
+export const usePairMeta = (pairAddress) => {
+  const { signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [meta, setMeta] = useState(null);
+
+  useEffect(() => {
+    setMeta(null);
+    if (!client || !pairAddress) return;
+    let cancelled = false;
+    client.getPairMeta(pairAddress)
+      .then(m => { if (!cancelled) setMeta(m); })
+      .catch(e => console.error("load pair meta failed:", e));
+    return () => { cancelled = true; };
+  }, [client, pairAddress]);
+
+  return meta;
+};
@@ -0,0 +1,45 @@
+// src/hooks/useTradeFeed.jsx
+import { useEffect, useState } from 'react';
+import { useWeb3 } from '@/hooks/useWeb3';
+import { useContracts } from '@/hooks/useContracts';
+import { mergeTrades } from '@/lib/trades';
+
+/**
+ * Fills for a pair: backfill via queryFilter, then live OrderFilled subscription.
+ * Returns trades newest first.
+ */
+export const useTradeFeed = (pairAddress, { limit = 50, lookbackBlocks = 5000 } = {}) => {
+  const { signer } = useWeb3();
+  const { client } = useContracts(signer);
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setTrades([]);
+    setError(null);
+    if (!client || !pairAddress) return;
+
+    let cancelled = false;
+    const push = (incoming) => {
+      if (!cancelled) setTrades(prev => mergeTrades(prev, incoming, limit));
+    };
+    const unsubscribe = client.subscribeFills(pairAddress, (t) => push([t]));
+
+    (async () => {
+      try {
+        setLoading(true);
+        push(await client.getFills(pairAddress, { fromBlock: -lookbackBlocks }));
+      } catch (e) {
+        console.error("load fills failed:", e);
+        if (!cancelled) setError(e);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; unsubscribe(); };
+  }, [client, pairAddress, limit, lookbackBlocks]);
+
+  return { trades, loading, error };
+};
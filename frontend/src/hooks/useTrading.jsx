@@ -0,0 +1,47 @@
+// src/hooks/useTrading.jsx
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { snapToTick } from '@/lib/ticks';
+
+const TradingContext = createContext(null);
+
+/**
+ * Shared trading state: the selected ClobPair and an order "draft" that other
+ * panels (order book, depth chart) can push into the TradingForm.
+ * Each push bumps `draft.seq` so the form re-applies even identical values.
+ */
+export const TradingProvider = ({ children }) => {
+  const [pairAddress, setPairAddress] = useState('');
+  const [draft, setDraft] = useState({ seq: 0, side: null, price: null, amount: null });
+
+  const pushDraft = useCallback((next) => {
+    setDraft(prev => ({ seq: prev.seq + 1, side: null, price: null, amount: null, ...next }));
+  }, []);
+
+  /**
+   * Fill the form from a book row. Clicking an ask buys into it and clicking a bid
+   * sells into it; the price is snapped to tickSize on the side that still reaches
+   * the row (buy rounds up, sell rounds down). Pass `cumQty` to also fill the size.
+   */
+  const fillFromBook = useCallback(({ rowSide, price, tickSize, cumQty = null, baseDecimals = 18 }) => {
+    const side = rowSide === 'ask' ? 'buy' : 'sell';
+    const snapped = snapToTick(price, tickSize, side === 'buy' ? 'up' : 'down');
+    pushDraft({
+      side,
+      price: ethers.formatUnits(snapped, 18),
+      amount: cumQty !== null ? ethers.formatUnits(cumQty, baseDecimals) : null
+    });
+  }, [pushDraft]);
+
+  const value = useMemo(
+    () => ({ pairAddress, setPairAddress, draft, pushDraft, fillFromBook }),
+    [pairAddress, draft, pushDraft, fillFromBook]
+  );
+  return <TradingContext.Provider value={value}>{children}</TradingContext.Provider>;
+};
+
+export const useTrading = () => {
+  const ctx = useContext(TradingContext);
+  if (!ctx) throw new Error("useTrading must be used inside <TradingProvider>");
+  return ctx;
+};
@@ -0,0 +1,31 @@
+// src/lib/__tests__/bookGrouping.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketFromDecimals, groupLevels, maxPrecision } from '../bookGrouping.js';
+
+const e18 = (n) => BigInt(Math.round(n * 1e6)) * 10n ** 12n;
+
+test('maxPrecision never goes finer than one tick', () => {
+  assert.equal(maxPrecision(e18(0.01)), 2);
+  assert.equal(maxPrecision(e18(0.025)), 1);
+  assert.equal(maxPrecision(e18(1)), 0);
+  assert.equal(maxPrecision(e18(5)), 0);
+  assert.equal(maxPrecision(1n), 18);
+});
+
+test('bucketFromDecimals clamps to the tick size', () => {
+  assert.equal(bucketFromDecimals(e18(0.01), 4), e18(0.01));
+  assert.equal(bucketFromDecimals(e18(0.01), 1), e18(0.1));
+});
+
+test('groupLevels rounds bids down and asks up', () => {
+  const levels = [
+    { price: e18(1.01), bidQty: 5n, askQty: 0n },
+    { price: e18(1.09), bidQty: 7n, askQty: 0n },
+    { price: e18(1.11), bidQty: 0n, askQty: 3n }
+  ];
+  const bids = groupLevels(levels, 'bid', e18(0.1));
+  assert.deepEqual(bids.map(b => [b.price, b.qty]), [[e18(1), 12n]]);
+  const asks = groupLevels(levels, 'ask', e18(0.1));
+  assert.deepEqual(asks.map(a => [a.price, a.qty]), [[e18(1.2), 3n]]);
+});
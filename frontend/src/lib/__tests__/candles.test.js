@@ -0,0 +1,39 @@
+// src/lib/__tests__/candles.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendTrade, bucketStart, buildCandles } from '../candles.js';
+
+const trade = (blockNumber, sec, price, amount = 1) => ({
+  blockNumber, logIndex: 0, time: sec * 1000, price, amount, total: price * amount
+});
+
+test('buckets align to the interval', () => {
+  assert.equal(bucketStart(125_000, '1m'), 120);
+  assert.equal(bucketStart(3_599_000, '1h'), 0);
+  assert.throws(() => bucketStart(0, '2m'), /Unsupported candle interval/);
+});
+
+test('builds OHLCV bars in chain order regardless of input order', () => {
+  const candles = buildCandles([
+    trade(3, 130, 4, 2),
+    trade(1, 100, 2),
+    trade(2, 125, 1),
+    trade(4, 0, 9) // no block timestamp
+  ], '1m');
+  assert.deepEqual(candles, [
+    { time: 60, open: 2, high: 2, low: 2, close: 2, volume: 1, quoteVolume: 2, trades: 1 },
+    { time: 120, open: 1, high: 4, low: 1, close: 4, volume: 3, quoteVolume: 9, trades: 2 }
+  ]);
+});
+
+test('a late fill merges into its bar without moving open or close', () => {
+  const candles = buildCandles([trade(1, 60, 2), trade(2, 70, 3), trade(5, 200, 5)], '1m');
+  const out = appendTrade(candles, trade(3, 65, 10), '1m');
+  assert.deepEqual(out[0], { time: 60, open: 2, high: 10, low: 2, close: 3, volume: 3, quoteVolume: 15, trades: 3 });
+  assert.equal(out[1].close, 5);
+});
+
+test('a late fill in an empty bucket opens a bar in time order', () => {
+  const candles = buildCandles([trade(1, 60, 2), trade(5, 200, 5)], '1m');
+  assert.deepEqual(appendTrade(candles, trade(3, 130, 4), '1m').map(c => c.time), [60, 120, 180]);
+});
@@ -0,0 +1,55 @@
+// src/lib/__tests__/conditionalOrders.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConditionalOrderStore, createConditionalOrder, referencePrice, shouldTrigger, triggerDirection
+} from '../conditionalOrders.js';
+
+const E18 = 10n ** 18n;
+const base = { pair: '0xpair', maker: '0xmaker', amount: '1', triggerPrice: '2' };
+const order = (kind, side, extra = {}) => createConditionalOrder({ ...base, kind, side, ...extra });
+
+test('rejects incomplete input', () => {
+  assert.throws(() => order('trailing', 'sell'), /Unknown conditional order kind/);
+  assert.throws(() => order('stop-loss', 'sell', { amount: '0' }), /positive amount/);
+  assert.throws(() => order('stop-limit', 'sell'), /positive limit price/);
+  assert.equal(order('stop-limit', 'sell', { limitPrice: '1.9' }).limitPrice, '1.9');
+  assert.equal(order('stop-loss', 'sell', { limitPrice: '1.9' }).limitPrice, null);
+});
+
+test('stops fire on adverse moves, take-profits on favourable ones', () => {
+  assert.equal(triggerDirection(order('stop-loss', 'sell')), 'below');
+  assert.equal(triggerDirection(order('stop-loss', 'buy')), 'above');
+  assert.equal(triggerDirection(order('take-profit', 'sell')), 'above');
+  assert.equal(triggerDirection(order('take-profit', 'buy')), 'below');
+});
+
+test('book triggers watch the side a market order would hit', () => {
+  const prices = { lastPrice: 5n, bestBid: 1n, bestAsk: 3n };
+  assert.equal(referencePrice(order('stop-loss', 'sell', { trigger: 'book' }), prices), 1n);
+  assert.equal(referencePrice(order('stop-loss', 'buy', { trigger: 'book' }), prices), 3n);
+  assert.equal(referencePrice(order('stop-loss', 'buy'), prices), 5n);
+});
+
+test('triggers at the trigger price, only while active and with a reference', () => {
+  const stop = order('stop-loss', 'sell');
+  assert.equal(shouldTrigger(stop, { lastPrice: 2n * E18 }), true);
+  assert.equal(shouldTrigger(stop, { lastPrice: 2n * E18 + 1n }), false);
+  assert.equal(shouldTrigger(stop, { lastPrice: null }), false);
+  assert.equal(shouldTrigger({ ...stop, status: 'cancelled' }, { lastPrice: E18 }), false);
+});
+
+test('claim lets only one caller move an order to triggering', () => {
+  const data = new Map();
+  const store = new ConditionalOrderStore('k', { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, v) });
+  const o = store.add(order('stop-loss', 'sell'));
+  let seen = null;
+  store.subscribe(list => { seen = list; });
+
+  assert.equal(store.claim(o.id), true);
+  assert.equal(store.claim(o.id), false);
+  assert.equal(store.get(o.id).status, 'triggering');
+  assert.equal(seen[0].status, 'triggering');
+  store.remove(o.id);
+  assert.deepEqual(store.list(), []);
+});
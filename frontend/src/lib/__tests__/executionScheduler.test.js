@@ -0,0 +1,94 @@
+// src/lib/__tests__/executionScheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConditionalOrderStore } from '../conditionalOrders.js';
+import {
+  cancelExecution, canCancelExecution, createExecution, executionProgress, installExecutionScheduler
+} from '../executionScheduler.js';
+
+const PAIR = '0x00000000000000000000000000000000000000aa';
+const MAKER = '0x00000000000000000000000000000000000000bb';
+const NO_EVENTS = { placed: [], cancelled: [], expired: [], filled: [] };
+
+function memoryStore() {
+  const data = new Map();
+  return new ConditionalOrderStore('test', {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, v)
+  });
+}
+
+const child = (hash, status = 'open') => ({
+  hash, amountRaw: '100', filledRaw: '0', status, placedAt: 0, txHash: null
+});
+
+function parent(overrides) {
+  return {
+    ...createExecution({ pair: PAIR, maker: MAKER, kind: 'twap', side: 'sell', amount: '3', price: '1', baseDecimals: 0, slices: 3 }),
+    ...overrides
+  };
+}
+
+test('validates TWAP and iceberg parameters', () => {
+  const base = { pair: PAIR, maker: MAKER, side: 'buy', amount: '10', price: '1', baseDecimals: 0 };
+  assert.throws(() => createExecution({ ...base, kind: 'twap', slices: 1 }), /at least 2 slices/);
+  assert.throws(() => createExecution({ ...base, kind: 'twap', slices: 20 }), /too small/);
+  assert.throws(() => createExecution({ ...base, kind: 'iceberg', clipSize: '10' }), /smaller than the total/);
+  assert.equal(createExecution({ ...base, kind: 'iceberg', clipSize: '2' }).clipRaw, '2');
+});
+
+test('progress counts fills of every child and what open ones still rest', () => {
+  const p = parent({
+    totalRaw: '300',
+    children: [{ ...child('0x1', 'filled'), filledRaw: '100' }, { ...child('0x2'), filledRaw: '40' }]
+  });
+  const { filled, resting, pct } = executionProgress(p);
+  assert.equal(filled, 140n);
+  assert.equal(resting, 60n);
+  assert.equal(pct, 46.66);
+});
+
+test('a failed child read leaves the parent active and re-reads next tick', async () => {
+  const store = memoryStore();
+  const p = store.add(parent({ children: [child('0x1')], slicesPlaced: 1, nextSliceAt: Date.now() + 60000 }));
+  const client = { getOrderInfo: async () => { throw new Error('rpc down'); } };
+  let watcher;
+  installExecutionScheduler({ client, store, registerWatcher: (fn) => { watcher = fn; } });
+
+  await watcher({ pair: PAIR, events: NO_EVENTS, firstSight: true });
+  const after = store.get(p.id);
+  assert.equal(after.status, 'active');
+  assert.equal(after.resync, true);
+  assert.match(after.error, /rpc down/);
+});
+
+test('cancel releases expired children through the pair and reports Router failures', async () => {
+  const store = memoryStore();
+  const p = store.add(parent({ status: 'failed', children: [child('0x1'), child('0x2'), child('0x3', 'filled')] }));
+  assert.equal(canCancelExecution(p), true);
+
+  const released = [];
+  const final = new Map();
+  const client = {
+    pair: () => ({ getOrderDetails: async (h) => [!final.has(h)] }),
+    getOrderInfo: async (_, h) => ({
+      status: final.get(h) ?? (h === '0x1' ? 'EXPIRED' : 'PENDING'),
+      filledBase: 0n
+    }),
+    releaseExpiredOrder: async (_, h) => { released.push(h); final.set(h, 'EXPIRED'); },
+    cancelOrderByHash: async () => { throw new Error('Router: order not active'); }
+  };
+
+  await cancelExecution(client, store, p.id);
+  const after = store.get(p.id);
+  assert.deepEqual(released, ['0x1']);
+  assert.equal(after.status, 'cancelled');
+  assert.deepEqual(after.children.map(c => c.status), ['expired', 'open', 'filled']);
+  assert.match(after.error, /Router: order not active/);
+  assert.equal(canCancelExecution(after), true);
+});
+
+test('nothing to cancel once a stopped parent has no resting children', () => {
+  assert.equal(canCancelExecution(parent({ status: 'failed', children: [child('0x1', 'filled')] })), false);
+  assert.equal(canCancelExecution(parent({ status: 'done' })), false);
+});
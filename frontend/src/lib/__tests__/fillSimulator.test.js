@@ -0,0 +1,66 @@
+// src/lib/__tests__/fillSimulator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateFill } from '../fillSimulator.js';
+
+const E18 = 10n ** 18n;
+const asks = [
+  { price: 2n * E18, bidQty: 0n, askQty: 10n * E18 },
+  { price: 3n * E18, bidQty: 0n, askQty: 10n * E18 }
+];
+
+test('walks asks best first and rests the remainder at the limit', () => {
+  const sim = simulateFill({ levels: asks, isBuy: true, baseAmount: 15n * E18, limitPrice: 3n * E18 });
+  assert.equal(sim.filledBase, 15n * E18);
+  assert.equal(sim.filledQuote, 20n * E18 + 15n * E18);
+  assert.deepEqual(sim.fills.map(f => f.base), [10n * E18, 5n * E18]);
+  assert.equal(sim.rests, false);
+  assert.equal(sim.bestPrice, 2n * E18);
+  assert.equal(sim.lockedQuote, 45n * E18);
+  assert.equal(sim.levelOnly, true);
+});
+
+test('stops at the limit price and reports the resting remainder', () => {
+  const sim = simulateFill({ levels: asks, isBuy: true, baseAmount: 15n * E18, limitPrice: 2n * E18 });
+  assert.equal(sim.filledBase, 10n * E18);
+  assert.equal(sim.remainingBase, 5n * E18);
+  assert.equal(sim.rests, true);
+});
+
+test("skips the taker's own resting quantity", () => {
+  const own = new Map([[2n * E18, 10n * E18]]);
+  const sim = simulateFill({ levels: asks, isBuy: true, baseAmount: 5n * E18, ownQtyByPrice: own });
+  assert.equal(sim.bestPrice, 3n * E18);
+  assert.equal(sim.fills[0].price, 3n * E18);
+});
+
+test('rounds quote down per maker when queues are given', () => {
+  const levels = [{ price: E18 / 2n, bidQty: 0n, askQty: 3n }];
+  const level = simulateFill({ levels, isBuy: true, baseAmount: 3n });
+  assert.equal(level.filledQuote, 1n);
+  assert.equal(level.zeroQuoteFill, false);
+
+  const queues = new Map([[E18 / 2n, [1n, 1n, 1n]]]);
+  const perMaker = simulateFill({ levels, isBuy: true, baseAmount: 3n, queues });
+  assert.equal(perMaker.filledQuote, 0n);
+  assert.equal(perMaker.zeroQuoteFill, true);
+  assert.equal(perMaker.fills[0].makers, 3);
+  assert.equal(perMaker.levelOnly, false);
+});
+
+test('only levels hit without a queue make the estimate level-only', () => {
+  const queues = new Map([[2n * E18, [4n * E18, 6n * E18]]]);
+  const first = simulateFill({ levels: asks, isBuy: true, baseAmount: 5n * E18, queues });
+  assert.equal(first.fills[0].makers, 2);
+  assert.equal(first.levelOnly, false);
+
+  const both = simulateFill({ levels: asks, isBuy: true, baseAmount: 15n * E18, queues });
+  assert.equal(both.levelOnly, true);
+});
+
+test('a level with an empty queue is skipped', () => {
+  const queues = new Map([[2n * E18, []]]);
+  const sim = simulateFill({ levels: asks, isBuy: true, baseAmount: 5n * E18, queues });
+  assert.equal(sim.bestPrice, 3n * E18);
+  assert.deepEqual(sim.fills.map(f => f.price), [3n * E18]);
+});
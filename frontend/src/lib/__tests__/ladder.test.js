@@ -0,0 +1,46 @@
+// src/lib/__tests__/ladder.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLadder, ladderFunding, ladderWeights } from '../ladder.js';
+
+const E18 = 10n ** 18n;
+const CENT = E18 / 100n;
+const prices = (legs) => legs.map(l => l.price / CENT);
+
+test('spaces ascending legs evenly in ticks and reaches both ends', () => {
+  const legs = buildLadder({ startPrice: 90n * CENT, endPrice: 100n * CENT, legs: 5, totalBase: 5n * E18, tickSize: CENT });
+  assert.deepEqual(prices(legs), [90n, 93n, 95n, 98n, 100n]);
+});
+
+test('rounds a descending range the same way as an ascending one', () => {
+  const legs = buildLadder({ startPrice: 100n * CENT, endPrice: 90n * CENT, legs: 5, totalBase: 5n * E18, tickSize: CENT });
+  assert.deepEqual(prices(legs), [100n, 97n, 95n, 92n, 90n]);
+});
+
+test('fits a descending range exactly as wide as the leg count', () => {
+  const legs = buildLadder({ startPrice: 100n * CENT, endPrice: 96n * CENT, legs: 5, totalBase: 5n * E18, tickSize: CENT });
+  assert.deepEqual(prices(legs), [100n, 99n, 98n, 97n, 96n]);
+});
+
+test('rejects a range narrower than the leg count', () => {
+  assert.throws(
+    () => buildLadder({ startPrice: 100n * CENT, endPrice: 97n * CENT, legs: 5, totalBase: 5n * E18, tickSize: CENT }),
+    /fewer than 5 ticks/
+  );
+});
+
+test('puts the rounding dust on the last leg', () => {
+  const legs = buildLadder({ startPrice: E18, endPrice: 2n * E18, legs: 3, totalBase: 10n, tickSize: CENT });
+  assert.deepEqual(legs.map(l => l.baseAmount), [3n, 3n, 4n]);
+});
+
+test('linear skew sets the last/first size ratio', () => {
+  assert.deepEqual(ladderWeights(3, { skew: 3 }), [1, 2, 3]);
+  assert.deepEqual(ladderWeights(3, { distribution: 'geometric', ratio: 2 }), [1, 2, 4]);
+});
+
+test('buy funding rounds each leg up like the pair lock', () => {
+  const legs = [{ price: CENT * 3n, baseAmount: 1n }, { price: E18, baseAmount: 2n }];
+  assert.equal(ladderFunding(legs, false), 1n + 2n);
+  assert.equal(ladderFunding(legs, true), 3n);
+});
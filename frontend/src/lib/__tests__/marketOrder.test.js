@@ -0,0 +1,66 @@
+// src/lib/__tests__/marketOrder.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { averagePrice, planMarketOrder } from '../marketOrder.js';
+import { MAX_TICK_INDEX } from '../ticks.js';
+
+const E18 = 10n ** 18n;
+const TICK = E18 / 100n;
+const asks = [
+  { price: 200n * TICK, bidQty: 0n, askQty: 5n * E18 },
+  { price: 201n * TICK, bidQty: 0n, askQty: 5n * E18 }
+];
+const bids = [
+  { price: 200n * TICK, bidQty: 5n * E18, askQty: 0n },
+  { price: 199n * TICK, bidQty: 5n * E18, askQty: 0n }
+];
+
+test('a buy walks the asks and widens the worst level by the slippage, rounded down to a tick', () => {
+  const plan = planMarketOrder({ levels: asks, isBuy: true, baseAmount: 8n * E18, tickSize: TICK, slippageBps: 50 });
+  assert.equal(plan.worstPrice, 201n * TICK);
+  assert.equal(plan.limitPrice, 202n * TICK); // 2.01 * 1.005 = 2.02005
+  assert.equal(plan.expectedBase, 8n * E18);
+  assert.equal(plan.expectedQuote, 10n * E18 + 603n * E18 / 100n);
+  assert.equal(plan.levelsUsed, 2);
+  assert.equal(plan.insufficient, false);
+});
+
+test('a sell widens downwards, rounded up to a tick', () => {
+  const plan = planMarketOrder({ levels: bids, isBuy: false, baseAmount: 6n * E18, tickSize: TICK, slippageBps: 100 });
+  assert.equal(plan.worstPrice, 199n * TICK);
+  assert.equal(plan.limitPrice, 198n * TICK); // 1.99 * 0.99 = 1.9701
+});
+
+test('tick rounding never leaves the limit tighter than the worst level', () => {
+  const plan = planMarketOrder({ levels: bids, isBuy: false, baseAmount: 6n * E18, tickSize: TICK, slippageBps: 10 });
+  assert.equal(plan.limitPrice, 199n * TICK);
+});
+
+test('a thin book fills what it can and says so', () => {
+  const plan = planMarketOrder({ levels: asks, isBuy: true, baseAmount: 12n * E18, tickSize: TICK });
+  assert.equal(plan.expectedBase, 10n * E18);
+  assert.equal(plan.insufficient, true);
+});
+
+test("the maker's own resting quantity is not counted as liquidity", () => {
+  const own = new Map([[200n * TICK, 5n * E18]]);
+  const plan = planMarketOrder({ levels: asks, isBuy: true, baseAmount: E18, tickSize: TICK, ownQtyByPrice: own });
+  assert.equal(plan.worstPrice, 201n * TICK);
+  assert.equal(plan.levelsUsed, 1);
+  assert.throws(
+    () => planMarketOrder({ levels: asks.slice(0, 1), isBuy: true, baseAmount: E18, tickSize: TICK, ownQtyByPrice: own }),
+    /No opposing liquidity/
+  );
+});
+
+test("the limit stays inside the pair's tick range", () => {
+  const top = [{ price: MAX_TICK_INDEX * TICK, bidQty: 0n, askQty: E18 }];
+  assert.equal(planMarketOrder({ levels: top, isBuy: true, baseAmount: E18, tickSize: TICK }).limitPrice, MAX_TICK_INDEX * TICK);
+  const bottom = [{ price: TICK, bidQty: E18, askQty: 0n }];
+  assert.equal(planMarketOrder({ levels: bottom, isBuy: false, baseAmount: E18, tickSize: TICK, slippageBps: 5000 }).limitPrice, TICK);
+});
+
+test('average price is quote per base in 18 decimals', () => {
+  assert.equal(averagePrice(2n * E18, 3n * E18), 15n * E18 / 10n);
+  assert.equal(averagePrice(0n, 0n), null);
+});
@@ -0,0 +1,28 @@
+// src/lib/__tests__/marketStats.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openOrderDelta } from '../marketStats.js';
+
+const ev = (args = {}) => ({ args });
+
+test('resting orders count in, and leave on cancel, expiry or a final fill', () => {
+  assert.equal(openOrderDelta({
+    placed: [ev(), ev(), ev()],
+    cancelled: [ev()],
+    expired: [ev()],
+    filled: [ev({ isFinal: true })]
+  }), 0);
+});
+
+test('partial fills leave the order resting', () => {
+  assert.equal(openOrderDelta({
+    placed: [ev()],
+    cancelled: [],
+    expired: [],
+    filled: [ev({ isFinal: false }), ev({ isFinal: false })]
+  }), 1);
+});
+
+test('a range with only removals goes negative', () => {
+  assert.equal(openOrderDelta({ cancelled: [ev()], filled: [ev({ isFinal: true })] }), -2);
+});
@@ -0,0 +1,131 @@
+// src/lib/__tests__/ocoOrders.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConditionalOrderStore, createConditionalOrder } from '../conditionalOrders.js';
+import { createBracket, installOcoLinks, validateBracket } from '../ocoOrders.js';
+
+const E18 = 10n ** 18n;
+const PAIR = '0xpair';
+const noEvents = { placed: [], cancelled: [], expired: [], filled: [] };
+const fill = (orderHash) => ({ ...noEvents, filled: [{ args: { orderHash } }] });
+const buyBracket = { side: 'buy', amount: '2', entryPrice: '10', takeProfitPrice: '12', stopPrice: '9' };
+
+// Engine stand-in: a Map-backed store, the client stubs the links touch, and the hooks they register
+function setup({ infos = {}, placed = { rested: true, orderHash: '0xtp' }, placeError = null, details = {}, structs = {} } = {}) {
+  const data = new Map();
+  const store = new ConditionalOrderStore('k', { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, v) });
+  const calls = { placed: [], cancelled: [] };
+  const client = {
+    getOrderInfo: async (_pair, hash) => infos[hash],
+    getPairMeta: async () => ({ base: '0xbase', quote: '0xquote', baseDecimals: 18 }),
+    placeLimitOrder: async (p) => {
+      calls.placed.push(p);
+      if (placeError) throw placeError;
+      return { wait: async () => ({ logs: [] }) };
+    },
+    parsePlacementReceipt: () => placed,
+    pair: () => ({ getOrderDetails: async (hash) => details[hash] ?? [false, false, 0n, 0n, null] }),
+    getOrderStruct: async (_pair, hash) => structs[hash] ?? null,
+    cancelOrderByHash: async (hash) => { calls.cancelled.push(hash); }
+  };
+  const hooks = { watchers: [], beforeFire: [] };
+  installOcoLinks({
+    client, store,
+    registerWatcher: (fn) => hooks.watchers.push(fn),
+    registerBeforeFire: (fn) => hooks.beforeFire.push(fn)
+  });
+  const watch = (events = noEvents, firstSight = false) => hooks.watchers[0]({ pair: PAIR, events, firstSight });
+  return { store, calls, watch, beforeFire: (o) => hooks.beforeFire[0](o) };
+}
+
+const bracket = (extra = {}) => createBracket({ pair: PAIR, maker: '0xmaker', ...buyBracket, entryOrderHash: '0xentry', ...extra });
+
+test('brackets need the exits on the right sides of the entry', () => {
+  assert.doesNotThrow(() => validateBracket(buyBracket));
+  assert.throws(() => validateBracket({ ...buyBracket, stopPrice: '11' }), /take-profit above and stop below/);
+  assert.doesNotThrow(() => validateBracket({ side: 'sell', amount: '1', entryPrice: '10', takeProfitPrice: '8', stopPrice: '11' }));
+  assert.throws(() => validateBracket({ ...buyBracket, amount: '0' }), /positive amount/);
+  assert.throws(() => createBracket({ pair: PAIR, maker: '0xmaker', ...buyBracket }), /Entry order hash required/);
+});
+
+test('a filled entry rests the take-profit and arms a stop linked to it', async () => {
+  const { store, calls, watch } = setup({ infos: { '0xentry': { status: 'FILLED', filledBase: 2n * E18 } } });
+  const b = store.add(bracket());
+  await watch(noEvents);
+  assert.equal(calls.placed.length, 0, 'no log mentions the entry yet');
+
+  await watch(fill('0xentry'));
+  assert.deepEqual(
+    [calls.placed[0].isSellBase, calls.placed[0].priceHuman, calls.placed[0].baseAmountHuman],
+    [true, '12', '2.0']
+  );
+  const done = store.get(b.id);
+  const stop = store.get(done.stopId);
+  assert.equal(done.status, 'done');
+  assert.equal(done.takeProfitHash, '0xtp');
+  assert.deepEqual([stop.kind, stop.side, stop.triggerPrice, stop.ocoOrderHash, stop.bracketId], ['stop-loss', 'sell', '9', '0xtp', b.id]);
+});
+
+test('an entry cancelled after a partial fill protects only the filled part', async () => {
+  const { store, calls, watch } = setup({ infos: { '0xentry': { status: 'CANCELLED', filledBase: E18 / 2n } } });
+  store.add(bracket());
+  await watch(noEvents, true);
+  assert.equal(calls.placed[0].baseAmountHuman, '0.5');
+});
+
+test('an entry cancelled before any fill cancels the bracket', async () => {
+  const { store, calls, watch } = setup({ infos: { '0xentry': { status: 'EXPIRED', filledBase: 0n } } });
+  const b = store.add(bracket());
+  await watch(noEvents, true);
+  assert.equal(calls.placed.length, 0);
+  assert.equal(store.get(b.id).status, 'cancelled');
+});
+
+test('the stop is still armed when the take-profit cannot be placed', async () => {
+  const { store, watch } = setup({ placeError: new Error('boom') });
+  const b = store.add(bracket({ entryRested: false, entryFilledRaw: 2n * E18 }));
+  await watch();
+  const failed = store.get(b.id);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /Take-profit not placed: boom; stop-loss armed/);
+  assert.equal(store.get(failed.stopId).ocoOrderHash, null);
+});
+
+test('a take-profit that fills on placement finishes the bracket without a stop', async () => {
+  const { store, watch } = setup({ placed: { rested: false, orderHash: '0xtp' } });
+  const b = store.add(bracket({ entryRested: false, entryFilledRaw: 2n * E18 }));
+  await watch();
+  assert.equal(store.get(b.id).status, 'done');
+  assert.equal(store.list().length, 1);
+});
+
+test('an OCO leg is dropped when its sibling fills and kept alone when it is cancelled', async () => {
+  const { store, watch } = setup({ infos: { '0xa': { status: 'FILLED' }, '0xb': { status: 'CANCELLED' } } });
+  const leg = (hash) => store.add(createConditionalOrder({
+    pair: PAIR, maker: '0xmaker', kind: 'stop-loss', side: 'sell', amount: '1', triggerPrice: '9', ocoOrderHash: hash
+  }));
+  const a = leg('0xa');
+  const b = leg('0xb');
+  await watch(noEvents, true);
+  assert.equal(store.get(a.id).status, 'cancelled');
+  assert.equal(store.get(b.id).status, 'active');
+  assert.equal(store.get(b.id).ocoOrderHash, null);
+});
+
+test('firing cancels the resting sibling and sells only what it left', async () => {
+  const { calls, beforeFire } = setup({
+    details: { '0xtp': [true, false, 12n * E18, E18 / 2n, '0xmaker'] },
+    structs: { '0xtp': { baseAmount: 2n * E18 } }
+  });
+  const fired = await beforeFire({ pair: PAIR, amount: '2', ocoOrderHash: '0xtp' });
+  assert.deepEqual(calls.cancelled, ['0xtp']);
+  assert.equal(fired.amount, '0.5');
+});
+
+test('firing is refused once the sibling has filled', async () => {
+  const { calls, beforeFire } = setup({ infos: { '0xtp': { status: 'FILLED' } } });
+  await assert.rejects(beforeFire({ pair: PAIR, amount: '2', ocoOrderHash: '0xtp' }), /linked order filled first/);
+  assert.equal(calls.cancelled.length, 0);
+  const alone = await setup({ infos: { '0xtp': { status: 'CANCELLED' } } }).beforeFire({ pair: PAIR, amount: '2', ocoOrderHash: '0xtp' });
+  assert.equal(alone.ocoOrderHash, null);
+});
@@ -0,0 +1,133 @@
+// src/lib/__tests__/orderBookStore.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderBookStore } from '../orderBookStore.js';
+
+const TICK = 10n ** 16n;
+const px = (ticks) => BigInt(ticks) * TICK;
+const level = (ticks, bidQty, askQty = 0n) => ({ price: px(ticks), bidQty, askQty });
+const noEvents = { placed: [], cancelled: [], expired: [], filled: [] };
+
+// Chain with replaceable block hashes and a book that answers depth reads by price range
+function fakeClient({ head = 100, book = [], events = noEvents, orderPrices = {} } = {}) {
+  const c = {
+    head,
+    hashes: new Map(),
+    book,
+    events,
+    depthCalls: [],
+    eventCalls: [],
+    provider: {
+      getBlock: async (tag) => {
+        const n = tag === 'latest' ? c.head : tag;
+        return n > c.head ? null : { number: n, hash: c.hashes.get(n) ?? `0x${n}` };
+      }
+    },
+    async getOrderBookDepth(_pair, { startPrice = null, endPrice = null, blockTag } = {}) {
+      c.depthCalls.push({ startPrice, endPrice, blockTag });
+      const inRange = c.book.filter(l => (startPrice === null || l.price >= startPrice) && (endPrice === null || l.price <= endPrice));
+      return { tickSize: TICK, bids: inRange.filter(l => l.bidQty > 0n), asks: inRange.filter(l => l.askQty > 0n) };
+    },
+    async getPairEvents(_pair, range) {
+      c.eventCalls.push(range);
+      return c.events;
+    },
+    async getOrderPrice(_pair, hash) {
+      return orderPrices[hash] ?? null;
+    }
+  };
+  return c;
+}
+
+async function synced(client, opts) {
+  const store = new OrderBookStore(client, '0xpair', opts);
+  await store._advance(client.head);
+  client.depthCalls.length = 0;
+  return store;
+}
+
+test('the first block takes a full snapshot', async () => {
+  const client = fakeClient({ book: [level(100, 5n), level(102, 0n, 7n)] });
+  const store = new OrderBookStore(client, '0xpair');
+  await store._advance(100);
+  assert.deepEqual(client.depthCalls, [{ startPrice: null, endPrice: null, blockTag: 100 }]);
+  const state = store.getState();
+  assert.equal(state.lastBlock, 100);
+  assert.deepEqual(state.bids.map(l => l.price), [px(100)]);
+  assert.deepEqual(state.asks.map(l => l.price), [px(102)]);
+});
+
+test('a delta refreshes only the touched window and drops levels that emptied', async () => {
+  const client = fakeClient({ book: [level(100, 5n), level(200, 3n)], orderPrices: { '0xa': px(100) } });
+  const store = await synced(client);
+
+  client.head = 101;
+  client.book = [level(200, 3n)]; // the bid at 100 was cancelled
+  client.events = { ...noEvents, cancelled: [{ args: { orderHash: '0xa' } }] };
+  await store._advance(101);
+
+  assert.deepEqual(client.eventCalls, [{ fromBlock: 101, toBlock: 101 }]);
+  assert.deepEqual(client.depthCalls.map(c => [c.startPrice, c.endPrice, c.blockTag]), [[px(100), px(100), 101]]);
+  assert.deepEqual(store.getState().bids.map(l => l.price), [px(200)]);
+  assert.equal(store.lastBlock, 101);
+});
+
+test('touched prices within mergeTicks share one window', async () => {
+  const client = fakeClient();
+  const store = await synced(client, { mergeTicks: 4n });
+  assert.deepEqual(store._windows([px(10), px(12), px(14), px(30)]), [[px(10), px(14)], [px(30), px(30)]]);
+});
+
+test('a gap wider than maxGap resyncs instead of replaying logs', async () => {
+  const client = fakeClient({ book: [level(100, 5n)] });
+  const store = await synced(client, { maxGap: 10 });
+
+  client.head = 111;
+  await store._advance(111);
+  assert.equal(client.eventCalls.length, 0);
+  assert.deepEqual(client.depthCalls, [{ startPrice: null, endPrice: null, blockTag: 111 }]);
+  assert.equal(store.lastBlock, 111);
+
+  client.head = 121;
+  client.depthCalls.length = 0;
+  await store._advance(121);
+  assert.deepEqual(client.eventCalls, [{ fromBlock: 112, toBlock: 121 }]);
+  assert.equal(client.depthCalls.length, 0);
+});
+
+test('a replaced last block rolls back to a fresh snapshot', async () => {
+  const client = fakeClient({ book: [level(100, 5n)] });
+  const store = await synced(client);
+
+  client.hashes.set(100, '0xother');
+  client.book = [level(101, 2n)];
+  await store._advance(100); // same height re-announced on the new branch
+  assert.deepEqual(client.depthCalls, [{ startPrice: null, endPrice: null, blockTag: 100 }]);
+  assert.deepEqual(store.getState().bids.map(l => l.price), [px(101)]);
+  assert.equal(store.lastBlockHash, '0xother');
+
+  client.depthCalls.length = 0;
+  await store._advance(100);
+  assert.equal(client.depthCalls.length, 0, 'nothing to do once the hash matches again');
+});
+
+test('a reorg found on a new head resyncs before reading logs', async () => {
+  const client = fakeClient();
+  const store = await synced(client);
+
+  client.head = 102;
+  client.hashes.set(100, '0xother');
+  await store._advance(102);
+  assert.equal(client.eventCalls.length, 0);
+  assert.deepEqual(client.depthCalls, [{ startPrice: null, endPrice: null, blockTag: 102 }]);
+});
+
+test('a cancel whose price cannot be found resyncs', async () => {
+  const client = fakeClient({ book: [level(100, 5n)] });
+  const store = await synced(client);
+
+  client.head = 101;
+  client.events = { ...noEvents, cancelled: [{ args: { orderHash: '0xunknown' } }] };
+  await store._advance(101);
+  assert.deepEqual(client.depthCalls, [{ startPrice: null, endPrice: null, blockTag: 101 }]);
+});
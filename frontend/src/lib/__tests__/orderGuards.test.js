@@ -0,0 +1,40 @@
+// src/lib/__tests__/orderGuards.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPostOnly, throughMarketBps } from '../orderGuards.js';
+
+const E18 = 10n ** 18n;
+const TICK = E18 / 100n;
+const book = { bestBid: 99n * TICK, bestAsk: 101n * TICK, tickSize: TICK };
+
+test('a bid at or above the best ask crosses and reprices one tick under it', () => {
+  assert.deepEqual(checkPostOnly({ ...book, price: 101n * TICK, isBid: true }), {
+    crosses: true, opposing: 101n * TICK, repriced: 100n * TICK
+  });
+  assert.equal(checkPostOnly({ ...book, price: 100n * TICK, isBid: true }).crosses, false);
+});
+
+test('an ask at or below the best bid crosses and reprices one tick over it', () => {
+  const r = checkPostOnly({ ...book, price: 90n * TICK, isBid: false });
+  assert.equal(r.crosses, true);
+  assert.equal(r.repriced, 100n * TICK);
+});
+
+test('nothing crosses an empty opposing side', () => {
+  assert.deepEqual(checkPostOnly({ ...book, bestAsk: null, price: 500n * TICK, isBid: true }), {
+    crosses: false, opposing: null, repriced: null
+  });
+});
+
+test('no repriced price when one tick inside would leave the tick range', () => {
+  const r = checkPostOnly({ ...book, bestAsk: TICK, price: TICK, isBid: true });
+  assert.equal(r.crosses, true);
+  assert.equal(r.repriced, null);
+});
+
+test('through-market distance is measured from the opposing best in bps', () => {
+  assert.equal(throughMarketBps({ ...book, price: 103n * TICK, isBid: true }), 198);
+  assert.equal(throughMarketBps({ ...book, price: 97n * TICK, isBid: false }), 202);
+  assert.equal(throughMarketBps({ ...book, price: 100n * TICK, isBid: true }), 0);
+  assert.equal(throughMarketBps({ ...book, bestBid: null, price: 1n, isBid: false }), 0);
+});
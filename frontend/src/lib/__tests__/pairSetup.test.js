@@ -0,0 +1,45 @@
+// src/lib/__tests__/pairSetup.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalPair, suggestTickSize, tickSizeRange, tokenSupportStage, validateTickSize } from '../pairSetup.js';
+import { MAX_TICK_INDEX } from '../ticks.js';
+
+const E18 = 10n ** 18n;
+const LOW = '0x0000000000000000000000000000000000000001';
+const HIGH = '0x00000000000000000000000000000000000000ff';
+
+test('the lower address becomes the base', () => {
+  assert.deepEqual(canonicalPair(LOW, HIGH), { base: LOW, quote: HIGH, flipped: false });
+  assert.deepEqual(canonicalPair(HIGH, LOW), { base: LOW, quote: HIGH, flipped: true });
+});
+
+test('a tick size covers tick indices 1..MAX_TICK_INDEX', () => {
+  assert.deepEqual(tickSizeRange(E18 / 100n), { minPrice: E18 / 100n, maxPrice: (E18 / 100n) * MAX_TICK_INDEX });
+});
+
+test('suggests the smallest power of ten that reaches the max price', () => {
+  assert.equal(suggestTickSize(1000n * E18), E18 / 10n);
+  assert.equal(suggestTickSize(MAX_TICK_INDEX), 1n);
+});
+
+test('rejects ranges the tick size cannot represent', () => {
+  const tick = E18 / 100n;
+  assert.deepEqual(validateTickSize(0n).errors, ["Tick size must be > 0"]);
+  assert.match(validateTickSize(tick, { minPrice: tick / 2n }).errors[0], /below one tick/);
+  assert.match(validateTickSize(tick, { maxPrice: 1000n * E18 }).errors[0], /at least 0\.1$/);
+  assert.match(validateTickSize(tick, { minPrice: 2n * E18, maxPrice: E18 }).errors[0], /above the maximum/);
+});
+
+test('warns when one tick is coarse at the bottom of the range', () => {
+  const { errors, warnings } = validateTickSize(E18 / 100n, { minPrice: E18 / 10n });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ["One tick is 10% of the minimum price"]);
+  assert.deepEqual(validateTickSize(E18 / 100n, { minPrice: 10n * E18 }).warnings, []);
+});
+
+test('token support moves from propose through the timelock to execute', () => {
+  assert.equal(tokenSupportStage({ supported: true, proposedAt: null, now: 0 }), 'done');
+  assert.equal(tokenSupportStage({ supported: false, proposedAt: null, now: 0 }), 'propose');
+  assert.equal(tokenSupportStage({ supported: false, proposedAt: 100, now: 99 }), 'pending');
+  assert.equal(tokenSupportStage({ supported: false, proposedAt: 100, now: 100 }), 'execute');
+});
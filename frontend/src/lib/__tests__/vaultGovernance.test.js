@@ -0,0 +1,45 @@
+// src/lib/__tests__/vaultGovernance.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { vaultActionArgs, vaultActionHash, vaultActionMethod, vaultActionsFromLogs } from '../vaultGovernance.js';
+
+const TOKEN = '0x0000000000000000000000000000000000000001';
+const TO = '0x0000000000000000000000000000000000000002';
+const word = (hex) => hex.replace(/^0x/, '').padStart(64, '0');
+
+test('hash matches keccak256(abi.encode("addSupportedToken", token))', () => {
+  const name = ethers.hexlify(ethers.toUtf8Bytes('addSupportedToken')).slice(2).padEnd(64, '0');
+  const encoded = '0x' + word('40') + word(TOKEN) + word('11') + name;
+  assert.equal(vaultActionHash({ kind: 'addSupportedToken', token: TOKEN }), ethers.keccak256(encoded));
+});
+
+test('every field of an action feeds its hash', () => {
+  const w = { kind: 'emergencyWithdraw', token: TOKEN, to: TO, amount: 5n };
+  assert.notEqual(vaultActionHash(w), vaultActionHash({ ...w, amount: 6n }));
+  assert.notEqual(
+    vaultActionHash({ kind: 'addSupportedToken', token: TOKEN }),
+    vaultActionHash({ kind: 'removeSupportedToken', token: TOKEN })
+  );
+  assert.deepEqual(vaultActionArgs({ ...w, amount: '5' }), [TOKEN, TO, 5n]);
+  assert.throws(() => vaultActionHash({ kind: 'setOwner' }), /Unknown vault action/);
+});
+
+test('method names follow propose*/execute*', () => {
+  assert.equal(vaultActionMethod('propose', 'authorizeExecutor'), 'proposeAuthorizeExecutor');
+  assert.equal(vaultActionMethod('execute', 'emergencyWithdraw'), 'executeEmergencyWithdraw');
+});
+
+test('logs collapse to one candidate per action, latest log wins', () => {
+  const log = (args, blockNumber) => ({ args, blockNumber, transactionHash: `0x${blockNumber}` });
+  const out = vaultActionsFromLogs({
+    executor: [log({ executor: TO, authorized: true }, 1), log({ executor: TO, authorized: true }, 4)],
+    token: [log({ token: TOKEN, supported: false }, 2)],
+    emergency: [log({ token: TOKEN, to: TO, amount: 7n }, 3)]
+  });
+  assert.equal(out.size, 3);
+  const exec = out.get(vaultActionHash({ kind: 'authorizeExecutor', executor: TO, isAuthorized: true }));
+  assert.equal(exec.proposedBlock, 4);
+  assert.equal(out.get(vaultActionHash({ kind: 'removeSupportedToken', token: TOKEN })).kind, 'removeSupportedToken');
+  assert.equal(out.get(vaultActionHash({ kind: 'emergencyWithdraw', token: TOKEN, to: TO, amount: 7n })).amount, 7n);
+});
@@ -0,0 +1,99 @@
+// src/lib/bookGrouping.js
+
+/**
+ * @typedef {Object} GroupedLevel
+ * @property {bigint} price     bucket price (bids floor, asks ceil)
+ * @property {bigint} qty       base quantity in the bucket
+ * @property {bigint} cumQty    cumulative base from the spread outwards
+ * @property {bigint} cumQuote  cumulative quote (floor(qty * price / 1e18) per level)
+ * @property {number} depthPct  cumQty relative to the deepest row shown on either side, 0..100
+ */
+
+const PRICE_SCALE = 10n ** 18n;
+
+/** Bucket size for "N x tickSize" grouping */
+export function bucketFromTicks(tickSize, multiplier) {
+  return BigInt(tickSize) * BigInt(multiplier);
+}
+
+/** Bucket size for a display precision in decimals (18-dec prices), never finer than one tick */
+export function bucketFromDecimals(tickSize, decimals) {
+  const d = Math.max(0, Math.min(18, Number(decimals)));
+  const bucket = 10n ** BigInt(18 - d);
+  return bucket > BigInt(tickSize) ? bucket : BigInt(tickSize);
+}
+
+/** Finest display precision (price decimals) that is not finer than one tick */
+export function maxPrecision(tickSize) {
+  const t = BigInt(tickSize);
+  let d = 18;
+  while (d > 0 && 10n ** BigInt(18 - d) < t) d--;
+  return d;
+}
+
+/**
+ * Merge raw levels into price buckets. Bids round down and asks round up, so a
+ * bucket never shows a price better than the orders it contains.
+ * @param {import('./clobClient.js').BookLevel[]} levels
+ * @param {'bid'|'ask'} side
+ * @returns {{ price: bigint, qty: bigint, quote: bigint }[]} best price first
+ */
+export function groupLevels(levels, side, bucket) {
+  const b = BigInt(bucket);
+  const buckets = new Map();
+  for (const l of levels) {
+    const qty = side === 'bid' ? l.bidQty : l.askQty;
+    if (!qty) continue;
+    const rem = l.price % b;
+    const key = side === 'bid' || rem === 0n ? l.price - rem : l.price - rem + b;
+    const cur = buckets.get(key) ?? { price: key, qty: 0n, quote: 0n };
+    cur.qty += qty;
+    cur.quote += (qty * l.price) / PRICE_SCALE; // same floor rounding as ClobPair settlement
+    buckets.set(key, cur);
+  }
+  return [...buckets.values()].sort((x, y) => {
+    if (x.price === y.price) return 0;
+    const asc = x.price < y.price ? -1 : 1;
+    return side === 'bid' ? -asc : asc;
+  });
+}
+
+/** Running totals from the best price outwards */
+export function accumulate(rows) {
+  let cumQty = 0n;
+  let cumQuote = 0n;
+  return rows.map(r => {
+    cumQty += r.qty;
+    cumQuote += r.quote;
+    return { ...r, cumQty, cumQuote };
+  });
+}
+
+/**
+ * Group, cap to `maxLevels` rows per side around the spread and add cumulative depth.
+ * Depth bars on both sides share one scale so they are comparable.
+ * @returns {{ bids: GroupedLevel[], asks: GroupedLevel[] }}
+ */
+export function buildGroupedBook({ bids, asks }, { bucket, maxLevels = 20 }) {
+  const b = accumulate(groupLevels(bids, 'bid', bucket).slice(0, maxLevels));
+  const a = accumulate(groupLevels(asks, 'ask', bucket).slice(0, maxLevels));
+  const maxCum = [...b, ...a].reduce((m, r) => (r.cumQty > m ? r.cumQty : m), 0n);
+  const pct = (r) => (maxCum > 0n ? Number((r.cumQty * 10000n) / maxCum) / 100 : 0);
+  return {
+    bids: b.map(r => ({ ...r, depthPct: pct(r) })),
+    asks: a.map(r => ({ ...r, depthPct: pct(r) }))
+  };
+}
+
+/**
+ * Cumulative depth curve per side for a depth chart, one point per tick level,
+ * from the spread outwards (bids high -> low, asks low -> high).
+ * @returns {{ bids: { price: bigint, cumQty: bigint, cumQuote: bigint }[], asks: { price: bigint, cumQty: bigint, cumQuote: bigint }[] }}
+ */
+export function buildDepthSeries({ bids, asks }, tickSize) {
+  const bucket = tickSize ? BigInt(tickSize) : 1n;
+  return {
+    bids: accumulate(groupLevels(bids, 'bid', bucket)),
+    asks: accumulate(groupLevels(asks, 'ask', bucket))
+  };
+}
@@ -0,0 +1,82 @@
+// src/lib/candles.js
+import { compareTrades } from './trades.js';
+
+/** Supported bar intervals, in seconds */
+export const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} time         bucket start, unix seconds
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume       base volume (human)
+ * @property {number} quoteVolume  quote volume (human)
+ * @property {number} trades       number of fills in the bucket
+ */
+
+const intervalSec = (interval) => {
+  const sec = CANDLE_INTERVALS[interval];
+  if (!sec) throw new Error(`Unsupported candle interval: ${interval}`);
+  return sec;
+};
+
+/** Bucket start (unix seconds) for a trade timestamp in ms */
+export function bucketStart(timeMs, interval) {
+  const sec = intervalSec(interval);
+  return Math.floor(timeMs / 1000 / sec) * sec;
+}
+
+const openCandle = (time, t) => ({
+  time, open: t.price, high: t.price, low: t.price, close: t.price,
+  volume: t.amount, quoteVolume: t.total, trades: 1
+});
+
+const extendCandle = (c, t) => ({
+  ...c,
+  high: Math.max(c.high, t.price),
+  low: Math.min(c.low, t.price),
+  close: t.price,
+  volume: c.volume + t.amount,
+  quoteVolume: c.quoteVolume + t.total,
+  trades: c.trades + 1
+});
+
+/**
+ * Aggregate fills (any order) into OHLCV bars, oldest first.
+ * Trades without a block timestamp are skipped.
+ * @param {import('./trades.js').Trade[]} trades
+ * @returns {Candle[]}
+ */
+export function buildCandles(trades, interval) {
+  const ordered = trades.filter(t => t.time > 0).sort(compareTrades);
+  return ordered.reduce((candles, t) => appendTrade(candles, t, interval), []);
+}
+
+/**
+ * Fold one new fill into an oldest-first candle list (returns a new array).
+ * Fills are expected in chain order; a fill older than the last bar is merged
+ * into its bucket but does not move that bar's open/close.
+ */
+export function appendTrade(candles, trade, interval) {
+  if (!(trade.time > 0)) return candles;
+  const time = bucketStart(trade.time, interval);
+  const last = candles[candles.length - 1];
+  if (!last || time > last.time) return [...candles, openCandle(time, trade)];
+  if (time === last.time) return [...candles.slice(0, -1), extendCandle(last, trade)];
+
+  const i = candles.findIndex(c => c.time === time);
+  if (i === -1) {
+    return [...candles, openCandle(time, trade)].sort((a, b) => a.time - b.time);
+  }
+  const c = candles[i];
+  const merged = { ...extendCandle(c, trade), close: c.close };
+  return [...candles.slice(0, i), merged, ...candles.slice(i + 1)];
+}
@@ -0,0 +1,1591 @@
+// src/lib/clobClient.js
+import { ethers } from 'ethers';
+import { VAULT_ABI, FACTORY_ABI, ROUTER_ABI } from '../contracts/contractData.js';
+import { normalizeFill } from './trades.js';
+import { MAX_TICK_INDEX, isValidTickPrice } from './ticks.js';
+import { ladderFunding } from './ladder.js';
+import { averagePrice, planMarketOrder } from './marketOrder.js';
+import { checkPostOnly } from './orderGuards.js';
+import { canonicalPair } from './pairSetup.js';
+import { vaultActionArgs, vaultActionHash, vaultActionMethod, vaultActionsFromLogs } from './vaultGovernance.js';
+import { createDomain, createLimitOrder, hashLimitOrder, signCancelOrder, signLimitOrder, parseTokenAmount, validateOrder, verifyOrderHash } from './eip712.js';
+
+export const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+  "function nonces(address) view returns (uint256)",
+  "function version() view returns (string)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+// Domain versions tried, in order, when a token exposes neither version() nor eip712Domain()
+const PERMIT_VERSION_CANDIDATES = ["1", "2", "1.0", "v1"];
+
+// Widest block range sent in a single eth_getLogs; public RPCs reject much larger ones
+const LOG_CHUNK_BLOCKS = 5000;
+
+// How often an EIP-5792 call batch is polled until the wallet reports it mined
+const CALLS_POLL_MS = 1500;
+
+export const PAIR_ABI = [
+  "function getPairInfo() view returns (address,address,uint256)",
+  "function getBestBid() view returns (bool,uint256,uint64)",
+  "function getBestAsk() view returns (bool,uint256,uint64)",
+  "function getPriceLevel(uint256) view returns (uint64,uint64)",
+  "function getUserOrders(address) view returns (bytes32[])",
+  "function getOrderDetails(bytes32) view returns (bool,bool,uint256,uint64,address)",
+  "function getOrderInfo(bytes32) view returns ((bytes32 orderHash, uint8 status, uint256 filledBase, uint256 createdAt))",
+  "function getSSTState(uint256,uint256) view returns (uint64[] bidValues, uint64[] askValues)",
+  "function cancelOrderByHash(bytes32)",
+  "event OrderPlaced(bytes32 indexed orderHash, (address maker,address baseToken,address quoteToken,address clobPair,uint64 baseAmount,uint256 price,bool isSellBase,uint256 expiry,uint256 nonce) order, uint64 orderId)",
+  "event OrderCancelled(bytes32 indexed orderHash, address indexed maker, uint64 orderId)",
+  "event OrderExpired(bytes32 indexed orderHash, address indexed maker, uint64 orderId)",
+  "event OrderFilled(bytes32 indexed orderHash, address indexed maker, address indexed taker, uint128 fillBase, uint128 fillQuote, uint256 price, bool isFinal)"
+];
+
+export const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner",   type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value",   type: "uint256" },
+    { name: "nonce",   type: "uint256" },
+    { name: "deadline",type: "uint256" }
+  ]
+};
+
+/** OrderStructs.OrderStatus names, indexed by the on-chain enum value */
+export const ORDER_STATUSES = ['PENDING', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED', 'EXPIRED'];
+
+export { MAX_TICK_INDEX };
+export const addrEq = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+/**
+ * @typedef {Object} PairInfo
+ * @property {string} base
+ * @property {string} quote
+ * @property {bigint} tickSize
+ *
+ * @typedef {Object} BookLevel
+ * @property {bigint} price   18-dec price
+ * @property {bigint} bidQty  raw base units resting on the bid side
+ * @property {bigint} askQty  raw base units resting on the ask side
+ *
+ * @typedef {Object} OrderBookDepth
+ * @property {string} baseToken
+ * @property {string} quoteToken
+ * @property {bigint} tickSize
+ * @property {BookLevel[]} bids  high -> low
+ * @property {BookLevel[]} asks  low -> high
+ *
+ * @typedef {Object} UserOrder
+ * @property {string} hash
+ * @property {boolean} exists
+ * @property {boolean} isBid
+ * @property {bigint} price
+ * @property {bigint} remaining
+ * @property {string} maker
+ *
+ * @typedef {Object} VaultBalance
+ * @property {string} token
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {bigint} wallet     ERC20 balance outside the Vault
+ * @property {bigint} total      getTotalBalance
+ * @property {bigint} available  getAvailableBalance (total - locked)
+ * @property {bigint} locked     getLockedBalance, held by resting orders
+ * @property {boolean} permit    token has a verified EIP-2612 permit domain
+ * @property {boolean} supported isSupportedToken; unsupported tokens can still be withdrawn
+ *
+ * @typedef {Object} LockedByOrder
+ * @property {string} pair
+ * @property {string} hash
+ * @property {boolean} isBid
+ * @property {bigint} price
+ * @property {bigint} remaining
+ * @property {string} token
+ * @property {bigint} amount
+ *
+ * @typedef {Object} OrderInfo
+ * @property {'PENDING'|'PARTIALLY_FILLED'|'FILLED'|'CANCELLED'|'EXPIRED'} status
+ * @property {bigint} filledBase  includes any fill taken on arrival
+ * @property {number} createdAt   unix seconds, 0 if the order never rested
+ *
+ * @typedef {Object} PairSetupStatus
+ * @property {string} base            canonical (lower address) token
+ * @property {string} quote
+ * @property {boolean} flipped        tokenA ended up as the quote token
+ * @property {bigint} tickSize
+ * @property {string} factoryOwner
+ * @property {string} vaultOwner      proposes and executes token support
+ * @property {number} timelockSec     Vault proposal delay
+ * @property {string} router          router set on the factory (zero address if unset)
+ * @property {boolean} routerMatches  it is the router this client sends orders to
+ * @property {boolean} baseSupported
+ * @property {boolean} quoteSupported
+ * @property {number|null} baseProposedAt   unix seconds a pending addSupportedToken proposal unlocks, null if none
+ * @property {number|null} quoteProposedAt
+ * @property {string|null} pair       null until created
+ * @property {boolean} pairAuthorized pair is a Vault executor (it cannot lock or settle funds until it is)
+ * @property {number|null} executorProposedAt  unix seconds a pending authorizeExecutor proposal for the pair unlocks
+ */
+
+/**
+ * Framework-agnostic client for Router/Factory/Vault/ClobPair.
+ * Works with any ethers v6 runner: a Provider for reads, a Signer for writes.
+ * Every operation throws on failure; optional `onTxSuccess`/`onTxError`
+ * callbacks let UIs (toasts, loggers) observe mined transactions.
+ */
+export class ClobClient {
+  /**
+   * @param {Object} opts
+   * @param {ethers.ContractRunner} opts.runner  Provider or Signer
+   * @param {{ vault: string, factory: string, router: string }} opts.addresses
+   * @param {number} [opts.chainId]  EIP-712 chain id; read from the provider when omitted
+   * @param {number} [opts.deployBlock]  first block worth scanning for logs (default 0)
+   * @param {(message: string, tx: ethers.TransactionResponse|null) => void} [opts.onTxSuccess]  tx is null for wallet call batches
+   * @param {(error: Error) => void} [opts.onTxError]
+   */
+  constructor({ runner, addresses, chainId, deployBlock = 0, onTxSuccess, onTxError } = {}) {
+    if (!runner) throw new Error("ClobClient: runner required");
+    if (!addresses?.vault || !addresses?.factory || !addresses?.router) {
+      throw new Error("ClobClient: vault, factory and router addresses required");
+    }
+    this.runner = runner;
+    this.provider = runner.provider ?? runner;
+    this.addresses = addresses;
+    this.chainId = chainId;
+    this.deployBlock = deployBlock;
+    this.onTxSuccess = onTxSuccess;
+    this.onTxError = onTxError;
+    this._orderHashVerified = false;
+    this._tokens = new Map();       // token -> { address, symbol, decimals }
+    this._pairs = new Map();        // pair -> getPairMeta result
+    this._makerIsBid = new Map();   // orderHash -> bool
+    this._blockTimes = new Map();   // blockNumber -> unix seconds
+    this._orderPrices = new Map();  // orderHash -> 18-dec limit price
+    this._orderExpiries = new Map(); // orderHash -> unix seconds (0 = good-till-cancel)
+    this._permitDomains = new Map(); // token -> Promise<EIP-712 domain | null>
+    this._placedIndex = new Map();  // pair -> Promise<{ toBlock, byPrice: Map<price, Map<orderHash, orderId>> } | null>
+
+    this.vault = new ethers.Contract(addresses.vault, VAULT_ABI, runner);
+    this.factory = new ethers.Contract(addresses.factory, FACTORY_ABI, runner);
+    this.router = new ethers.Contract(addresses.router, ROUTER_ABI, runner);
+  }
+
+  get signer() {
+    if (typeof this.runner.signTypedData !== 'function') {
+      throw new Error("ClobClient: a Signer is required for this operation");
+    }
+    return this.runner;
+  }
+
+  async getChainId() {
+    if (this.chainId) return Number(this.chainId);
+    const net = await this.provider.getNetwork();
+    return Number(net.chainId);
+  }
+
+  async getRouterDomain() {
+    return createDomain(await this.getChainId(), this.addresses.router);
+  }
+
+  /**
+   * Check once per client that the local EIP-712 order hash matches
+   * router.hashOrder, so schema/domain drift fails before anything is signed.
+   */
+  async ensureOrderHashMatches(order) {
+    if (this._orderHashVerified) return;
+    await verifyOrderHash(this.router, order, await this.getRouterDomain());
+    this._orderHashVerified = true;
+  }
+
+  /** Fresh order nonce: Router requires nonce >= its counter, and OrderStructs rejects 0. */
+  async nextNonce(maker) {
+    const n = BigInt(await this.router.getUserNonce(maker));
+    return n > 0n ? n : 1n;
+  }
+
+  /** Send a tx, wait for it to be mined and report through the callbacks. */
+  async sendTx(fn, okMsg) {
+    try {
+      const tx = await fn();
+      await tx.wait();
+      this.onTxSuccess?.(okMsg, tx);
+      return tx;
+    } catch (e) {
+      this.onTxError?.(e);
+      throw e;
+    }
+  }
+
+  /**
+   * Whether the wallet can send several calls as one atomic batch (EIP-5792
+   * wallet_getCapabilities). False for signers whose provider lacks the method.
+   */
+  async supportsAtomicCalls(account) {
+    const chainId = ethers.toQuantity(await this.getChainId());
+    try {
+      const caps = await this.provider.send('wallet_getCapabilities', [account, [chainId]]);
+      const c = caps?.[chainId] ?? caps?.['0x0'];
+      return c?.atomic?.status === 'supported' || c?.atomic?.status === 'ready' || c?.atomicBatch?.supported === true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Send `calls` as one all-or-nothing wallet_sendCalls batch, wait until it is mined
+   * and report through the callbacks like sendTx. Throws if any call reverted.
+   * @param {{ to: string, data: string }[]} calls
+   * @returns {Promise<{ id: string, receipts: { logs: { address: string, topics: string[], data: string }[] }[] }>}
+   */
+  async sendAtomicCalls(from, calls, okMsg) {
+    try {
+      const chainId = ethers.toQuantity(await this.getChainId());
+      const sent = await this.provider.send('wallet_sendCalls', [{
+        version: '2.0.0', from, chainId, atomicRequired: true,
+        calls: calls.map(c => ({ to: c.to, data: c.data, value: '0x0' }))
+      }]);
+      const id = typeof sent === 'string' ? sent : sent.id;
+      for (;;) {
+        const st = await this.provider.send('wallet_getCallsStatus', [id]);
+        // 2.0.0 reports numeric codes (100 pending, 200 mined, 4xx/5xx failed); 1.0 used strings
+        if (st.status === 200 || st.status === 'CONFIRMED') {
+          const receipts = st.receipts ?? [];
+          if (receipts.some(r => r.status === '0x0' || r.status === 0)) throw new Error("Wallet call batch reverted");
+          this.onTxSuccess?.(okMsg, null);
+          return { id, receipts };
+        }
+        if (typeof st.status === 'number' && st.status >= 400) throw new Error(`Wallet call batch failed (status ${st.status})`);
+        await new Promise(r => setTimeout(r, CALLS_POLL_MS));
+      }
+    } catch (e) {
+      this.onTxError?.(e);
+      throw e;
+    }
+  }
+
+  // ----------------- basic utils -----------------
+  erc20(token) {
+    return new ethers.Contract(token, ERC20_ABI, this.runner);
+  }
+
+  pair(pairAddress) {
+    return new ethers.Contract(pairAddress, PAIR_ABI, this.runner);
+  }
+
+  async getDecimals(token) {
+    return Number(await this.erc20(token).decimals());
+  }
+
+  /** @returns {Promise<string[]>} */
+  async getAllPairs() {
+    return Array.from(await this.factory.getAllPairs());
+  }
+
+  /** @returns {Promise<PairInfo>} */
+  async getPairInfo(pairAddress) {
+    const [base, quote, tick] = await this.pair(pairAddress).getPairInfo();
+    return { base, quote, tickSize: BigInt(tick) };
+  }
+
+  async findMatchingPair(baseToken, quoteToken) {
+    const addrs = await this.getAllPairs();
+    for (const p of addrs) {
+      const { base, quote, tickSize } = await this.getPairInfo(p);
+      if ((addrEq(base, baseToken) && addrEq(quote, quoteToken)) ||
+          (addrEq(base, quoteToken) && addrEq(quote, baseToken))) {
+        return { pair: p, pairBase: base, pairQuote: quote, tickSize };
+      }
+    }
+    return null;
+  }
+
+  async getVaultAvailable(user, token) {
+    return BigInt(await this.vault.getAvailableBalance(user, token));
+  }
+
+  /**
+   * Tokens the Vault supports, plus (given a user) any token that user still holds in
+   * the Vault after support was removed. The Vault keeps no enumerable list, so
+   * candidates are every token named in a TokenSupportChanged log and the base/quote
+   * tokens of every factory pair.
+   * @returns {Promise<string[]>}
+   */
+  async getVaultTokens(user = null) {
+    const seen = new Map();
+    const logs = await this.queryLogs(this.vault, this.vault.filters.TokenSupportChanged());
+    for (const ev of logs) seen.set(ev.args.token.toLowerCase(), ev.args.token);
+    for (const p of await this.getAllPairs()) {
+      const { base, quote } = await this.getPairInfo(p);
+      for (const t of [base, quote]) seen.set(t.toLowerCase(), t);
+    }
+    const out = [];
+    for (const t of seen.values()) {
+      if (await this.vault.isSupportedToken(t) || (user && BigInt(await this.vault.getTotalBalance(user, t)) > 0n)) {
+        out.push(t);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Wallet and Vault balances of a user, raw units.
+   * @returns {Promise<VaultBalance[]>}
+   */
+  async getVaultBalances(user, tokens = null) {
+    const list = tokens ?? await this.getVaultTokens(user);
+    return await Promise.all(list.map(async (token) => {
+      const [meta, wallet, total, available, locked, supported] = await Promise.all([
+        this.getTokenMeta(token),
+        this.erc20(token).balanceOf(user),
+        this.vault.getTotalBalance(user, token),
+        this.vault.getAvailableBalance(user, token),
+        this.vault.getLockedBalance(user, token),
+        this.vault.isSupportedToken(token)
+      ]);
+      return {
+        token, symbol: meta.symbol, decimals: meta.decimals,
+        wallet: BigInt(wallet), total: BigInt(total), available: BigInt(available), locked: BigInt(locked),
+        permit: await this.supportsPermit(token), supported
+      };
+    }));
+  }
+
+  /**
+   * What each resting order of a user holds locked in the Vault, as ClobPair computes
+   * it on unlock: remaining base for asks, ceil(remaining * price) quote for bids.
+   * @returns {Promise<LockedByOrder[]>}
+   */
+  async getLockedBreakdown(user, { pairs = null } = {}) {
+    const out = [];
+    for (const o of await this.getOpenOrders(user, { pairs })) {
+      const { base, quote } = await this.getPairInfo(o.pair);
+      const remaining = BigInt(o.remaining);
+      const price = BigInt(o.price);
+      out.push({
+        pair: o.pair, hash: o.hash, isBid: o.isBid, price, remaining,
+        token: o.isBid ? quote : base,
+        amount: o.isBid ? (remaining * price + 10n**18n - 1n) / 10n**18n : remaining
+      });
+    }
+    return out;
+  }
+
+  async withdrawFromVault(token, amount) {
+    return await this.sendTx(() => this.vault.withdraw(token, amount), "Withdrawn from Vault");
+  }
+
+  // ----------------- funding -----------------
+  /**
+   * EIP-712 domain a token's permit is signed under, or null if the token has no
+   * usable EIP-2612 permit. The token must expose nonces() and DOMAIN_SEPARATOR();
+   * the domain comes from eip712Domain() (ERC-5267) when available, else from name()
+   * with version() or common version strings, and is only accepted once it hashes to
+   * the token's DOMAIN_SEPARATOR. Cached per token; RPC failures reject and are
+   * not cached.
+   * @returns {Promise<ethers.TypedDataDomain|null>}
+   */
+  async getPermitDomain(token) {
+    const key = token.toLowerCase();
+    if (!this._permitDomains.has(key)) {
+      const probe = this._probePermitDomain(token);
+      this._permitDomains.set(key, probe);
+      probe.catch(() => {
+        if (this._permitDomains.get(key) === probe) this._permitDomains.delete(key); // probe again next time
+      });
+    }
+    return await this._permitDomains.get(key);
+  }
+
+  /** True when permit signatures for `token` will verify on-chain. */
+  async supportsPermit(token) {
+    return (await this.getPermitDomain(token)) !== null;
+  }
+
+  async _probePermitDomain(token) {
+    const c = this.erc20(token);
+    // Only a revert or undecodable (empty) return means the function is not there
+    const missing = (e) => {
+      if (ethers.isError(e, 'CALL_EXCEPTION') || ethers.isError(e, 'BAD_DATA')) return null;
+      throw e;
+    };
+    const [separator, nonce] = await Promise.all([
+      c.DOMAIN_SEPARATOR().catch(missing),
+      c.nonces(ethers.ZeroAddress).catch(missing)
+    ]);
+    if (separator === null || nonce === null) return null;
+    const matches = (d) => ethers.TypedDataEncoder.hashDomain(d) === separator;
+
+    const d5267 = await c.eip712Domain().catch(missing);
+    if (d5267) {
+      const fields = Number(d5267.fields);
+      const domain = {};
+      if (fields & 0x01) domain.name = d5267.name;
+      if (fields & 0x02) domain.version = d5267.version;
+      if (fields & 0x04) domain.chainId = d5267.chainId;
+      if (fields & 0x08) domain.verifyingContract = d5267.verifyingContract;
+      if (fields & 0x10) domain.salt = d5267.salt;
+      if (matches(domain)) return domain;
+    }
+
+    const [name, version, chainId] = await Promise.all([
+      c.name().catch(missing),
+      c.version().catch(missing),
+      this.getChainId()
+    ]);
+    if (name === null) return null;
+    const versions = [...new Set([version, ...PERMIT_VERSION_CANDIDATES].filter(v => v !== null))];
+    for (const v of versions) {
+      const domain = { name, version: v, chainId, verifyingContract: token };
+      if (matches(domain)) return domain;
+    }
+    const unversioned = { name, chainId, verifyingContract: token };
+    return matches(unversioned) ? unversioned : null;
+  }
+
+  /** Sign an EIP-2612 permit letting the Vault pull `amount` of `token`. @returns {Promise<{ v: number, r: string, s: string }>} */
+  async signPermit(token, owner, amount, deadlineSec) {
+    const domain = await this.getPermitDomain(token);
+    if (!domain) throw new Error(`Token ${token} does not support EIP-2612 permit`);
+    const nonce = await this.erc20(token).nonces(owner);
+    const msg = { owner, spender: this.addresses.vault, value: amount.toString(), nonce: nonce.toString(), deadline: String(deadlineSec) };
+    const signature = await this.signer.signTypedData(domain, PERMIT_TYPES, msg);
+    const { r, s, v } = ethers.Signature.from(signature);
+    return { v, r, s };
+  }
+
+  async tryDepositWithPermit(token, owner, amount, deadlineSec) {
+    // EIP-2612 single-tx funding: sign permit, then call depositWithPermit
+    const { v, r, s } = await this.signPermit(token, owner, amount, deadlineSec);
+    return await this.sendTx(
+      () => this.vault.depositWithPermit(token, amount, deadlineSec, v, r, s),
+      "Deposited to Vault via permit"
+    );
+  }
+
+  /**
+   * Fund several tokens at once: one batchDepositWithPermit for tokens with a verified
+   * permit domain, then approve + one batchDeposit for the rest.
+   * batchDepositWithPermit reverts as a whole on any bad permit, so the batch is
+   * preflighted and, if it fails, each permit is checked alone to find the bad ones.
+   * @param {{ token: string, amount: bigint }[]} items
+   * @returns {Promise<{ permitTx: ethers.TransactionResponse|null, depositTx: ethers.TransactionResponse|null, viaPermit: string[], viaApprove: string[], fallbackReasons: Object<string, string> }>}
+   *   fallbackReasons: why a token went through approve although permits were requested
+   */
+  async batchDepositToVault(owner, items, { usePermit = true } = {}) {
+    const list = items.filter(i => BigInt(i.amount) > 0n).map(i => ({ token: i.token, amount: BigInt(i.amount) }));
+    if (!list.length) throw new Error("Nothing to deposit");
+    for (const { token, amount } of list) {
+      if (!(await this.vault.isSupportedToken(token))) throw new Error(`Token ${token} not supported in Vault`);
+      const bal = BigInt(await this.erc20(token).balanceOf(owner));
+      if (bal < amount) throw new Error(`Wallet balance too low for ${token}. Need ${amount}, have ${bal}`);
+    }
+
+    let permitted = [];
+    let fallback = [];
+    const fallbackReasons = {};
+    if (usePermit) {
+      const deadline = Math.floor(Date.now()/1000) + 15 * 60;
+      for (const item of list) {
+        if (!(await this.supportsPermit(item.token))) {
+          fallback.push(item);
+          fallbackReasons[item.token] = "no EIP-2612 permit";
+          continue;
+        }
+        permitted.push({ ...item, deadline, ...(await this.signPermit(item.token, owner, item.amount, deadline)) });
+      }
+    } else {
+      fallback = list;
+    }
+
+    const permitArgs = (ps) => [
+      ps.map(p => p.token), ps.map(p => p.amount), ps.map(p => p.deadline),
+      ps.map(p => p.v), ps.map(p => p.r), ps.map(p => p.s)
+    ];
+    if (permitted.length) {
+      try {
+        await this.vault.batchDepositWithPermit.staticCall(...permitArgs(permitted));
+      } catch {
+        const ok = [];
+        for (const p of permitted) {
+          try {
+            await this.vault.depositWithPermit.staticCall(p.token, p.amount, p.deadline, p.v, p.r, p.s);
+            ok.push(p);
+          } catch (e) {
+            fallback.push({ token: p.token, amount: p.amount });
+            fallbackReasons[p.token] = `permit rejected: ${e?.shortMessage || e?.reason || e?.message}`;
+          }
+        }
+        permitted = ok;
+      }
+    }
+
+    let permitTx = null;
+    if (permitted.length) {
+      permitTx = await this.sendTx(
+        () => this.vault.batchDepositWithPermit(...permitArgs(permitted)),
+        `Deposited ${permitted.length} token(s) to Vault via permit`
+      );
+    }
+
+    let depositTx = null;
+    if (fallback.length) {
+      for (const { token, amount } of fallback) await this.approveIfNeeded(token, owner, this.addresses.vault, amount);
+      depositTx = await this.sendTx(
+        () => this.vault.batchDeposit(fallback.map(f => f.token), fallback.map(f => f.amount)),
+        `Deposited ${fallback.length} token(s) to Vault`
+      );
+    }
+
+    return { permitTx, depositTx, viaPermit: permitted.map(p => p.token), viaApprove: fallback.map(f => f.token), fallbackReasons };
+  }
+
+  async approveIfNeeded(token, owner, spender, amountNeeded) {
+    const c = this.erc20(token);
+    const cur = BigInt(await c.allowance(owner, spender));
+    if (cur >= amountNeeded) return null;
+    return await this.sendTx(() => c.approve(spender, amountNeeded), "Approved token spend to Vault");
+  }
+
+  async depositToVault(token, owner, amount, { usePermit = false } = {}) {
+    const bal = BigInt(await this.erc20(token).balanceOf(owner));
+    if (bal < amount) throw new Error(`Wallet balance too low for deposit. Need ${amount}, have ${bal}`);
+    if (usePermit && await this.supportsPermit(token)) {
+      const deadline = Math.floor(Date.now()/1000) + 15 * 60;
+      try { return await this.tryDepositWithPermit(token, owner, amount, deadline); }
+      catch (e) { console.warn("permit deposit failed, fallback approve+deposit:", e); }
+    }
+    await this.approveIfNeeded(token, owner, this.addresses.vault, amount);
+    return await this.sendTx(() => this.vault.deposit(token, amount), "Deposited to Vault");
+  }
+
+  // ----------------- vault governance -----------------
+  /** @returns {Promise<{ owner: string, paused: boolean, timelockSec: number }>} */
+  async getVaultGovernance() {
+    const [owner, paused, timelock] = await Promise.all([
+      this.vault.owner(),
+      this.vault.paused(),
+      this.vault.TIMELOCK_DURATION()
+    ]);
+    return { owner, paused, timelockSec: Number(timelock) };
+  }
+
+  /**
+   * Proposed Vault actions still waiting to be executed, oldest unlock first.
+   * Candidates come from ExecutorAuthorized / TokenSupportChanged / EmergencyWithdrawProposed
+   * logs; pendingActions(actionHash) decides which are still pending and when they unlock.
+   * @returns {Promise<(import('./vaultGovernance.js').VaultAction & { actionHash: string, executionTime: number, proposedBlock: number, txHash: string })[]>}
+   */
+  async getPendingVaultActions({ fromBlock = this.deployBlock, toBlock = 'latest' } = {}) {
+    const v = this.vault;
+    const [executor, token, emergency] = await Promise.all([
+      this.queryLogs(v, v.filters.ExecutorAuthorized(), fromBlock, toBlock),
+      this.queryLogs(v, v.filters.TokenSupportChanged(), fromBlock, toBlock),
+      this.queryLogs(v, v.filters.EmergencyWithdrawProposed(), fromBlock, toBlock)
+    ]);
+    const out = [];
+    for (const [actionHash, action] of vaultActionsFromLogs({ executor, token, emergency })) {
+      const executionTime = Number(await v.pendingActions(actionHash));
+      if (executionTime !== 0) out.push({ ...action, actionHash, executionTime });
+    }
+    return out.sort((a, b) => a.executionTime - b.executionTime);
+  }
+
+  /** Start the timelock for a Vault admin action (owner only). */
+  async proposeVaultAction(action) {
+    const method = vaultActionMethod('propose', action.kind);
+    return await this.sendTx(() => this.vault[method](...vaultActionArgs(action)), "Vault action proposed");
+  }
+
+  /** Execute a proposed Vault action whose timelock has passed (owner only). */
+  async executeVaultAction(action) {
+    const method = vaultActionMethod('execute', action.kind);
+    const args = vaultActionArgs(action);
+    try {
+      await this.vault[method].staticCall(...args);
+    } catch (e) {
+      throw new Error(`Cannot execute yet: ${e?.reason || e?.shortMessage || e?.message}`);
+    }
+    return await this.sendTx(() => this.vault[method](...args), "Vault action executed");
+  }
+
+  async setVaultPaused(paused) {
+    return await this.sendTx(
+      () => (paused ? this.vault.pause() : this.vault.unpause()),
+      paused ? "Vault paused" : "Vault unpaused"
+    );
+  }
+
+  // ----------------- pair setup -----------------
+  /**
+   * Everything a new pair needs before it can trade, in the order the setup happens.
+   * Token support and the pair's executor authorization go through the Vault's
+   * timelocked propose/execute flow, so each can sit in a pending proposal first.
+   * @returns {Promise<PairSetupStatus>}
+   */
+  async getPairSetupStatus(tokenA, tokenB, tickSize) {
+    const { base, quote, flipped } = canonicalPair(ethers.getAddress(tokenA), ethers.getAddress(tokenB));
+    const proposal = async (action) => {
+      const t = Number(await this.vault.pendingActions(vaultActionHash(action)));
+      return t === 0 ? null : t;
+    };
+    const [factoryOwner, vaultOwner, timelock, router, baseSupported, quoteSupported, baseProposedAt, quoteProposedAt, pair] = await Promise.all([
+      this.factory.owner(),
+      this.vault.owner(),
+      this.vault.TIMELOCK_DURATION(),
+      this.factory.router(),
+      this.vault.isSupportedToken(base),
+      this.vault.isSupportedToken(quote),
+      proposal({ kind: 'addSupportedToken', token: base }),
+      proposal({ kind: 'addSupportedToken', token: quote }),
+      this.factory.getClobPair(base, quote, tickSize)
+    ]);
+    const exists = pair !== ethers.ZeroAddress;
+    return {
+      base, quote, flipped,
+      tickSize: BigInt(tickSize),
+      factoryOwner,
+      vaultOwner,
+      timelockSec: Number(timelock),
+      router,
+      routerMatches: addrEq(router, this.addresses.router),
+      baseSupported,
+      quoteSupported,
+      baseProposedAt,
+      quoteProposedAt,
+      pair: exists ? pair : null,
+      pairAuthorized: exists ? await this.vault.isExecutor(pair) : false,
+      executorProposedAt: exists ? await proposal({ kind: 'authorizeExecutor', executor: pair, isAuthorized: true }) : null
+    };
+  }
+
+  /** Create a pair (any account); tokens are put in canonical order by the factory. */
+  async createClobPair(tokenA, tokenB, tickSize) {
+    const tx = await this.sendTx(() => this.factory.createClobPair(tokenA, tokenB, tickSize), "Pair created");
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      if (!addrEq(log.address, this.addresses.factory)) continue;
+      const ev = this.factory.interface.parseLog(log);
+      if (ev?.name === 'PairCreated') return { tx, pair: ev.args.clobPair };
+    }
+    return { tx, pair: await this.factory.getClobPair(tokenA, tokenB, tickSize) };
+  }
+
+  /** Factory owner only: the router new pairs accept orders from. */
+  async setFactoryRouter(router = this.addresses.router) {
+    return await this.sendTx(() => this.factory.setRouter(router), "Factory router set");
+  }
+
+  /** Replicate Router._findClobPairForPrice:
+   * Filter candidate pairs by tokens, require price % tickSize == 0,
+   * probe getPriceLevel(price) to ensure range/ABI match,
+   * and pick the largest tickSize that divides price.
+   * @returns {Promise<{ addr: string } & PairInfo>}
+   */
+  async pickPairForPrice(baseToken, quoteToken, price18) {
+    const all = await this.getAllPairs();
+    let best = null;
+    let bestTick = 0n;
+    const candidates = [];
+
+    for (const addr of all) {
+      const info = await this.getPairInfo(addr);
+      const matchTokens =
+        (addrEq(info.base, baseToken) && addrEq(info.quote, quoteToken)) ||
+        (addrEq(info.base, quoteToken) && addrEq(info.quote, baseToken));
+      if (!matchTokens) continue;
+      candidates.push({ addr, ...info });
+    }
+
+    if (!candidates.length) {
+      throw new Error(`No deployed pair matches these tokens. Create pair first.`);
+    }
+
+    for (const c of candidates) {
+      if (price18 % c.tickSize !== 0n) continue;
+      try {
+        await this.pair(c.addr).getPriceLevel(price18);
+        if (c.tickSize > bestTick) {
+          bestTick = c.tickSize;
+          best = c;
+        }
+      } catch (e) {
+        console.warn(`getPriceLevel probe failed for pair ${c.addr} tick=${c.tickSize}:`, e);
+      }
+    }
+
+    if (!best) {
+      const ticks = candidates.map(c => c.tickSize.toString());
+      throw new Error(
+        `No pair accepts this price. Either price not aligned with tick, out of range, or ABI mismatch.\n` +
+        `Available tickSizes: [${ticks.join(', ')}]`
+      );
+    }
+    return best;
+  }
+
+  // ----------------- place order -----------------
+  /**
+   * requireSignature: if true, sign EIP-712 (gasless/relayed scenarios).
+   * autoFund: if true, auto top-up Vault when available balance < needed.
+   * usePermit: when autoFund, try EIP-2612 permit first; fallback approve+deposit.
+   * skipPreflight: if true, skip staticCall preflight.
+   * postOnly: 'reject' aborts, 'reprice' moves the price one tick off the opposing best,
+   *   when the order would take liquidity (checked against the book just before signing).
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async placeLimitOrder({
+    maker, baseToken, quoteToken,
+    baseAmountHuman, baseDecimals,
+    priceHuman, isSellBase,
+    expirySec = 0,
+    requireSignature = false,
+    autoFund = true,
+    usePermit = true,
+    skipPreflight = false,
+    pairAddress = null,       // pin a specific ClobPair instead of Router-style auto-selection
+    postOnly = null           // null | 'reject' | 'reprice'
+  }) {
+    // Canonical pair check
+    const match = await this.findMatchingPair(baseToken, quoteToken);
+    if (!match) throw new Error("No matching pair on-chain for these token addresses.");
+    if (!addrEq(baseToken, match.pairBase) || !addrEq(quoteToken, match.pairQuote)) {
+      throw new Error(`Use canonical token order. base=${match.pairBase} quote=${match.pairQuote}`);
+    }
+
+    // Token support
+    if (!(await this.vault.isSupportedToken(baseToken))) throw new Error("Base token not supported in Vault");
+    if (!(await this.vault.isSupportedToken(quoteToken))) throw new Error("Quote token not supported in Vault");
+
+    // Amounts & ticks
+    let price18 = ethers.parseUnits(priceHuman, 18);
+    const baseAmountRaw = parseTokenAmount(baseAmountHuman, baseDecimals);
+    let pinned = null;
+    if (pairAddress) {
+      pinned = { addr: pairAddress, ...(await this.getPairInfo(pairAddress)) };
+      if (!addrEq(pinned.base, baseToken) || !addrEq(pinned.quote, quoteToken)) {
+        throw new Error(`Pair ${pairAddress} does not trade these tokens`);
+      }
+    }
+    const tickSize = pinned ? pinned.tickSize : match.tickSize;
+    if (price18 % tickSize !== 0n) throw new Error(`Price must be a multiple of tickSize`);
+    const tickIndex = price18 / tickSize;
+    if (tickIndex > MAX_TICK_INDEX) throw new Error(`Price index too large`);
+
+    // Choose the exact pair like Router would (unless pinned)
+    const chosen = pinned ?? await this.pickPairForPrice(baseToken, quoteToken, price18);
+
+    // Ensure pair is authorized executor in Vault
+    const isExec = await this.vault.isExecutor(chosen.addr);
+    if (!isExec) {
+      throw new Error(`Vault: chosen pair is NOT authorized executor. Authorize it first.\nPair: ${chosen.addr}`);
+    }
+
+    // Ensure Vault balance (optional auto-fund); bids lock ceil(base * price / 1e18) quote
+    const needToken = isSellBase ? baseToken : quoteToken;
+    const needAmount = ladderFunding([{ price: price18, baseAmount: baseAmountRaw }], isSellBase);
+    const available = await this.getVaultAvailable(maker, needToken);
+    if (available < needAmount) {
+      if (!autoFund) throw new Error(`Vault: insufficient balance. Need ${needAmount}, have ${available}`);
+      const deficit = needAmount - available;
+      await this.depositToVault(needToken, maker, deficit, { usePermit });
+    }
+
+    // Post-only: the book may have moved while funding; repricing only ever needs less quote
+    let okMsg = "Order placed";
+    if (postOnly) {
+      const { bestBid, bestAsk } = await this.getBestBidAsk(chosen.addr);
+      const guard = checkPostOnly({
+        price: price18, isBid: !isSellBase,
+        bestBid: bestBid?.price ?? null, bestAsk: bestAsk?.price ?? null,
+        tickSize
+      });
+      if (guard.crosses) {
+        const opposing = ethers.formatUnits(guard.opposing, 18);
+        if (postOnly !== 'reprice' || guard.repriced === null) {
+          throw new Error(`Post-only: order would take liquidity (best ${isSellBase ? 'bid' : 'ask'} ${opposing})`);
+        }
+        price18 = guard.repriced;
+        priceHuman = ethers.formatUnits(price18, 18);
+        okMsg = `Order placed (post-only, repriced to ${priceHuman})`;
+      }
+    }
+
+    // Build order & signature
+    const nonce = await this.nextNonce(maker);
+    const order = createLimitOrder({
+      maker, baseToken, quoteToken, clobPair: chosen.addr,
+      baseAmountRaw, priceHuman, isSellBase,
+      expiry: expirySec, nonce
+    });
+    const { isValid, error } = validateOrder(order);
+    if (!isValid) throw new Error(error);
+    await this.ensureOrderHashMatches(order);
+
+    let sig = "0x";
+    if (requireSignature) {
+      sig = await signLimitOrder(this.signer, order, await this.getRouterDomain());
+    }
+
+    // Preflight (static call)
+    if (!skipPreflight) {
+      try {
+        await this.router.placeLimitOrder.staticCall(order, sig);
+      } catch (e) {
+        const msg = e?.shortMessage || e?.message || 'revert';
+        throw new Error(
+          `Preflight failed.\n` +
+          `pair=${chosen.addr}\n` +
+          `tickSize=${chosen.tickSize} price=${price18}\n` +
+          `Details: ${msg}`
+        );
+      }
+    }
+
+    // Send tx
+    return await this.sendTx(() => this.router.placeLimitOrder(order, sig), okMsg);
+  }
+
+  /**
+   * Decode what a placeLimitOrder tx did: the order hash, whether a remainder rested
+   * on the book, and the taker-side fills (ClobPair OrderFilled with taker == maker).
+   * @returns {{ orderHash: string|null, rested: boolean, filledBase: bigint, filledQuote: bigint, fills: ethers.LogDescription[] }}
+   */
+  parsePlacementReceipt(receipt, maker) {
+    const pairIface = new ethers.Interface(PAIR_ABI);
+    let orderHash = null;
+    let rested = false;
+    let filledBase = 0n;
+    let filledQuote = 0n;
+    const fills = [];
+    for (const log of receipt.logs) {
+      if (addrEq(log.address, this.addresses.router)) {
+        const ev = this.router.interface.parseLog(log);
+        if (ev?.name === 'OrderPlaced') { orderHash = ev.args.orderHash; rested = true; }
+        if (ev?.name === 'OrderFilled') { orderHash = ev.args.orderHash; }
+        continue;
+      }
+      let ev = null;
+      try { ev = pairIface.parseLog(log); } catch { /* not a pair log */ }
+      if (ev?.name === 'OrderFilled' && addrEq(ev.args.taker, maker)) {
+        filledBase += BigInt(ev.args.fillBase);
+        filledQuote += BigInt(ev.args.fillQuote);
+        fills.push(ev);
+      }
+    }
+    return { orderHash, rested, filledBase, filledQuote, fills };
+  }
+
+  /**
+   * Market order emulated as an immediate-or-cancel marketable limit on one pair:
+   * walk the opposing side, price the limit at the worst needed level plus
+   * `slippageBps`, place it, then cancel whatever rested.
+   * @returns {Promise<{ orderHash: string|null, plan: import('./marketOrder.js').MarketOrderPlan, filledBase: bigint, filledQuote: bigint, avgPrice: bigint|null, cancelledRemainder: boolean, placeTx: ethers.TransactionResponse, cancelTx: ethers.TransactionResponse|null }>}
+   */
+  async placeMarketOrder({
+    pairAddress, maker,
+    baseAmountHuman, isSellBase,
+    slippageBps = 50,
+    allowPartial = true,      // false -> refuse when the book can't cover the full size
+    ...rest                   // forwarded to placeLimitOrder (autoFund, usePermit, ...)
+  }) {
+    const { base, quote, tickSize, baseDecimals } = await this.getPairMeta(pairAddress);
+    const baseAmount = parseTokenAmount(baseAmountHuman, baseDecimals);
+    const depth = await this.getOrderBookDepth(pairAddress);
+
+    // ClobPair skips the taker's own resting orders while matching
+    const own = new Map();
+    for (const o of await this.getUserOrders(pairAddress, maker)) {
+      if (!o.exists || o.isBid !== isSellBase) continue; // only own orders on the side we hit
+      const p = BigInt(o.price);
+      own.set(p, (own.get(p) ?? 0n) + BigInt(o.remaining));
+    }
+
+    const plan = planMarketOrder({
+      levels: isSellBase ? depth.bids : depth.asks,
+      isBuy: !isSellBase,
+      baseAmount,
+      tickSize,
+      slippageBps,
+      ownQtyByPrice: own
+    });
+    if (plan.insufficient && !allowPartial) {
+      throw new Error(`Book only covers ${plan.expectedBase} of ${baseAmount} base`);
+    }
+
+    const placeTx = await this.placeLimitOrder({
+      ...rest,
+      maker, baseToken: base, quoteToken: quote,
+      baseAmountHuman, baseDecimals,
+      priceHuman: ethers.formatUnits(plan.limitPrice, 18),
+      isSellBase,
+      pairAddress
+    });
+    const receipt = await placeTx.wait();
+    const result = this.parsePlacementReceipt(receipt, maker);
+
+    let cancelTx = null;
+    if (result.rested && result.orderHash) {
+      cancelTx = await this.cancelOrderByHash(result.orderHash);
+    }
+
+    return {
+      orderHash: result.orderHash,
+      plan,
+      filledBase: result.filledBase,
+      filledQuote: result.filledQuote,
+      avgPrice: averagePrice(result.filledBase, result.filledQuote),
+      cancelledRemainder: cancelTx !== null,
+      placeTx,
+      cancelTx
+    };
+  }
+
+  /** Map of leg index -> revert reason from the Router BatchFailed events in a receipt */
+  parseBatchFailures(receipt) {
+    const failed = new Map();
+    for (const log of receipt.logs) {
+      if (!addrEq(log.address, this.addresses.router)) continue;
+      let ev = null;
+      try { ev = this.router.interface.parseLog(log); } catch { /* unknown router log */ }
+      if (ev?.name === 'BatchFailed') failed.set(Number(ev.args.index), ev.args.reason);
+    }
+    return failed;
+  }
+
+  // ----------------- batch place -----------------
+  /**
+   * Place a ladder of limit orders on one pair in a single batchPlaceLimitOrders tx.
+   * The vault is topped up once for the whole ladder. Legs reach the Router through
+   * an internal call, so each one is EIP-712 signed with consecutive nonces.
+   * @param {Object} p
+   * @param {import('./ladder.js').LadderLeg[]} p.legs
+   * @returns {Promise<{ tx: ethers.TransactionResponse, legs: { price: bigint, baseAmount: bigint, order: Object, orderHash: string, ok: boolean, reason: string|null }[] }>}
+   */
+  async placeLadderOrders({
+    pairAddress, maker, legs, isSellBase,
+    expirySec = 0,
+    autoFund = true,
+    usePermit = true
+  }) {
+    if (!legs?.length) throw new Error("Ladder has no legs");
+    const { base, quote, tickSize } = await this.getPairMeta(pairAddress);
+    for (const l of legs) {
+      if (!isValidTickPrice(l.price, tickSize)) throw new Error(`Ladder price ${l.price} is not a valid tick for this pair`);
+      if (l.baseAmount <= 0n) throw new Error("Ladder leg amount must be > 0");
+    }
+    if (!(await this.vault.isSupportedToken(base))) throw new Error("Base token not supported in Vault");
+    if (!(await this.vault.isSupportedToken(quote))) throw new Error("Quote token not supported in Vault");
+    if (!(await this.vault.isExecutor(pairAddress))) {
+      throw new Error(`Vault: pair is NOT authorized executor. Authorize it first.\nPair: ${pairAddress}`);
+    }
+
+    // One deposit covers every leg
+    const needToken = isSellBase ? base : quote;
+    const needAmount = ladderFunding(legs, isSellBase);
+    const available = await this.getVaultAvailable(maker, needToken);
+    if (available < needAmount) {
+      if (!autoFund) throw new Error(`Vault: insufficient balance. Need ${needAmount}, have ${available}`);
+      await this.depositToVault(needToken, maker, needAmount - available, { usePermit });
+    }
+
+    // Router bumps its counter per placed leg, so consecutive nonces all stay valid
+    const firstNonce = await this.nextNonce(maker);
+    const domain = await this.getRouterDomain();
+    const orders = legs.map((l, i) => createLimitOrder({
+      maker, baseToken: base, quoteToken: quote, clobPair: pairAddress,
+      baseAmountRaw: l.baseAmount,
+      priceHuman: ethers.formatUnits(l.price, 18),
+      isSellBase,
+      expiry: expirySec,
+      nonce: firstNonce + BigInt(i)
+    }));
+    for (const o of orders) {
+      const { isValid, error } = validateOrder(o);
+      if (!isValid) throw new Error(error);
+    }
+    await this.ensureOrderHashMatches(orders[0]);
+
+    const sigs = [];
+    for (const o of orders) sigs.push(await signLimitOrder(this.signer, o, domain));
+
+    const tx = await this.sendTx(() => this.router.batchPlaceLimitOrders(orders, sigs), `Ladder submitted (${orders.length} legs)`);
+    const failed = this.parseBatchFailures(await tx.wait());
+    return {
+      tx,
+      legs: legs.map((l, i) => ({
+        ...l,
+        order: orders[i],
+        orderHash: hashLimitOrder(orders[i], domain),
+        ok: !failed.has(i),
+        reason: failed.get(i) ?? null
+      }))
+    };
+  }
+
+  // ----------------- cancel -----------------
+  async cancelOrder(order, signature = "0x") {
+    return await this.sendTx(() => this.router.cancelOrder(order, signature), "Order cancelled");
+  }
+
+  async cancelOrderByHash(orderHash) {
+    return await this.sendTx(() => this.router.cancelOrderByHash(orderHash), "Order cancelled");
+  }
+
+  /**
+   * Take an expired order off the book and unlock its funds. The Router only cancels
+   * active orders, so this calls the pair directly: ClobPair.cancelOrderByHash is
+   * maker-only with no status check and records the order as EXPIRED.
+   */
+  async releaseExpiredOrder(pairAddress, orderHash) {
+    return await this.sendTx(() => this.pair(pairAddress).cancelOrderByHash(orderHash), "Expired order released");
+  }
+
+  /** Original LimitOrder struct of an order, from its ClobPair OrderPlaced log; null if not found. */
+  async getOrderStruct(pairAddress, orderHash) {
+    const cp = this.pair(pairAddress);
+    const [placed] = await cp.queryFilter(cp.filters.OrderPlaced(orderHash));
+    if (!placed) return null;
+    this.rememberOrder(placed);
+    const o = placed.args.order;
+    return {
+      maker: o.maker,
+      baseToken: o.baseToken,
+      quoteToken: o.quoteToken,
+      clobPair: o.clobPair,
+      baseAmount: BigInt(o.baseAmount),
+      price: BigInt(o.price),
+      isSellBase: o.isSellBase,
+      expiry: BigInt(o.expiry),
+      nonce: BigInt(o.nonce)
+    };
+  }
+
+  /**
+   * Cancel many resting orders in one batchCancelOrders tx. Legs reach the Router
+   * through an internal call, so each one carries a CancelOrder signature.
+   * Orders whose OrderPlaced log can't be found are reported without being sent.
+   * @param {string} maker
+   * @param {{ pair: string, hash: string }[]} refs
+   * @returns {Promise<{ tx: ethers.TransactionResponse|null, results: { pair: string, hash: string, ok: boolean, reason: string|null }[] }>}
+   */
+  async cancelOrdersBatch(maker, refs) {
+    if (!refs?.length) throw new Error("No orders to cancel");
+    const domain = await this.getRouterDomain();
+    const results = [];
+    const legs = [];
+    for (const r of refs) {
+      const order = await this.getOrderStruct(r.pair, r.hash);
+      if (!order) { results.push({ ...r, ok: false, reason: "OrderPlaced log not found" }); continue; }
+      if (!addrEq(order.maker, maker)) { results.push({ ...r, ok: false, reason: "Not your order" }); continue; }
+      legs.push({ ref: r, order });
+    }
+    if (!legs.length) return { tx: null, results };
+
+    await this.ensureOrderHashMatches(legs[0].order);
+    const orders = legs.map(l => l.order);
+    const sigs = [];
+    for (const l of legs) sigs.push(await signCancelOrder(this.signer, l.ref.hash, l.order.nonce, domain));
+
+    const tx = await this.sendTx(() => this.router.batchCancelOrders(orders, sigs), `Cancel batch submitted (${orders.length} orders)`);
+    const failed = this.parseBatchFailures(await tx.wait());
+    legs.forEach((l, i) => results.push({ ...l.ref, ok: !failed.has(i), reason: failed.get(i) ?? null }));
+    return { tx, results };
+  }
+
+  // ----------------- amend -----------------
+  /**
+   * Cancel-and-replace a resting order with a new price and/or size (same side,
+   * pair and expiry; fresh nonce). The Router has no combined entry point (its batch
+   * calls only cancel or only place), so when the wallet supports atomic EIP-5792
+   * batches both Router calls go out as one all-or-nothing batch: any failure throws
+   * with the original order untouched. Otherwise this is two transactions: a failed
+   * cancel throws with nothing changed, while a failed replace resolves with
+   * `cancelled: true, placed: false` and the error.
+   * @returns {Promise<{ cancelled: boolean, placed: boolean, atomic: boolean, newOrderHash: string|null, rested: boolean, cancelTx: ethers.TransactionResponse|null, placeTx: ethers.TransactionResponse|null, batchId: string|null, error: Error|null }>}
+   */
+  async amendOrder({
+    pairAddress, maker, orderHash,
+    newPriceHuman = null,       // keep the current price when null
+    newBaseAmountHuman = null,  // keep the remaining size when null
+    autoFund = true,
+    usePermit = true
+  }) {
+    const [exists, isBid, price, remaining, owner] = await this.pair(pairAddress).getOrderDetails(orderHash);
+    if (!exists) throw new Error("Order is no longer on the book");
+    if (!addrEq(owner, maker)) throw new Error("Not your order");
+
+    const { base, quote, tickSize, baseDecimals } = await this.getPairMeta(pairAddress);
+    const priceHuman = newPriceHuman ?? ethers.formatUnits(price, 18);
+    const baseAmountHuman = newBaseAmountHuman ?? ethers.formatUnits(remaining, baseDecimals);
+    const newPrice = ethers.parseUnits(priceHuman, 18);
+    const newAmount = parseTokenAmount(baseAmountHuman, baseDecimals);
+    if (newPrice === BigInt(price) && newAmount === BigInt(remaining)) throw new Error("Nothing to amend");
+    if (!isValidTickPrice(newPrice, tickSize)) throw new Error(`Price must be a multiple of tickSize (${tickSize})`);
+    if (newAmount <= 0n) throw new Error("Amount must be > 0");
+
+    const original = await this.getOrderStruct(pairAddress, orderHash);
+    const expirySec = original?.expiry ?? 0n;
+    if (expirySec !== 0n && expirySec <= BigInt(Math.floor(Date.now() / 1000))) {
+      throw new Error("Order has expired; use Release funds in Open Orders to unlock it instead of amending");
+    }
+
+    if (await this.supportsAtomicCalls(maker)) {
+      return await this._amendAtomic({
+        pairAddress, maker, orderHash, isBid, base, quote,
+        freed: ladderFunding([{ price: BigInt(price), baseAmount: BigInt(remaining) }], !isBid),
+        newPrice, newAmount, priceHuman, expirySec, autoFund, usePermit
+      });
+    }
+
+    const cancelTx = await this.cancelOrderByHash(orderHash);
+    try {
+      const placeTx = await this.placeLimitOrder({
+        maker, baseToken: base, quoteToken: quote,
+        baseAmountHuman, baseDecimals,
+        priceHuman,
+        isSellBase: !isBid,
+        expirySec,
+        autoFund,
+        usePermit,
+        pairAddress
+      });
+      const { orderHash: newOrderHash, rested } = this.parsePlacementReceipt(await placeTx.wait(), maker);
+      return { cancelled: true, placed: true, atomic: false, newOrderHash, rested, cancelTx, placeTx, batchId: null, error: null };
+    } catch (error) {
+      return { cancelled: true, placed: false, atomic: false, newOrderHash: null, rested: false, cancelTx, placeTx: null, batchId: null, error };
+    }
+  }
+
+  /** amendOrder's one-batch path: fund first if the freed lock falls short, then cancel + place atomically. */
+  async _amendAtomic({ pairAddress, maker, orderHash, isBid, base, quote, freed, newPrice, newAmount, priceHuman, expirySec, autoFund, usePermit }) {
+    const needToken = isBid ? quote : base;
+    const needAmount = ladderFunding([{ price: newPrice, baseAmount: newAmount }], !isBid);
+    const available = await this.getVaultAvailable(maker, needToken);
+    if (available + freed < needAmount) {
+      if (!autoFund) throw new Error(`Vault: insufficient balance. Need ${needAmount}, have ${available + freed} after the cancel`);
+      await this.depositToVault(needToken, maker, needAmount - available - freed, { usePermit });
+    }
+
+    const order = createLimitOrder({
+      maker, baseToken: base, quoteToken: quote, clobPair: pairAddress,
+      baseAmountRaw: newAmount, priceHuman, isSellBase: !isBid,
+      expiry: expirySec, nonce: await this.nextNonce(maker)
+    });
+    const { isValid, error } = validateOrder(order);
+    if (!isValid) throw new Error(error);
+    await this.ensureOrderHashMatches(order);
+
+    const iface = this.router.interface;
+    const { id, receipts } = await this.sendAtomicCalls(maker, [
+      { to: this.addresses.router, data: iface.encodeFunctionData('cancelOrderByHash', [orderHash]) },
+      { to: this.addresses.router, data: iface.encodeFunctionData('placeLimitOrder', [order, '0x']) }
+    ], "Order amended");
+    const { orderHash: newOrderHash, rested } = this.parsePlacementReceipt({ logs: receipts.flatMap(r => r.logs ?? []) }, maker);
+    return { cancelled: true, placed: true, atomic: true, newOrderHash, rested, cancelTx: null, placeTx: null, batchId: id, error: null };
+  }
+
+  // ----------------- pair views -----------------
+  async getBestBidAsk(pairAddress) {
+    const cp = this.pair(pairAddress);
+    const [b1, bp, bq] = await cp.getBestBid();
+    const [a1, ap, aq] = await cp.getBestAsk();
+    return { bestBid: b1 ? { price: bp, qty: bq } : null, bestAsk: a1 ? { price: ap, qty: aq } : null };
+  }
+
+  async getPriceLevel(pairAddress, price) {
+    return await this.pair(pairAddress).getPriceLevel(price);
+  }
+
+  /**
+   * Maker queues of some price levels in FIFO (orderId) order, for simulateFill.
+   * ClobPair only exposes level totals, so resting orders come from OrderPlaced logs
+   * and getOrderDetails. A level whose orders do not add up to getPriceLevel is left
+   * out (the simulator then uses its total). Orders of `taker` and orders past expiry
+   * are dropped, as matching skips them.
+   * @returns {Promise<Map<bigint, bigint[]>>}
+   */
+  async getLevelQueues(pairAddress, prices, { taker = null } = {}) {
+    const { byPrice } = await this._placedOrders(pairAddress);
+    const cp = this.pair(pairAddress);
+    const now = Math.floor(Date.now() / 1000);
+    const queues = new Map();
+    await Promise.all(prices.map(async (price) => {
+      const ids = byPrice.get(price) ?? new Map();
+      const [[totalBase, orderCount], details] = await Promise.all([
+        cp.getPriceLevel(price),
+        Promise.all([...ids.keys()].map(hash => cp.getOrderDetails(hash)))
+      ]);
+      const resting = [];
+      [...ids.entries()].forEach(([hash, orderId], i) => {
+        const [exists, , , remaining, maker] = details[i];
+        if (!exists) { ids.delete(hash); return; }
+        resting.push({ hash, orderId, remaining: BigInt(remaining), maker });
+      });
+      const sum = resting.reduce((acc, o) => acc + o.remaining, 0n);
+      if (resting.length !== Number(orderCount) || sum !== BigInt(totalBase)) return;
+
+      const expiry = (o) => this._orderExpiries.get(o.hash.toLowerCase()) ?? 0;
+      queues.set(price, resting
+        .filter(o => !addrEq(o.maker, taker) && !(expiry(o) > 0 && expiry(o) <= now))
+        .sort((a, b) => (a.orderId < b.orderId ? -1 : 1))
+        .map(o => o.remaining));
+    }));
+    return queues;
+  }
+
+  /** OrderPlaced hashes of a pair by price, scanned once from deployBlock and then extended to the head. */
+  async _placedOrders(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    const next = (this._placedIndex.get(key) ?? Promise.resolve(null)).then(async (index) => {
+      const idx = index ?? { toBlock: this.deployBlock - 1, byPrice: new Map() };
+      const head = await this.provider.getBlockNumber();
+      if (head <= idx.toBlock) return idx;
+      const cp = this.pair(pairAddress);
+      for (const ev of await this.queryLogs(cp, cp.filters.OrderPlaced(), idx.toBlock + 1, head)) {
+        this.rememberOrder(ev);
+        const price = BigInt(ev.args.order.price);
+        if (!idx.byPrice.has(price)) idx.byPrice.set(price, new Map());
+        idx.byPrice.get(price).set(ev.args.orderHash, BigInt(ev.args.orderId));
+      }
+      idx.toBlock = head;
+      return idx;
+    });
+    this._placedIndex.set(key, next.catch(() => null));
+    return await next;
+  }
+
+  /** @returns {Promise<UserOrder[]>} */
+  async getUserOrders(pairAddress, user) {
+    const cp = this.pair(pairAddress);
+    const hashes = await cp.getUserOrders(user);
+    const details = [];
+    for (const h of hashes) {
+      const d = await cp.getOrderDetails(h);
+      details.push({ hash: h, exists: d[0], isBid: d[1], price: d[2], remaining: d[3], maker: d[4] });
+    }
+    return details;
+  }
+
+  /**
+   * Lifecycle status of an order hash. ClobPair reports CANCELLED with no fill
+   * for hashes it never rested (including orders fully filled on arrival).
+   * @returns {Promise<OrderInfo>}
+   */
+  async getOrderInfo(pairAddress, orderHash) {
+    const info = await this.pair(pairAddress).getOrderInfo(orderHash);
+    return {
+      status: ORDER_STATUSES[Number(info.status)],
+      filledBase: BigInt(info.filledBase),
+      createdAt: Number(info.createdAt)
+    };
+  }
+
+  /**
+   * Resting orders of a user on the given pairs (all factory pairs by default).
+   * @returns {Promise<(UserOrder & { pair: string })[]>}
+   */
+  async getOpenOrders(user, { pairs = null } = {}) {
+    const list = pairs ?? await this.getAllPairs();
+    const out = [];
+    for (const pair of list) {
+      for (const o of await this.getUserOrders(pair, user)) {
+        if (o.exists) out.push({ pair, ...o });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Build full orderbook from SST snapshot.
+   * @returns {Promise<OrderBookDepth>}
+   */
+  async getOrderBookDepth(pairAddress, {
+    startPrice = null,    // BigInt (wei, 18 decimals). If null -> 0
+    endPrice = null,      // BigInt. If null -> tickSize * MAX_TICK_INDEX
+    filterZero = true,    // Remove levels that have both sides zero
+    blockTag = undefined  // Pin the snapshot to a block (defaults to latest)
+  } = {}) {
+    if (!pairAddress) throw new Error("pairAddress required");
+    const { base, quote, tickSize } = await this.getPairInfo(pairAddress);
+
+    const startP = startPrice !== null ? BigInt(startPrice) : 0n;
+    const endP   = endPrice   !== null ? BigInt(endPrice)   : (tickSize * MAX_TICK_INDEX);
+
+    const res = await this.pair(pairAddress).getSSTState(startP, endP, blockTag !== undefined ? { blockTag } : {});
+    const bidArr = Array.from(res[0], v => BigInt(v));
+    const askArr = Array.from(res[1], v => BigInt(v));
+
+    const size = bidArr.length;
+    const levels = [];
+    for (let i = 0; i < size; i++) {
+      const price = startP + (BigInt(i) * tickSize);
+      const bidQty = bidArr[i];
+      const askQty = askArr[i];
+      if (filterZero && bidQty === 0n && askQty === 0n) continue;
+      levels.push({ price, bidQty, askQty });
+    }
+
+    const bids = levels
+      .filter(l => l.bidQty > 0n)
+      .sort((a,b) => (a.price === b.price ? 0 : (a.price > b.price ? -1 : 1)));
+    const asks = levels
+      .filter(l => l.askQty > 0n)
+      .sort((a,b) => (a.price === b.price ? 0 : (a.price > b.price ? 1 : -1)));
+
+    return { baseToken: base, quoteToken: quote, tickSize, bids, asks };
+  }
+
+  /** Orders resting on the book: getPriceLevel(price).orderCount summed over every non-empty level. */
+  async countOpenOrders(pairAddress, { blockTag = undefined } = {}) {
+    const { bids, asks } = await this.getOrderBookDepth(pairAddress, { blockTag });
+    const prices = new Set([...bids, ...asks].map(l => l.price));
+    const overrides = blockTag !== undefined ? { blockTag } : {};
+    const levels = await Promise.all([...prices].map(p => this.pair(pairAddress).getPriceLevel(p, overrides)));
+    return levels.reduce((acc, [, orderCount]) => acc + Number(orderCount), 0);
+  }
+
+  // ----------------- events / trades -----------------
+  /**
+   * queryFilter over [fromBlock, toBlock] in LOG_CHUNK_BLOCKS slices, oldest first.
+   * A negative fromBlock counts back from the head, as in queryFilter; nothing before
+   * deployBlock is scanned.
+   */
+  async queryLogs(contract, filter, fromBlock = this.deployBlock, toBlock = 'latest') {
+    const head = fromBlock < 0 || typeof toBlock !== 'number' ? await this.provider.getBlockNumber() : null;
+    const to = typeof toBlock === 'number' ? toBlock : head;
+    let from = Math.max(fromBlock < 0 ? head + fromBlock : fromBlock, this.deployBlock);
+    const logs = [];
+    for (; from <= to; from += LOG_CHUNK_BLOCKS) {
+      logs.push(...await contract.queryFilter(filter, from, Math.min(to, from + LOG_CHUNK_BLOCKS - 1)));
+    }
+    return logs;
+  }
+
+  /** Symbol and decimals for a token (cached); symbol falls back to a short address. */
+  async getTokenMeta(token) {
+    const key = token.toLowerCase();
+    if (!this._tokens.has(key)) {
+      const c = this.erc20(token);
+      const [symbol, decimals] = await Promise.all([
+        c.symbol().catch(() => `${token.slice(0, 6)}…${token.slice(-4)}`),
+        c.decimals().then(Number)
+      ]);
+      this._tokens.set(key, { address: token, symbol, decimals });
+    }
+    return this._tokens.get(key);
+  }
+
+  /**
+   * Pair config plus token symbols/decimals (cached).
+   * @returns {Promise<PairInfo & { baseSymbol: string, quoteSymbol: string, baseDecimals: number, quoteDecimals: number }>}
+   */
+  async getPairMeta(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    if (!this._pairs.has(key)) {
+      const info = await this.getPairInfo(pairAddress);
+      const [b, q] = await Promise.all([this.getTokenMeta(info.base), this.getTokenMeta(info.quote)]);
+      this._pairs.set(key, {
+        ...info,
+        baseSymbol: b.symbol, quoteSymbol: q.symbol,
+        baseDecimals: b.decimals, quoteDecimals: q.decimals
+      });
+    }
+    return this._pairs.get(key);
+  }
+
+  /** Base/quote token decimals for a pair (cached). */
+  async getPairDecimals(pairAddress) {
+    const { baseDecimals, quoteDecimals } = await this.getPairMeta(pairAddress);
+    return { baseDecimals, quoteDecimals };
+  }
+
+  async getBlockTime(blockNumber) {
+    if (!this._blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      this._blockTimes.set(blockNumber, block ? Number(block.timestamp) : 0);
+    }
+    return this._blockTimes.get(blockNumber);
+  }
+
+  /** Last block mined at or before `timestampSec` (binary search over block times). */
+  async findBlockAtTime(timestampSec, head = null) {
+    let lo = 0;
+    let hi = head ?? await this.provider.getBlockNumber();
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi + 1) / 2);
+      if (await this.getBlockTime(mid) <= timestampSec) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  rememberMakerSide(orderHash, isBid) {
+    this._makerIsBid.set(orderHash.toLowerCase(), isBid);
+  }
+
+  /**
+   * Side of a resting order: from its OrderPlaced event (order.isSellBase),
+   * else from getOrderDetails while it is still on the book. null if unknown.
+   */
+  async getMakerIsBid(pairAddress, orderHash) {
+    const key = orderHash.toLowerCase();
+    if (this._makerIsBid.has(key)) return this._makerIsBid.get(key);
+    const cp = this.pair(pairAddress);
+    let isBid = null;
+    try {
+      const [placed] = await cp.queryFilter(cp.filters.OrderPlaced(orderHash));
+      if (placed) isBid = !placed.args.order.isSellBase;
+      else {
+        const d = await cp.getOrderDetails(orderHash);
+        if (d[0]) isBid = d[1];
+      }
+    } catch (e) {
+      console.warn(`maker side lookup failed for ${orderHash}:`, e);
+    }
+    if (isBid !== null) this.rememberMakerSide(orderHash, isBid);
+    return isBid;
+  }
+
+  /** Limit price of an order from its OrderPlaced event (cached); null if not found. */
+  async getOrderPrice(pairAddress, orderHash) {
+    const key = orderHash.toLowerCase();
+    if (this._orderPrices.has(key)) return this._orderPrices.get(key);
+    const cp = this.pair(pairAddress);
+    const [placed] = await cp.queryFilter(cp.filters.OrderPlaced(orderHash));
+    if (!placed) return null;
+    this.rememberOrder(placed);
+    return this._orderPrices.get(key);
+  }
+
+  /** Expiry of an order in unix seconds (0 = good-till-cancel) from its OrderPlaced event (cached); null if not found. */
+  async getOrderExpiry(pairAddress, orderHash) {
+    const key = orderHash.toLowerCase();
+    if (this._orderExpiries.has(key)) return this._orderExpiries.get(key);
+    const cp = this.pair(pairAddress);
+    const [placed] = await cp.queryFilter(cp.filters.OrderPlaced(orderHash));
+    if (!placed) return null;
+    this.rememberOrder(placed);
+    return this._orderExpiries.get(key);
+  }
+
+  /** Cache side, price and expiry from a ClobPair OrderPlaced log. */
+  rememberOrder(placedLog) {
+    const { orderHash, order } = placedLog.args;
+    this.rememberMakerSide(orderHash, !order.isSellBase);
+    this._orderPrices.set(orderHash.toLowerCase(), BigInt(order.price));
+    this._orderExpiries.set(orderHash.toLowerCase(), Number(order.expiry));
+  }
+
+  async _toTrade(pairAddress, log) {
+    const [decimals, makerIsBid, timestamp] = await Promise.all([
+      this.getPairDecimals(pairAddress),
+      this.getMakerIsBid(pairAddress, log.args.orderHash),
+      this.getBlockTime(log.blockNumber)
+    ]);
+    return normalizeFill(log, { ...decimals, makerIsBid, timestamp });
+  }
+
+  /**
+   * Raw ClobPair lifecycle logs in a block range, each list in chain order.
+   * @returns {Promise<{ placed: ethers.EventLog[], cancelled: ethers.EventLog[], expired: ethers.EventLog[], filled: ethers.EventLog[] }>}
+   */
+  async getPairEvents(pairAddress, { fromBlock = -5000, toBlock = 'latest' } = {}) {
+    const cp = this.pair(pairAddress);
+    const [placed, cancelled, expired, filled] = await Promise.all([
+      this.queryLogs(cp, cp.filters.OrderPlaced(), fromBlock, toBlock),
+      this.queryLogs(cp, cp.filters.OrderCancelled(), fromBlock, toBlock),
+      this.queryLogs(cp, cp.filters.OrderExpired(), fromBlock, toBlock),
+      this.queryLogs(cp, cp.filters.OrderFilled(), fromBlock, toBlock)
+    ]);
+    for (const ev of placed) this.rememberOrder(ev);
+    return { placed, cancelled, expired, filled };
+  }
+
+  /** Normalize OrderFilled logs (e.g. from getPairEvents) into trades. */
+  async toTrades(pairAddress, fillLogs) {
+    const trades = [];
+    for (const log of fillLogs) trades.push(await this._toTrade(pairAddress, log));
+    return trades;
+  }
+
+  /**
+   * Historical fills for a pair from ClobPair OrderFilled events, oldest first.
+   * OrderPlaced events in the same range are indexed first to resolve taker sides cheaply;
+   * Router OrderFilled (taker order fully filled on arrival) tags trades with `takerOrderHash`.
+   * @returns {Promise<import('./trades.js').Trade[]>}
+   */
+  async getFills(pairAddress, { fromBlock = -5000, toBlock = 'latest' } = {}) {
+    const cp = this.pair(pairAddress);
+    const [placed, fills, routerFills] = await Promise.all([
+      this.queryLogs(cp, cp.filters.OrderPlaced(), fromBlock, toBlock),
+      this.queryLogs(cp, cp.filters.OrderFilled(), fromBlock, toBlock),
+      this.queryLogs(this.router, this.router.filters.OrderFilled(null, null, pairAddress), fromBlock, toBlock)
+    ]);
+    for (const ev of placed) this.rememberOrder(ev);
+    const takerOrders = new Map(routerFills.map(ev => [ev.transactionHash, ev.args.orderHash]));
+
+    const trades = [];
+    for (const log of fills) {
+      const trade = await this._toTrade(pairAddress, log);
+      const takerOrderHash = takerOrders.get(trade.txHash);
+      trades.push(takerOrderHash ? { ...trade, takerOrderHash } : trade);
+    }
+    return trades;
+  }
+
+  /**
+   * Subscribe to live fills for a pair. Also watches Router OrderFilled for the pair
+   * (taker orders fully filled on arrival) to tag those trades with the taker order hash.
+   * @param {(trade: import('./trades.js').Trade) => void} onTrade
+   * @returns {() => void} unsubscribe
+   */
+  subscribeFills(pairAddress, onTrade) {
+    const cp = this.pair(pairAddress);
+    const takerOrders = new Map(); // txHash -> taker order hash
+    const onPlaced = (orderHash, order) => this.rememberMakerSide(orderHash, !order.isSellBase);
+    const onFilled = async (...args) => {
+      const { log } = args[args.length - 1];
+      try {
+        const trade = await this._toTrade(pairAddress, log);
+        const takerOrderHash = takerOrders.get(trade.txHash);
+        onTrade(takerOrderHash ? { ...trade, takerOrderHash } : trade);
+      } catch (e) {
+        console.error("decode fill failed:", e);
+      }
+    };
+    const routerFilter = this.router.filters.OrderFilled(null, null, pairAddress);
+    const onRouterFilled = (orderHash, ...rest) => {
+      const { log } = rest[rest.length - 1];
+      takerOrders.set(log.transactionHash, orderHash);
+    };
+
+    cp.on(cp.filters.OrderPlaced(), onPlaced);
+    cp.on(cp.filters.OrderFilled(), onFilled);
+    this.router.on(routerFilter, onRouterFilled);
+    return () => {
+      cp.off(cp.filters.OrderPlaced(), onPlaced);
+      cp.off(cp.filters.OrderFilled(), onFilled);
+      this.router.off(routerFilter, onRouterFilled);
+    };
+  }
+
+  /**
+   * Subscribe to OrderExpired for a maker's orders on a pair. ClobPair emits it when
+   * an expired order is swept off the book (during matching or cleanupExpiredOrders).
+   * @param {(orderHash: string) => void} onExpired
+   * @returns {() => void} unsubscribe
+   */
+  subscribeOrderExpiries(pairAddress, maker, onExpired) {
+    const cp = this.pair(pairAddress);
+    const filter = cp.filters.OrderExpired(null, maker);
+    const handler = (orderHash) => onExpired(orderHash);
+    cp.on(filter, handler);
+    return () => { cp.off(filter, handler); };
+  }
+}
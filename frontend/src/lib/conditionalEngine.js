@@ -0,0 +1,230 @@
+// src/lib/conditionalEngine.js
+import { ethers } from 'ethers';
+import { shouldTrigger } from './conditionalOrders.js';
+
+// A 'triggering' order older than this was interrupted (tab closed mid-submit)
+const STALE_TRIGGER_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} PairPrices
+ * @property {bigint|null} lastPrice  price of the last OrderFilled seen
+ * @property {bigint|null} bestBid
+ * @property {bigint|null} bestAsk
+ * @property {number|null} block      block the prices were read at
+ */
+
+/** True when any fill/cancel/expiry log in a watcher's `events` is about `orderHash`. */
+export function eventsMention(events, orderHash) {
+  const h = orderHash.toLowerCase();
+  return [...events.filled, ...events.cancelled, ...events.expired].some(ev => ev.args.orderHash.toLowerCase() === h);
+}
+
+/**
+ * Client-side trigger engine for conditional orders (stop-loss, take-profit,
+ * stop-limit). On every block it refreshes best bid/ask and the last fill price
+ * of each pair with active orders, and submits the orders whose condition holds:
+ * stop-loss/take-profit as a market (IOC) order, stop-limit as a limit order.
+ * Other modules extend it through registerKind, registerWatcher and
+ * registerBeforeFire (see ocoOrders.js).
+ * Orders only fire while a page running the engine is open.
+ */
+export class ConditionalOrderEngine {
+  /**
+   * @param {import('./clobClient.js').ClobClient} client
+   * @param {import('./conditionalOrders.js').ConditionalOrderStore} store
+   * @param {{ lookbackBlocks?: number, heartbeatMs?: number }} [opts]
+   *   lookbackBlocks: how far back to look for the last fill on first sight of a pair;
+   *   heartbeatMs: also tick on a timer, for time-based watchers on chains that only mine on demand
+   */
+  constructor(client, store, { lookbackBlocks = 5000, heartbeatMs = 0 } = {}) {
+    this.client = client;
+    this.store = store;
+    this.lookbackBlocks = lookbackBlocks;
+    this.heartbeatMs = heartbeatMs;
+    this._heartbeat = null;
+    /** @type {Map<string, PairPrices>} */
+    this.prices = new Map();
+    this._handlers = new Map(); // kind -> async (order) => tx
+    this._watchers = [];        // async ({ pair, events, prices, head, firstSight }) => void
+    this._beforeFire = [];      // async (order) => order | undefined
+    this._listeners = new Set();
+    this._queue = Promise.resolve();
+    this._stopped = true;
+    this._pendingHead = null;
+    this._onBlock = (bn) => {
+      const queued = this._pendingHead !== null;
+      this._pendingHead = Math.max(this._pendingHead ?? 0, Number(bn));
+      if (queued) return;
+      this._enqueue(() => {
+        const head = this._pendingHead;
+        this._pendingHead = null;
+        return this._tick(head);
+      });
+    };
+
+    this.registerKind('stop-loss', (o) => this._executeMarket(o));
+    this.registerKind('take-profit', (o) => this._executeMarket(o));
+    this.registerKind('stop-limit', (o) => this._executeLimit(o));
+  }
+
+  /** Plug in how a triggered order of `kind` is submitted; the handler returns the tx. */
+  registerKind(kind, handler) {
+    this._handlers.set(kind, handler);
+  }
+
+  /**
+   * Run `fn` once per tick for every pair with active records, before triggers are
+   * checked, with that pair's new logs. `firstSight` is true on the first tick after
+   * start, when earlier logs may have been missed and state should be re-read.
+   */
+  registerWatcher(fn) {
+    this._watchers.push(fn);
+  }
+
+  /** Run `fn` after an order is claimed and before it is submitted; it may return an adjusted order. */
+  registerBeforeFire(fn) {
+    this._beforeFire.push(fn);
+  }
+
+  /** @param {(prices: Map<string, PairPrices>) => void} fn  @returns {() => void} */
+  subscribe(fn) {
+    this._listeners.add(fn);
+    fn(this.prices);
+    return () => this._listeners.delete(fn);
+  }
+
+  start() {
+    if (!this._stopped) return;
+    this._stopped = false;
+    this._enqueue(() => this._recover());
+    this.client.provider.on('block', this._onBlock);
+    if (this.heartbeatMs > 0) {
+      this._heartbeat = setInterval(() => {
+        this.client.provider.getBlockNumber().then(this._onBlock).catch(e => console.error("heartbeat failed:", e));
+      }, this.heartbeatMs);
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+    this.client.provider.off('block', this._onBlock);
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+    this._listeners.clear();
+  }
+
+  // Serialize ticks so a slow submit never overlaps the next block
+  _enqueue(job) {
+    this._queue = this._queue.then(async () => {
+      if (this._stopped) return;
+      try {
+        await job();
+      } catch (e) {
+        console.error("conditional engine tick failed:", e);
+      }
+    });
+    return this._queue;
+  }
+
+  _emit() {
+    for (const fn of this._listeners) fn(this.prices);
+  }
+
+  async _recover() {
+    const now = Date.now();
+    for (const o of this.store.list()) {
+      if (o.status === 'triggering' && now - (o.triggeredAt ?? 0) > STALE_TRIGGER_MS) {
+        this.store.update(o.id, { status: 'failed', error: "Interrupted while submitting; check your open orders" });
+      }
+    }
+  }
+
+  async _tick(head) {
+    const active = this.store.list().filter(o => o.status === 'active');
+    const pairs = [...new Set(active.map(o => o.pair.toLowerCase()))];
+    for (const pair of pairs) {
+      const firstSight = !this.prices.has(pair);
+      const { prices, events } = await this._refreshPrices(pair, head);
+      for (const fn of this._watchers) {
+        try {
+          await fn({ pair, events, prices, head, firstSight });
+        } catch (e) {
+          console.error("conditional watcher failed:", e);
+        }
+      }
+      // Re-read: watchers may have cancelled or adjusted records
+      for (const o of this.store.list()) {
+        if (o.status !== 'active' || o.pair.toLowerCase() !== pair || !this._handlers.has(o.kind)) continue;
+        if (shouldTrigger(o, prices)) await this._fire(o, prices);
+      }
+    }
+    this._emit();
+  }
+
+  async _refreshPrices(pair, head) {
+    const prev = this.prices.get(pair);
+    const fromBlock = prev?.block != null ? prev.block + 1 : Math.max(0, head - this.lookbackBlocks);
+    let lastPrice = prev?.lastPrice ?? null;
+    let events = { placed: [], cancelled: [], expired: [], filled: [] };
+    if (fromBlock <= head) {
+      events = await this.client.getPairEvents(pair, { fromBlock, toBlock: head });
+      const { filled } = events;
+      if (filled.length) lastPrice = BigInt(filled[filled.length - 1].args.price);
+    }
+    const { bestBid, bestAsk } = await this.client.getBestBidAsk(pair);
+    const next = {
+      lastPrice,
+      bestBid: bestBid ? BigInt(bestBid.price) : null,
+      bestAsk: bestAsk ? BigInt(bestAsk.price) : null,
+      block: head
+    };
+    this.prices.set(pair, next);
+    return { prices: next, events };
+  }
+
+  async _fire(order, prices) {
+    if (!this.store.claim(order.id)) return; // cancelled or taken by another tab meanwhile
+    const ref = order.trigger === 'book' ? (order.side === 'sell' ? prices.bestBid : prices.bestAsk) : prices.lastPrice;
+    const observedPrice = ethers.formatUnits(ref, 18);
+    try {
+      const handler = this._handlers.get(order.kind);
+      if (!handler) throw new Error(`No handler for ${order.kind}`);
+      let o = order;
+      for (const fn of this._beforeFire) o = (await fn(o)) ?? o;
+      const tx = await handler(o);
+      this.store.update(order.id, { status: 'done', amount: o.amount, observedPrice, txHash: tx?.hash ?? null, error: null });
+    } catch (e) {
+      console.error(`conditional order ${order.id} failed:`, e);
+      this.store.update(order.id, { status: 'failed', observedPrice, error: e?.shortMessage || e?.message || String(e) });
+    }
+  }
+
+  async _executeMarket(o) {
+    const res = await this.client.placeMarketOrder({
+      pairAddress: o.pair,
+      maker: o.maker,
+      baseAmountHuman: o.amount,
+      isSellBase: o.side === 'sell',
+      slippageBps: o.slippageBps,
+      autoFund: true,
+      usePermit: true
+    });
+    return res.placeTx;
+  }
+
+  async _executeLimit(o) {
+    const { base, quote, baseDecimals } = await this.client.getPairMeta(o.pair);
+    return await this.client.placeLimitOrder({
+      maker: o.maker,
+      baseToken: base,
+      quoteToken: quote,
+      baseAmountHuman: o.amount,
+      baseDecimals,
+      priceHuman: o.limitPrice,
+      isSellBase: o.side === 'sell',
+      pairAddress: o.pair,
+      autoFund: true,
+      usePermit: true
+    });
+  }
+}
@@ -0,0 +1,164 @@
+// src/lib/conditionalOrders.js
+import { ethers } from 'ethers';
+
+/** Order kinds the conditional engine understands */
+export const CONDITIONAL_KINDS = ['stop-loss', 'take-profit', 'stop-limit'];
+
+/**
+ * @typedef {Object} ConditionalOrder
+ * @property {string} id
+ * @property {string} pair
+ * @property {string} maker
+ * @property {'stop-loss'|'take-profit'|'stop-limit'} kind
+ * @property {'buy'|'sell'} side
+ * @property {string} amount          base amount, human units
+ * @property {string} triggerPrice    18-dec human price
+ * @property {string|null} limitPrice stop-limit only: price of the limit order placed on trigger
+ * @property {number} slippageBps     stop-loss / take-profit execute as a market (IOC) order
+ * @property {'last'|'book'} trigger  last fill price, or best bid (sells) / best ask (buys)
+ * @property {'active'|'triggering'|'done'|'failed'|'cancelled'} status
+ * @property {number} createdAt       ms
+ * @property {number|null} triggeredAt
+ * @property {string|null} observedPrice  reference price that fired the trigger
+ * @property {string|null} txHash
+ * @property {string|null} error
+ * @property {string|null} [ocoOrderHash]  resting order this one cancels on firing, and is dropped by when it fills
+ * @property {string|null} [note]          why the engine changed the record (OCO outcome, ...)
+ */
+
+const toPrice18 = (s) => ethers.parseUnits(String(s), 18);
+
+/**
+ * Validate user input and build a new active ConditionalOrder.
+ * @returns {ConditionalOrder}
+ */
+export function createConditionalOrder({
+  pair, maker, kind, side, amount, triggerPrice,
+  limitPrice = null, slippageBps = 50, trigger = 'last',
+  ...extra   // extra fields other order types attach (e.g. group ids)
+}) {
+  if (!pair || !maker) throw new Error("Pair and maker required");
+  if (!CONDITIONAL_KINDS.includes(kind)) throw new Error(`Unknown conditional order kind: ${kind}`);
+  if (side !== 'buy' && side !== 'sell') throw new Error("Side must be buy or sell");
+  if (!(Number(amount) > 0)) throw new Error("Enter a positive amount");
+  if (toPrice18(triggerPrice) <= 0n) throw new Error("Enter a positive trigger price");
+  if (kind === 'stop-limit' && !(limitPrice && toPrice18(limitPrice) > 0n)) {
+    throw new Error("Stop-limit needs a positive limit price");
+  }
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    pair, maker, kind, side,
+    amount: String(amount),
+    triggerPrice: String(triggerPrice),
+    limitPrice: kind === 'stop-limit' ? String(limitPrice) : null,
+    slippageBps: Number(slippageBps) || 0,
+    trigger,
+    status: 'active',
+    createdAt: Date.now(),
+    triggeredAt: null,
+    observedPrice: null,
+    txHash: null,
+    error: null,
+    ...extra
+  };
+}
+
+/**
+ * Which way the reference price has to cross the trigger.
+ * Stops fire on adverse moves (sell below, buy above), take-profits on favourable ones.
+ * @returns {'below'|'above'}
+ */
+export function triggerDirection(order) {
+  const stop = order.kind !== 'take-profit';
+  const sell = order.side === 'sell';
+  return stop === sell ? 'below' : 'above';
+}
+
+/**
+ * Reference price an order watches (18-dec bigint), or null if unavailable.
+ * @param {{ lastPrice: bigint|null, bestBid: bigint|null, bestAsk: bigint|null }} prices
+ */
+export function referencePrice(order, { lastPrice = null, bestBid = null, bestAsk = null } = {}) {
+  if (order.trigger === 'book') return order.side === 'sell' ? bestBid : bestAsk;
+  return lastPrice;
+}
+
+/** True when an active order's trigger condition holds for the given prices. */
+export function shouldTrigger(order, prices) {
+  if (order.status !== 'active') return false;
+  const ref = referencePrice(order, prices);
+  if (ref === null || ref === undefined) return false;
+  const t = toPrice18(order.triggerPrice);
+  return triggerDirection(order) === 'below' ? ref <= t : ref >= t;
+}
+
+/**
+ * Conditional orders of one maker persisted in localStorage (or any Storage-like object).
+ * Every operation re-reads storage so tabs sharing the key see each other's writes,
+ * and `claim` gives a best-effort guard against two tabs firing the same order.
+ */
+export class ConditionalOrderStore {
+  constructor(key, storage = globalThis.localStorage) {
+    this.key = key;
+    this.storage = storage;
+    this._listeners = new Set();
+  }
+
+  /** @returns {ConditionalOrder[]} */
+  list() {
+    try {
+      const raw = this.storage?.getItem(this.key);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error("read conditional orders failed:", e);
+      return [];
+    }
+  }
+
+  get(id) {
+    return this.list().find(o => o.id === id) ?? null;
+  }
+
+  _write(list) {
+    this.storage?.setItem(this.key, JSON.stringify(list));
+    this.emit();
+  }
+
+  /** Notify subscribers, e.g. after another tab changed the key. */
+  emit() {
+    const list = this.list();
+    for (const fn of this._listeners) fn(list);
+  }
+
+  /** @param {(orders: ConditionalOrder[]) => void} fn  @returns {() => void} */
+  subscribe(fn) {
+    this._listeners.add(fn);
+    fn(this.list());
+    return () => this._listeners.delete(fn);
+  }
+
+  add(order) {
+    this._write([...this.list(), order]);
+    return order;
+  }
+
+  update(id, patch) {
+    this._write(this.list().map(o => (o.id === id ? { ...o, ...patch } : o)));
+  }
+
+  remove(id) {
+    this._write(this.list().filter(o => o.id !== id));
+  }
+
+  /** Move an order from active to triggering; false if it already left the active state. */
+  claim(id) {
+    const list = this.list();
+    const o = list.find(x => x.id === id);
+    if (!o || o.status !== 'active') return false;
+    o.status = 'triggering';
+    o.triggeredAt = Date.now();
+    this._write(list);
+    return true;
+  }
+}
@@ -9,7 +9,9 @@ export const CONTRACT_ADDRESSES = {
 export const NETWORK_CONFIG = {
   // Saga Rynn (giá trị bạn đang dùng). Đổi bằng .env nếu cần.
   CHAIN_ID: parseInt(import.meta.env.VITE_CHAIN_ID || "2747220808242000", 10),
-  NETWORK_NAME: import.meta.env.VITE_NETWORK_NAME || "Saga Rynn"
+  NETWORK_NAME: import.meta.env.VITE_NETWORK_NAME || "Saga Rynn",
+  // Block the contracts were deployed at; log scans start here instead of genesis
+  DEPLOY_BLOCK: parseInt(import.meta.env.VITE_DEPLOY_BLOCK || "0", 10)
 };
 
 // Hex chain id for wallet_switchEthereumChain
@@ -6,6 +6,7 @@ export const LIMIT_ORDER_TYPES = {
     { name: 'maker', type: 'address' },
     { name: 'baseToken', type: 'address' },
     { name: 'quoteToken', type: 'address' },
+    { name: 'clobPair', type: 'address' },
     { name: 'baseAmount', type: 'uint64' },
     { name: 'price', type: 'uint256' },
     { name: 'isSellBase', type: 'bool' },
@@ -38,6 +39,7 @@ export function parseTokenAmount(amountStr, decimals) {
 /** Build LimitOrder with raw baseAmount (already parsed) and 18-decimal price */
 export function createLimitOrder({
   maker, baseToken, quoteToken,
+  clobPair = ethers.ZeroAddress, // specific ClobPair (zero => Router auto-selects)
   baseAmountRaw,               // BigInt parsed with token decimals
   priceHuman,                  // string -> parseUnits(,18)
   isSellBase,
@@ -48,6 +50,7 @@ export function createLimitOrder({
     maker,
     baseToken,
     quoteToken,
+    clobPair,
     baseAmount: baseAmountRaw,
     price: ethers.parseUnits(priceHuman, 18),
     isSellBase,
@@ -56,19 +59,41 @@ export function createLimitOrder({
   };
 }
 
-export async function signLimitOrder(signer, order, domain) {
-  // ethers v6 expects stringified BigInt for typed data
-  const orderForSigning = {
+/** Typed-data view of an order (ethers v6 expects stringified BigInt) */
+function toTypedOrder(order) {
+  return {
     maker: order.maker,
     baseToken: order.baseToken,
     quoteToken: order.quoteToken,
+    clobPair: order.clobPair ?? ethers.ZeroAddress,
     baseAmount: order.baseAmount.toString(),
     price: order.price.toString(),
     isSellBase: order.isSellBase,
     expiry: order.expiry.toString(),
     nonce: order.nonce.toString()
   };
-  return await signer.signTypedData(domain, LIMIT_ORDER_TYPES, orderForSigning);
+}
+
+export async function signLimitOrder(signer, order, domain) {
+  return await signer.signTypedData(domain, LIMIT_ORDER_TYPES, toTypedOrder(order));
+}
+
+/** Off-chain equivalent of Router.hashOrder (EIP-712 digest of a LimitOrder) */
+export function hashLimitOrder(order, domain) {
+  return ethers.TypedDataEncoder.hash(domain, LIMIT_ORDER_TYPES, toTypedOrder(order));
+}
+
+/**
+ * Compare the local digest with router.hashOrder(order).
+ * Throws when they differ, i.e. LIMIT_ORDER_TYPES / domain drifted from Router.sol.
+ */
+export async function verifyOrderHash(router, order, domain) {
+  const local = hashLimitOrder(order, domain);
+  const onchain = await router.hashOrder(order);
+  if (local.toLowerCase() !== onchain.toLowerCase()) {
+    throw new Error(`EIP-712 schema drift: local hash ${local} != router.hashOrder ${onchain}`);
+  }
+  return local;
 }
 
 export async function signCancelOrder(signer, orderHash, nonce, domain) {
@@ -0,0 +1,289 @@
+// src/lib/executionScheduler.js
+import { ethers } from 'ethers';
+import { eventsMention } from './conditionalEngine.js';
+import { parseTokenAmount } from './eip712.js';
+
+/** Parent order kinds the execution scheduler runs */
+export const EXECUTION_KINDS = ['twap', 'iceberg'];
+
+/**
+ * @typedef {Object} ChildOrder
+ * @property {string} hash
+ * @property {string} amountRaw
+ * @property {string} filledRaw
+ * @property {'open'|'filled'|'cancelled'|'expired'} status
+ * @property {number} placedAt  ms
+ * @property {string|null} txHash
+ */
+
+/**
+ * @typedef {Object} ExecutionParent
+ * @property {string} id
+ * @property {'twap'|'iceberg'} kind
+ * @property {string} pair
+ * @property {string} maker
+ * @property {'buy'|'sell'} side
+ * @property {string} amount        total size, human base units
+ * @property {string} totalRaw      total size, raw base units
+ * @property {string} price         limit price of every child (18-dec human)
+ * @property {number} slices        twap: number of child orders
+ * @property {number} intervalSec   twap: time between children
+ * @property {number} slicesPlaced  twap
+ * @property {number} nextSliceAt   twap: ms timestamp the next child is due
+ * @property {string|null} clipRaw  iceberg: visible size of each child, raw base units
+ * @property {ChildOrder[]} children
+ * @property {'active'|'triggering'|'paused'|'done'|'failed'|'cancelled'} status
+ *   triggering = a tick is updating it; paused = no new children (open ones keep resting)
+ * @property {boolean} resync       re-read open children on the next tick (set on resume)
+ * @property {string|null} error
+ * @property {string|null} note
+ */
+
+/**
+ * Validate user input and build a new active parent order.
+ * @returns {ExecutionParent}
+ */
+export function createExecution({
+  pair, maker, kind, side, amount, price, baseDecimals,
+  slices = 5, intervalSec = 60, clipSize = null
+}) {
+  if (!pair || !maker) throw new Error("Pair and maker required");
+  if (!EXECUTION_KINDS.includes(kind)) throw new Error(`Unknown execution kind: ${kind}`);
+  if (side !== 'buy' && side !== 'sell') throw new Error("Side must be buy or sell");
+  if (!(Number(amount) > 0)) throw new Error("Enter a positive amount");
+  if (ethers.parseUnits(String(price), 18) <= 0n) throw new Error("Enter a positive limit price");
+  const totalRaw = parseTokenAmount(String(amount), baseDecimals);
+
+  let clipRaw = null;
+  if (kind === 'twap') {
+    if (!Number.isInteger(Number(slices)) || Number(slices) < 2) throw new Error("TWAP needs at least 2 slices");
+    if (!(Number(intervalSec) > 0)) throw new Error("Enter a positive interval");
+    if (totalRaw / BigInt(slices) === 0n) throw new Error("Amount too small for that many slices");
+  } else {
+    clipRaw = parseTokenAmount(String(clipSize ?? ''), baseDecimals);
+    if (clipRaw <= 0n) throw new Error("Enter a positive visible size");
+    if (clipRaw >= totalRaw) throw new Error("Visible size must be smaller than the total");
+  }
+
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind, pair, maker, side,
+    amount: String(amount),
+    totalRaw: totalRaw.toString(),
+    price: String(price),
+    slices: kind === 'twap' ? Number(slices) : 0,
+    intervalSec: kind === 'twap' ? Number(intervalSec) : 0,
+    slicesPlaced: 0,
+    nextSliceAt: Date.now(),
+    clipRaw: clipRaw?.toString() ?? null,
+    children: [],
+    status: 'active',
+    createdAt: Date.now(),
+    triggeredAt: null,
+    resync: false,
+    error: null,
+    note: null
+  };
+}
+
+const sumRaw = (children, field) => children.reduce((acc, c) => acc + BigInt(c[field]), 0n);
+
+/** Filled and still-resting totals of a parent, raw base units. */
+export function executionProgress(p) {
+  const total = BigInt(p.totalRaw);
+  const filled = sumRaw(p.children, 'filledRaw');
+  const resting = p.children
+    .filter(c => c.status === 'open')
+    .reduce((acc, c) => acc + BigInt(c.amountRaw) - BigInt(c.filledRaw), 0n);
+  return { total, filled, resting, pct: total > 0n ? Number((filled * 10000n) / total) / 100 : 0 };
+}
+
+const CHILD_STATUS = { FILLED: 'filled', CANCELLED: 'cancelled', EXPIRED: 'expired' };
+
+/**
+ * Run TWAP and iceberg parents on a ConditionalOrderEngine:
+ * - twap places `slices` equal limit orders, one every `intervalSec`;
+ * - iceberg keeps one child of `clipRaw` resting and places the next once it fills,
+ *   until the total has filled.
+ * Children are followed through the pair's logs and getOrderInfo. A failed
+ * placement pauses the parent instead of retrying every block.
+ * Time-based slicing needs the engine's heartbeat on chains that mine on demand.
+ */
+export function installExecutionScheduler(engine) {
+  const { client, store } = engine;
+
+  const placeChild = async (p, raw) => {
+    const { base, quote, baseDecimals } = await client.getPairMeta(p.pair);
+    const tx = await client.placeLimitOrder({
+      maker: p.maker, baseToken: base, quoteToken: quote,
+      baseAmountHuman: ethers.formatUnits(raw, baseDecimals), baseDecimals,
+      priceHuman: p.price,
+      isSellBase: p.side === 'sell',
+      pairAddress: p.pair,
+      autoFund: true,
+      usePermit: true
+    });
+    const r = client.parsePlacementReceipt(await tx.wait(), p.maker);
+    return {
+      hash: r.orderHash,
+      amountRaw: raw.toString(),
+      filledRaw: (r.rested ? r.filledBase : raw).toString(),
+      status: r.rested ? 'open' : 'filled',
+      placedAt: Date.now(),
+      txHash: tx.hash
+    };
+  };
+
+  const syncChildren = async (p, events, force) => {
+    const children = [];
+    for (const c of p.children) {
+      if (c.status !== 'open' || !(force || eventsMention(events, c.hash))) { children.push(c); continue; }
+      const info = await client.getOrderInfo(p.pair, c.hash);
+      children.push({ ...c, filledRaw: info.filledBase.toString(), status: CHILD_STATUS[info.status] ?? 'open' });
+    }
+    return children;
+  };
+
+  const nextChildSize = (p) => {
+    const { total, filled } = executionProgress(p);
+    if (p.kind === 'twap') {
+      if (p.slicesPlaced >= p.slices || Date.now() < p.nextSliceAt) return 0n;
+      const left = total - sumRaw(p.children, 'amountRaw');
+      const n = BigInt(p.slices - p.slicesPlaced);
+      return n === 1n ? left : left / n;
+    }
+    if (p.children.some(c => c.status === 'open') || filled >= total) return 0n;
+    const clip = BigInt(p.clipRaw);
+    return total - filled < clip ? total - filled : clip;
+  };
+
+  const isFinished = (p) => {
+    if (p.children.some(c => c.status === 'open')) return false;
+    if (p.kind === 'twap') return p.slicesPlaced >= p.slices;
+    return executionProgress(p).filled >= BigInt(p.totalRaw);
+  };
+
+  const step = async (p, events, firstSight) => {
+    const force = firstSight || p.resync;
+    const touched = force || p.children.some(c => c.status === 'open' && eventsMention(events, c.hash));
+    if (!touched && nextChildSize(p) === 0n) return;
+    if (!store.claim(p.id)) return;
+
+    // Everything after the claim is inside the try, so the parent never stays 'triggering'
+    let next = { ...p, resync: false };
+    const patch = {};
+    let synced = false;
+    try {
+      next = { ...next, children: await syncChildren(p, events, force) };
+      synced = true;
+      const size = nextChildSize(next);
+      if (size > 0n) {
+        const child = await placeChild(next, size);
+        next = { ...next, children: [...next.children, child] };
+        if (next.kind === 'twap') {
+          next.slicesPlaced += 1;
+          next.nextSliceAt = Date.now() + next.intervalSec * 1000;
+        }
+      }
+      patch.status = isFinished(next) ? 'done' : 'active';
+      patch.error = null;
+      if (patch.status === 'done' && executionProgress(next).filled < BigInt(next.totalRaw)) {
+        patch.note = "Finished with part of the size unfilled (children cancelled or expired)";
+      }
+    } catch (e) {
+      const reason = e?.shortMessage || e?.message || String(e);
+      if (synced) {
+        console.error(`execution ${p.id} child failed:`, e);
+        patch.status = 'paused';
+        patch.error = `Paused: ${reason}`;
+      } else {
+        // Reading the children failed (usually RPC): stay active and re-read them next tick
+        patch.status = 'active';
+        patch.resync = true;
+        patch.error = `Could not read child orders: ${reason}`;
+      }
+    }
+    store.update(p.id, {
+      children: next.children, slicesPlaced: next.slicesPlaced, nextSliceAt: next.nextSliceAt,
+      resync: false, ...patch
+    });
+  };
+
+  engine.registerWatcher(async ({ pair, events, firstSight }) => {
+    for (const p of store.list()) {
+      if (p.status !== 'active' || !EXECUTION_KINDS.includes(p.kind) || p.pair.toLowerCase() !== pair) continue;
+      await step(p, events, firstSight);
+    }
+  });
+}
+
+/** Stop placing new children; resting ones stay on the book. */
+export function pauseExecution(store, id) {
+  const p = store.get(id);
+  if (p?.status === 'active') store.update(id, { status: 'paused' });
+}
+
+/** Resume a paused parent; its open children are re-read on the next tick. */
+export function resumeExecution(store, id) {
+  const p = store.get(id);
+  if (p?.status !== 'paused') return;
+  store.update(id, { status: 'active', resync: true, error: null, nextSliceAt: Math.min(p.nextSliceAt, Date.now()) });
+}
+
+/** Whether a parent can be cancelled: still running, or stopped with children left resting. */
+export function canCancelExecution(p) {
+  if (p?.status === 'active' || p?.status === 'paused') return true;
+  return (p?.status === 'failed' || p?.status === 'cancelled') && p.children.some(c => c.status === 'open');
+}
+
+const errorText = (e) => e?.shortMessage || e?.reason || e?.message || String(e);
+
+/**
+ * Cancel a parent and every child still resting. Expired children go through the
+ * pair's release path (the Router only cancels active orders). Failures end up in
+ * the parent's `error` and the children are re-read either way.
+ */
+export async function cancelExecution(client, store, id) {
+  const p = store.get(id);
+  if (!canCancelExecution(p)) return;
+  store.update(id, { status: 'cancelled', error: null }); // first, so no tick places another child
+
+  const errors = [];
+  const live = [];
+  for (const c of p.children.filter(c => c.status === 'open')) {
+    try {
+      const [onBook] = await client.pair(p.pair).getOrderDetails(c.hash);
+      if (!onBook) continue; // filled, swept or cancelled since the last tick
+      const { status } = await client.getOrderInfo(p.pair, c.hash);
+      if (status === 'EXPIRED') await client.releaseExpiredOrder(p.pair, c.hash);
+      else live.push(c);
+    } catch (e) {
+      errors.push(errorText(e));
+    }
+  }
+  try {
+    if (live.length === 1) {
+      await client.cancelOrderByHash(live[0].hash);
+    } else if (live.length > 1) {
+      const { results } = await client.cancelOrdersBatch(p.maker, live.map(c => ({ pair: p.pair, hash: c.hash })));
+      errors.push(...results.filter(r => !r.ok).map(r => r.reason));
+    }
+  } catch (e) {
+    errors.push(errorText(e));
+  }
+
+  const children = [];
+  for (const c of p.children) {
+    if (c.status !== 'open') { children.push(c); continue; }
+    try {
+      const info = await client.getOrderInfo(p.pair, c.hash);
+      children.push({ ...c, filledRaw: info.filledBase.toString(), status: CHILD_STATUS[info.status] ?? 'open' });
+    } catch {
+      children.push(c);
+    }
+  }
+  store.update(id, {
+    children,
+    error: errors.length ? `Some child orders could not be cancelled: ${[...new Set(errors)].join('; ')}` : null
+  });
+}
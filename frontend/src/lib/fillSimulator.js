@@ -0,0 +1,107 @@
+// src/lib/fillSimulator.js
+import { averagePrice } from './marketOrder.js';
+
+const PRICE_SCALE = 10n ** 18n;
+
+/**
+ * @typedef {Object} SimulatedLevelFill
+ * @property {bigint} price
+ * @property {bigint} base
+ * @property {bigint} quote   sum of floor(base * price / 1e18) per maker order, as ClobPair settles
+ * @property {number} makers  maker orders hit at this level
+ */
+
+/**
+ * @typedef {Object} FillSimulation
+ * @property {SimulatedLevelFill[]} fills  best level first
+ * @property {bigint} filledBase
+ * @property {bigint} filledQuote      quote spent (buy) or received (sell)
+ * @property {bigint|null} avgPrice    18-dec, null when nothing fills
+ * @property {bigint|null} bestPrice   top of the opposing side before the order
+ * @property {number|null} impactBps   avgPrice vs bestPrice, always >= 0
+ * @property {bigint} remainingBase    base left after matching
+ * @property {boolean} rests           remainder would rest on the book at limitPrice
+ * @property {bigint|null} lockedQuote quote locked up front for a buy (ceil at limitPrice)
+ * @property {boolean} zeroQuoteFill   some maker fill rounds to 0 quote -> ClobPair reverts ZERO_QUOTE
+ * @property {boolean} levelOnly       some level hit had no maker queue and was treated as one maker,
+ *   so quote may be off by one raw unit per extra maker and ZERO_QUOTE is only checked per level
+ */
+
+/**
+ * Replay an order against a book snapshot the way ClobPair._matchOrder does:
+ * best price first, FIFO within a level, the taker's own orders skipped and
+ * quote rounded down per maker fill.
+ *
+ * Aggregated levels do not expose individual maker orders, so a level missing
+ * from `queues` is treated as a single maker; quote can then differ from the
+ * on-chain result by at most one raw unit per extra maker hit. A level whose
+ * queue is given replaces its total with the queue, so an empty queue skips it.
+ *
+ * @param {Object} p
+ * @param {import('./clobClient.js').BookLevel[]} p.levels  asks (low -> high) to buy, bids (high -> low) to sell
+ * @param {boolean} p.isBuy
+ * @param {bigint} p.baseAmount        raw base units
+ * @param {bigint|null} [p.limitPrice] 18-dec; null walks the whole side (nothing rests)
+ * @param {Map<bigint, bigint>} [p.ownQtyByPrice]   taker's own resting qty per price
+ * @param {Map<bigint, bigint[]>} [p.queues]        per-level maker remaining amounts in queue order (own excluded)
+ * @returns {FillSimulation}
+ */
+export function simulateFill({ levels, isBuy, baseAmount, limitPrice = null, ownQtyByPrice = new Map(), queues = new Map() }) {
+  const limit = limitPrice === null ? null : BigInt(limitPrice);
+  let remaining = BigInt(baseAmount);
+  let filledQuote = 0n;
+  let bestPrice = null;
+  let zeroQuoteFill = false;
+  let levelOnly = false;
+  const fills = [];
+
+  for (const l of levels) {
+    const queue = queues.get(l.price);
+    const qty = queue
+      ? queue.reduce((acc, q) => acc + q, 0n)
+      : (isBuy ? l.askQty : l.bidQty) - (ownQtyByPrice.get(l.price) ?? 0n);
+    if (qty <= 0n) continue;
+    if (bestPrice === null) bestPrice = l.price;
+    if (remaining === 0n) break;
+    if (limit !== null && (isBuy ? l.price > limit : l.price < limit)) break;
+
+    if (!queue) levelOnly = true;
+    const makers = queue ?? [qty];
+    const fill = { price: l.price, base: 0n, quote: 0n, makers: 0 };
+    for (const makerQty of makers) {
+      if (remaining === 0n) break;
+      const take = makerQty < remaining ? makerQty : remaining;
+      if (take <= 0n) continue;
+      const q = (take * l.price) / PRICE_SCALE;
+      if (q === 0n) zeroQuoteFill = true;
+      fill.base += take;
+      fill.quote += q;
+      fill.makers++;
+      remaining -= take;
+    }
+    filledQuote += fill.quote;
+    fills.push(fill);
+  }
+
+  const filledBase = BigInt(baseAmount) - remaining;
+  const avgPrice = averagePrice(filledBase, filledQuote);
+  let impactBps = null;
+  if (avgPrice !== null && bestPrice) {
+    const diff = isBuy ? avgPrice - bestPrice : bestPrice - avgPrice;
+    impactBps = Number(((diff > 0n ? diff : 0n) * 1000000n) / bestPrice) / 100;
+  }
+
+  return {
+    fills,
+    filledBase,
+    filledQuote,
+    avgPrice,
+    bestPrice,
+    impactBps,
+    remainingBase: remaining,
+    rests: limit !== null && remaining > 0n,
+    lockedQuote: isBuy && limit !== null ? (BigInt(baseAmount) * limit + PRICE_SCALE - 1n) / PRICE_SCALE : null,
+    zeroQuoteFill,
+    levelOnly
+  };
+}
@@ -0,0 +1,97 @@
+// src/lib/ladder.js
+import { MAX_TICK_INDEX, snapToTick } from './ticks.js';
+
+const PRICE_SCALE = 10n ** 18n;
+const WEIGHT_SCALE = 1000000;
+
+/** @typedef {'linear'|'geometric'|'custom'} LadderDistribution */
+
+/**
+ * @typedef {Object} LadderLeg
+ * @property {bigint} price       18-dec, tick-aligned
+ * @property {bigint} baseAmount  raw base units
+ */
+
+/**
+ * Relative leg sizes, first leg (startPrice) first.
+ * linear: sizes move in a straight line so that last / first == skew (1 = even split)
+ * geometric: each leg is `ratio` times the previous one
+ * custom: caller-provided weights, one per leg
+ * @returns {number[]}
+ */
+export function ladderWeights(legs, { distribution = 'linear', skew = 1, ratio = 1.5, weights = [] } = {}) {
+  if (distribution === 'custom') {
+    if (weights.length !== legs) throw new Error(`Custom distribution needs ${legs} weights, got ${weights.length}`);
+    return weights.map(Number);
+  }
+  if (distribution === 'geometric') {
+    return Array.from({ length: legs }, (_, i) => Math.pow(Number(ratio), i));
+  }
+  if (distribution === 'linear') {
+    const s = Number(skew);
+    return Array.from({ length: legs }, (_, i) => (legs === 1 ? 1 : 1 + ((s - 1) * i) / (legs - 1)));
+  }
+  throw new Error(`Unknown distribution: ${distribution}`);
+}
+
+/**
+ * Split `totalBase` across `legs` prices evenly spaced (in ticks) from startPrice to endPrice.
+ * Rounding dust goes to the last leg so the legs always sum to totalBase.
+ * @param {Object} p
+ * @param {bigint} p.startPrice  18-dec
+ * @param {bigint} p.endPrice    18-dec
+ * @param {number} p.legs
+ * @param {bigint} p.totalBase   raw base units
+ * @param {bigint} p.tickSize
+ * @param {LadderDistribution} [p.distribution]
+ * @returns {LadderLeg[]}
+ */
+export function buildLadder({ startPrice, endPrice, legs, totalBase, tickSize, ...dist }) {
+  const n = Number(legs);
+  if (!Number.isInteger(n) || n < 1) throw new Error("Legs must be a positive integer");
+  const t = BigInt(tickSize);
+  const start = snapToTick(BigInt(startPrice), t, 'nearest');
+  const end = snapToTick(BigInt(endPrice), t, 'nearest');
+  const maxPrice = t * MAX_TICK_INDEX;
+  for (const p of [start, end]) {
+    if (p < t || p > maxPrice) throw new Error(`Ladder price ${p} outside the pair's tick range`);
+  }
+
+  // Evenly spaced tick indices; duplicates mean the range is too narrow for N legs.
+  // Round the distance from i0, not the signed index, so descending ranges round the same way.
+  const i0 = start / t;
+  const i1 = end / t;
+  const span = i1 >= i0 ? i1 - i0 : i0 - i1;
+  const prices = Array.from({ length: n }, (_, k) => {
+    const step = n === 1 ? 0n : (span * BigInt(k) * 2n + BigInt(n - 1)) / (2n * BigInt(n - 1));
+    return (i1 >= i0 ? i0 + step : i0 - step) * t;
+  });
+  if (new Set(prices.map(String)).size !== n) {
+    throw new Error(`Price range spans fewer than ${n} ticks`);
+  }
+
+  const w = ladderWeights(n, dist);
+  if (w.some(x => !Number.isFinite(x) || x < 0) || !w.some(x => x > 0)) {
+    throw new Error("Weights must be non-negative with at least one above zero");
+  }
+  const sum = w.reduce((a, b) => a + b, 0);
+  const scaled = w.map(x => BigInt(Math.round((x / sum) * WEIGHT_SCALE)));
+  const scaledSum = scaled.reduce((a, b) => a + b, 0n);
+  const total = BigInt(totalBase);
+
+  let allocated = 0n;
+  const out = prices.map((price, k) => {
+    const baseAmount = k === n - 1 ? total - allocated : (total * scaled[k]) / scaledSum;
+    allocated += baseAmount;
+    return { price, baseAmount };
+  });
+  if (out.some(l => l.baseAmount <= 0n)) throw new Error("Total size too small for this many legs");
+  return out;
+}
+
+/** Vault funds a ladder locks: base for sells, ceil(base * price / 1e18) quote per buy leg (ClobPair rounding) */
+export function ladderFunding(legs, isSellBase) {
+  return legs.reduce((acc, l) => acc + (isSellBase
+    ? l.baseAmount
+    : (l.baseAmount * l.price + PRICE_SCALE - 1n) / PRICE_SCALE), 0n);
+}
@@ -0,0 +1,72 @@
+// src/lib/marketOrder.js
+import { MAX_TICK_INDEX, snapToTick } from './ticks.js';
+
+const PRICE_SCALE = 10n ** 18n;
+const BPS = 10000n;
+
+/**
+ * @typedef {Object} MarketOrderPlan
+ * @property {bigint} worstPrice     deepest level the walk needs to reach
+ * @property {bigint} limitPrice     worstPrice widened by the slippage tolerance, tick-aligned
+ * @property {bigint} expectedBase   base the book can fill (may be < requested)
+ * @property {bigint} expectedQuote  quote for expectedBase at level prices (floor per level)
+ * @property {number} levelsUsed
+ * @property {boolean} insufficient  book is thinner than the requested size
+ */
+
+/**
+ * Walk the opposing side of the book for a market order.
+ * @param {Object} p
+ * @param {import('./clobClient.js').BookLevel[]} p.levels  asks (low -> high) to buy, bids (high -> low) to sell
+ * @param {boolean} p.isBuy
+ * @param {bigint} p.baseAmount      raw base units wanted
+ * @param {bigint} p.tickSize
+ * @param {number} [p.slippageBps]   tolerance beyond the worst level, in bps
+ * @param {Map<bigint, bigint>} [p.ownQtyByPrice]  maker's own resting qty per price (ClobPair skips self-matches)
+ * @returns {MarketOrderPlan}
+ */
+export function planMarketOrder({ levels, isBuy, baseAmount, tickSize, slippageBps = 50, ownQtyByPrice = new Map() }) {
+  let remaining = BigInt(baseAmount);
+  let expectedQuote = 0n;
+  let worstPrice = null;
+  let levelsUsed = 0;
+
+  for (const l of levels) {
+    if (remaining === 0n) break;
+    const qty = (isBuy ? l.askQty : l.bidQty) - (ownQtyByPrice.get(l.price) ?? 0n);
+    if (qty <= 0n) continue;
+    const take = qty < remaining ? qty : remaining;
+    expectedQuote += (take * l.price) / PRICE_SCALE;
+    remaining -= take;
+    worstPrice = l.price;
+    levelsUsed++;
+  }
+  if (worstPrice === null) throw new Error("No opposing liquidity for a market order");
+
+  const slip = BigInt(Math.round(slippageBps));
+  const t = BigInt(tickSize);
+  let limitPrice = isBuy
+    ? snapToTick((worstPrice * (BPS + slip)) / BPS, t, 'down')
+    : snapToTick((worstPrice * (BPS - slip)) / BPS, t, 'up');
+  // Never tighter than the worst level, never outside the pair's tick range
+  if (isBuy && limitPrice < worstPrice) limitPrice = worstPrice;
+  if (!isBuy && limitPrice > worstPrice) limitPrice = worstPrice;
+  const maxPrice = t * MAX_TICK_INDEX;
+  if (limitPrice > maxPrice) limitPrice = maxPrice;
+  if (limitPrice < t) limitPrice = t;
+
+  return {
+    worstPrice,
+    limitPrice,
+    expectedBase: BigInt(baseAmount) - remaining,
+    expectedQuote,
+    levelsUsed,
+    insufficient: remaining > 0n
+  };
+}
+
+/** Volume-weighted average price (18-dec) of a fill set; null when nothing filled */
+export function averagePrice(filledBase, filledQuote) {
+  if (!filledBase) return null;
+  return (BigInt(filledQuote) * PRICE_SCALE) / BigInt(filledBase);
+}
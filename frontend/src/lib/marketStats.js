@@ -0,0 +1,79 @@
+// src/lib/marketStats.js
+import { compareTrades, toHumanPrice } from './trades.js';
+
+export const DAY_SEC = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} MarketStats
+ * @property {number|null} lastPrice
+ * @property {number|null} change24h     percent vs the last price 24h ago (or the first fill in the window)
+ * @property {number|null} high24h
+ * @property {number|null} low24h
+ * @property {number} volumeBase24h
+ * @property {number} volumeQuote24h
+ * @property {number} trades24h
+ * @property {number} makers24h          unique makers hit in the window
+ * @property {number} takers24h          unique takers in the window
+ * @property {number} openOrders
+ */
+
+/**
+ * Pure 24h summary from fills (any order) plus the current open order count.
+ * @param {import('./trades.js').Trade[]} trades
+ * @returns {MarketStats}
+ */
+export function computeMarketStats(trades, { openOrders = 0, nowSec = Math.floor(Date.now() / 1000) } = {}) {
+  const ordered = [...trades].filter(t => t.time > 0).sort(compareTrades);
+  const cutoffMs = (nowSec - DAY_SEC) * 1000;
+  const inWindow = ordered.filter(t => t.time >= cutoffMs);
+  const before = ordered.filter(t => t.time < cutoffMs);
+
+  const last = ordered[ordered.length - 1] ?? null;
+  const ref = before[before.length - 1] ?? inWindow[0] ?? null;
+  const lastPrice = last ? last.price : null;
+  const change24h = (ref && lastPrice !== null && ref.price > 0) ? ((lastPrice - ref.price) / ref.price) * 100 : null;
+
+  const stats = {
+    lastPrice,
+    change24h,
+    high24h: inWindow.length ? Math.max(...inWindow.map(t => t.price)) : null,
+    low24h: inWindow.length ? Math.min(...inWindow.map(t => t.price)) : null,
+    volumeBase24h: 0,
+    volumeQuote24h: 0,
+    trades24h: inWindow.length,
+    makers24h: new Set(inWindow.map(t => t.maker.toLowerCase())).size,
+    takers24h: new Set(inWindow.map(t => t.taker.toLowerCase())).size,
+    openOrders
+  };
+  for (const t of inWindow) {
+    stats.volumeBase24h += t.amount;
+    stats.volumeQuote24h += t.total;
+  }
+  return stats;
+}
+
+/**
+ * Net change in resting orders over a getPairEvents range. OrderPlaced fires only when
+ * an order rests; each resting order leaves through exactly one cancel, expiry or final fill.
+ */
+export function openOrderDelta({ placed = [], cancelled = [], expired = [], filled = [] }) {
+  const finalFills = filled.filter(ev => ev.args.isFinal).length;
+  return placed.length - cancelled.length - expired.length - finalFills;
+}
+
+/**
+ * Top-of-book summary from getBestBid/getBestAsk levels (18-dec raw prices).
+ * Spread is reported in ticks and in bps of the mid; all fields null on a one-sided book.
+ */
+export function computeSpread({ bestBid, bestAsk, tickSize }) {
+  if (!bestBid || !bestAsk) return { mid: null, spreadTicks: null, spreadBps: null };
+  const bid = BigInt(bestBid.price);
+  const ask = BigInt(bestAsk.price);
+  const spread = ask - bid;
+  const mid2 = bid + ask; // 2 * mid, keeps integer precision
+  return {
+    mid: toHumanPrice(mid2) / 2,
+    spreadTicks: tickSize ? Number(spread / BigInt(tickSize)) : null,
+    spreadBps: mid2 > 0n ? Number((spread * 20000n * 100n) / mid2) / 100 : null
+  };
+}
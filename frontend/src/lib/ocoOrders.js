@@ -0,0 +1,166 @@
+// src/lib/ocoOrders.js
+import { ethers } from 'ethers';
+import { createConditionalOrder } from './conditionalOrders.js';
+import { eventsMention as mentions } from './conditionalEngine.js';
+import { parseTokenAmount } from './eip712.js';
+
+/**
+ * @typedef {Object} BracketOrder
+ * @property {string} id
+ * @property {'bracket'} kind
+ * @property {string} pair
+ * @property {string} maker
+ * @property {'buy'|'sell'} side       entry side; both exit legs take the other side
+ * @property {string} amount           entry size, human base units
+ * @property {string} entryPrice
+ * @property {string} takeProfitPrice  resting limit placed once the entry fills
+ * @property {string} stopPrice        off-chain stop-loss trigger armed once the entry fills
+ * @property {'last'|'book'} stopTrigger
+ * @property {number} slippageBps
+ * @property {string} entryOrderHash
+ * @property {boolean} entryRested     false when the entry filled completely on arrival
+ * @property {string} entryFilledRaw   raw base filled on arrival
+ * @property {'active'|'triggering'|'done'|'failed'|'cancelled'} status  active = waiting for the entry
+ * @property {string|null} takeProfitHash
+ * @property {string|null} stopId
+ */
+
+const p18 = (s) => ethers.parseUnits(String(s), 18);
+
+/** Throw unless take-profit and stop sit on the right sides of the entry price. */
+export function validateBracket({ side, amount, entryPrice, takeProfitPrice, stopPrice }) {
+  if (!(Number(amount) > 0)) throw new Error("Enter a positive amount");
+  const [entry, tp, stop] = [entryPrice, takeProfitPrice, stopPrice].map(p18);
+  if (entry <= 0n || tp <= 0n || stop <= 0n) throw new Error("Prices must be positive");
+  if (side === 'buy' && !(tp > entry && stop < entry)) throw new Error("Buy bracket needs take-profit above and stop below the entry");
+  if (side === 'sell' && !(tp < entry && stop > entry)) throw new Error("Sell bracket needs take-profit below and stop above the entry");
+}
+
+/** @returns {BracketOrder} */
+export function createBracket({
+  pair, maker, side, amount, entryPrice, takeProfitPrice, stopPrice,
+  stopTrigger = 'last', slippageBps = 50,
+  entryOrderHash, entryRested = true, entryFilledRaw = 0n
+}) {
+  validateBracket({ side, amount, entryPrice, takeProfitPrice, stopPrice });
+  if (!entryOrderHash) throw new Error("Entry order hash required");
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind: 'bracket',
+    pair, maker, side,
+    amount: String(amount),
+    entryPrice: String(entryPrice),
+    takeProfitPrice: String(takeProfitPrice),
+    stopPrice: String(stopPrice),
+    stopTrigger,
+    slippageBps: Number(slippageBps) || 0,
+    entryOrderHash,
+    entryRested,
+    entryFilledRaw: entryFilledRaw.toString(),
+    status: 'active',
+    createdAt: Date.now(),
+    triggeredAt: null,
+    takeProfitHash: null,
+    stopId: null,
+    error: null,
+    note: null
+  };
+}
+
+/**
+ * Teach a ConditionalOrderEngine about one-cancels-other links and brackets:
+ * - a conditional order with `ocoOrderHash` is dropped once that resting order
+ *   fills, and cancels it (shrinking its own size by any partial fill) when it fires;
+ * - a bracket waits for its entry order to fill, then rests the take-profit limit
+ *   and arms a stop-loss linked to it.
+ * Fills are noticed through the pair's OrderFilled/OrderCancelled/OrderExpired logs
+ * and confirmed with getOrderInfo, so a reload re-derives state from the chain.
+ */
+export function installOcoLinks(engine) {
+  const { client, store } = engine;
+
+  const syncOcoLeg = async (r) => {
+    const info = await client.getOrderInfo(r.pair, r.ocoOrderHash);
+    if (info.status === 'FILLED') {
+      store.update(r.id, { status: 'cancelled', note: "OCO: linked order filled" });
+    } else if (info.status === 'CANCELLED' || info.status === 'EXPIRED') {
+      store.update(r.id, { ocoOrderHash: null, note: `Linked order ${info.status.toLowerCase()}; kept on its own` });
+    }
+  };
+
+  const attach = async (b, filledRaw) => {
+    if (!store.claim(b.id)) return;
+    const { base, quote, baseDecimals } = await client.getPairMeta(b.pair);
+    const exitSide = b.side === 'buy' ? 'sell' : 'buy';
+    const amount = ethers.formatUnits(filledRaw, baseDecimals);
+
+    let takeProfitHash = null;
+    let tpError = null;
+    try {
+      const tx = await client.placeLimitOrder({
+        maker: b.maker, baseToken: base, quoteToken: quote,
+        baseAmountHuman: amount, baseDecimals,
+        priceHuman: b.takeProfitPrice,
+        isSellBase: exitSide === 'sell',
+        pairAddress: b.pair
+      });
+      const placed = client.parsePlacementReceipt(await tx.wait(), b.maker);
+      if (!placed.rested) {
+        store.update(b.id, { status: 'done', note: "Take-profit filled on placement" });
+        return;
+      }
+      takeProfitHash = placed.orderHash;
+    } catch (e) {
+      tpError = e?.shortMessage || e?.message || String(e);
+    }
+
+    // Arm the stop even if the take-profit failed: the position still needs protecting
+    const stop = store.add(createConditionalOrder({
+      pair: b.pair, maker: b.maker,
+      kind: 'stop-loss', side: exitSide, amount,
+      triggerPrice: b.stopPrice, trigger: b.stopTrigger, slippageBps: b.slippageBps,
+      ocoOrderHash: takeProfitHash,
+      bracketId: b.id
+    }));
+    store.update(b.id, tpError
+      ? { status: 'failed', stopId: stop.id, error: `Take-profit not placed: ${tpError}; stop-loss armed` }
+      : { status: 'done', stopId: stop.id, takeProfitHash });
+  };
+
+  const syncBracket = async (b, events, firstSight) => {
+    if (!b.entryRested) return attach(b, BigInt(b.entryFilledRaw));
+    if (!firstSight && !mentions(events, b.entryOrderHash)) return;
+    const info = await client.getOrderInfo(b.pair, b.entryOrderHash);
+    if (info.status === 'FILLED') return attach(b, info.filledBase);
+    if (info.status === 'CANCELLED' || info.status === 'EXPIRED') {
+      if (info.filledBase > 0n) return attach(b, info.filledBase);
+      store.update(b.id, { status: 'cancelled', note: `Entry ${info.status.toLowerCase()} before any fill` });
+    }
+  };
+
+  engine.registerWatcher(async ({ pair, events, firstSight }) => {
+    for (const r of store.list()) {
+      if (r.status !== 'active' || r.pair.toLowerCase() !== pair) continue;
+      if (r.kind === 'bracket') await syncBracket(r, events, firstSight);
+      else if (r.ocoOrderHash && (firstSight || mentions(events, r.ocoOrderHash))) await syncOcoLeg(r);
+    }
+  });
+
+  // Cancel the resting sibling first: for a same-side exit it holds the funds the stop needs
+  engine.registerBeforeFire(async (o) => {
+    if (!o.ocoOrderHash) return o;
+    const [exists, , , remaining] = await client.pair(o.pair).getOrderDetails(o.ocoOrderHash);
+    if (!exists) {
+      const info = await client.getOrderInfo(o.pair, o.ocoOrderHash);
+      if (info.status === 'FILLED') throw new Error("OCO: linked order filled first");
+      return { ...o, ocoOrderHash: null };
+    }
+    const { baseDecimals } = await client.getPairMeta(o.pair);
+    const original = await client.getOrderStruct(o.pair, o.ocoOrderHash);
+    const filled = original ? original.baseAmount - BigInt(remaining) : 0n;
+    const left = parseTokenAmount(o.amount, baseDecimals) - filled;
+    if (left <= 0n) throw new Error("OCO: linked order already filled the full size");
+    await client.cancelOrderByHash(o.ocoOrderHash);
+    return { ...o, amount: ethers.formatUnits(left, baseDecimals) };
+  });
+}
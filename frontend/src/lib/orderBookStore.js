@@ -0,0 +1,197 @@
+// src/lib/orderBookStore.js
+import { MAX_TICK_INDEX } from './ticks.js';
+
+/**
+ * @typedef {Object} OrderBookState
+ * @property {import('./clobClient.js').BookLevel[]} bids  high -> low
+ * @property {import('./clobClient.js').BookLevel[]} asks  low -> high
+ * @property {bigint} tickSize
+ * @property {number|null} lastBlock   block the book is consistent with
+ * @property {boolean} syncing
+ * @property {Error|null} error
+ */
+
+/**
+ * Live order book for one ClobPair.
+ *
+ * Takes one full getSSTState snapshot, then on every block reads the pair's
+ * OrderPlaced/OrderCancelled/OrderFilled/OrderExpired logs for the new range and
+ * re-snapshots only the price windows those logs touched. A missed range larger
+ * than `maxGap` blocks, or a changed hash for the last applied block (reorg),
+ * triggers a full resync.
+ */
+export class OrderBookStore {
+  /**
+   * @param {import('./clobClient.js').ClobClient} client
+   * @param {string} pairAddress
+   * @param {{ maxGap?: number, mergeTicks?: bigint }} [opts]
+   *   mergeTicks: touched prices closer than this are fetched as one window
+   */
+  constructor(client, pairAddress, { maxGap = 500, mergeTicks = 16n } = {}) {
+    this.client = client;
+    this.pairAddress = pairAddress;
+    this.maxGap = maxGap;
+    this.mergeTicks = mergeTicks;
+
+    this.levels = new Map();   // price (bigint) -> { price, bidQty, askQty }
+    this.tickSize = 0n;
+    this.lastBlock = null;
+    this.lastBlockHash = null;
+    this.syncing = false;
+    this.error = null;
+
+    this._listeners = new Set();
+    this._queue = Promise.resolve();
+    this._stopped = true;
+    this._pendingHead = null;
+    // Coalesce bursts of block events into one delta job for the newest head
+    this._onBlock = (bn) => {
+      const queued = this._pendingHead !== null;
+      this._pendingHead = Math.max(this._pendingHead ?? 0, Number(bn));
+      if (queued) return;
+      this._enqueue(() => {
+        const head = this._pendingHead;
+        this._pendingHead = null;
+        return this._advance(head);
+      });
+    };
+  }
+
+  /** @returns {OrderBookState} */
+  getState() {
+    const all = [...this.levels.values()];
+    const bids = all.filter(l => l.bidQty > 0n).sort((a, b) => (a.price === b.price ? 0 : (a.price > b.price ? -1 : 1)));
+    const asks = all.filter(l => l.askQty > 0n).sort((a, b) => (a.price === b.price ? 0 : (a.price > b.price ? 1 : -1)));
+    return { bids, asks, tickSize: this.tickSize, lastBlock: this.lastBlock, syncing: this.syncing, error: this.error };
+  }
+
+  /** @param {(state: OrderBookState) => void} fn  @returns {() => void} */
+  subscribe(fn) {
+    this._listeners.add(fn);
+    fn(this.getState());
+    return () => this._listeners.delete(fn);
+  }
+
+  start() {
+    if (!this._stopped) return;
+    this._stopped = false;
+    this.client.provider.on('block', this._onBlock);
+    this.resync();
+  }
+
+  stop() {
+    this._stopped = true;
+    this.client.provider.off('block', this._onBlock);
+    this._listeners.clear();
+  }
+
+  /** Drop everything and take a fresh full snapshot. */
+  resync() {
+    return this._enqueue(() => this._snapshot());
+  }
+
+  // Serialize snapshot/delta work so blocks are applied in order
+  _enqueue(job) {
+    this._queue = this._queue.then(async () => {
+      if (this._stopped) return;
+      try {
+        await job();
+        this.error = null;
+      } catch (e) {
+        console.error("order book sync failed:", e);
+        this.error = e;
+      }
+      this._emit();
+    });
+    return this._queue;
+  }
+
+  _emit() {
+    if (this._stopped) return;
+    const state = this.getState();
+    for (const fn of this._listeners) fn(state);
+  }
+
+  async _snapshot() {
+    this.syncing = true;
+    this._emit();
+    try {
+      const head = await this.client.provider.getBlock('latest');
+      const depth = await this.client.getOrderBookDepth(this.pairAddress, { blockTag: head.number });
+      this.tickSize = depth.tickSize;
+      this.levels = new Map();
+      for (const l of [...depth.bids, ...depth.asks]) this.levels.set(l.price, l);
+      this.lastBlock = head.number;
+      this.lastBlockHash = head.hash;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async _advance(head) {
+    if (this.lastBlock === null) return this._snapshot();
+    if (head <= this.lastBlock) {
+      // Same or older height announced again: only act if our last block was replaced
+      if (await this._reorged()) return this._snapshot();
+      return;
+    }
+    if (head - this.lastBlock > this.maxGap) return this._snapshot();
+    if (await this._reorged()) return this._snapshot();
+
+    const events = await this.client.getPairEvents(this.pairAddress, { fromBlock: this.lastBlock + 1, toBlock: head });
+    const touched = await this._touchedPrices(events);
+    if (touched === null) return this._snapshot();
+    const headBlock = await this.client.provider.getBlock(head);
+    for (const [start, end] of this._windows(touched)) {
+      await this._refreshWindow(start, end, head);
+    }
+    this.lastBlock = head;
+    this.lastBlockHash = headBlock?.hash ?? null;
+  }
+
+  async _reorged() {
+    if (this.lastBlockHash === null) return false;
+    const b = await this.client.provider.getBlock(this.lastBlock);
+    return !b || b.hash !== this.lastBlockHash;
+  }
+
+  /** Sorted prices touched by a batch of logs, or null if some level can't be located. */
+  async _touchedPrices({ placed, cancelled, expired, filled }) {
+    const prices = new Set();
+    for (const ev of placed) prices.add(BigInt(ev.args.order.price));
+    for (const ev of filled) prices.add(BigInt(ev.args.price));
+    for (const ev of [...cancelled, ...expired]) {
+      const p = await this.client.getOrderPrice(this.pairAddress, ev.args.orderHash);
+      if (p === null) return null; // can't locate the level -> caller resyncs
+      prices.add(p);
+    }
+    return [...prices].sort((a, b) => (a === b ? 0 : (a > b ? 1 : -1)));
+  }
+
+  /** Group sorted prices into [start, end] windows, merging neighbours within mergeTicks. */
+  _windows(prices) {
+    const out = [];
+    const gap = this.tickSize * this.mergeTicks;
+    for (const p of prices) {
+      const last = out[out.length - 1];
+      if (last && p - last[1] <= gap) last[1] = p;
+      else out.push([p, p]);
+    }
+    return out;
+  }
+
+  async _refreshWindow(start, end, blockTag) {
+    const maxPrice = this.tickSize * MAX_TICK_INDEX;
+    const depth = await this.client.getOrderBookDepth(this.pairAddress, {
+      startPrice: start,
+      endPrice: end > maxPrice ? maxPrice : end,
+      filterZero: false,
+      blockTag
+    });
+    // Replace the whole window so levels that emptied out disappear
+    for (const p of [...this.levels.keys()]) {
+      if (p >= start && p <= end) this.levels.delete(p);
+    }
+    for (const l of [...depth.bids, ...depth.asks]) this.levels.set(l.price, l);
+  }
+}
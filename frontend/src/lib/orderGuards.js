@@ -0,0 +1,44 @@
+// src/lib/orderGuards.js
+import { isValidTickPrice } from './ticks.js';
+
+const BPS = 10000n;
+
+/** Limit prices reaching further than this through the opposing best get a warning */
+export const FAR_THROUGH_BPS = 200;
+
+/**
+ * Would a limit order at `price` take liquidity on arrival? ClobPair matches a bid
+ * against asks at or below its price, and an ask against bids at or above it.
+ * @param {Object} p
+ * @param {bigint} p.price
+ * @param {boolean} p.isBid
+ * @param {bigint|null} p.bestBid
+ * @param {bigint|null} p.bestAsk
+ * @param {bigint} p.tickSize
+ * @returns {{ crosses: boolean, opposing: bigint|null, repriced: bigint|null }}
+ *   repriced: one tick away from the opposing best on the maker side (null if not a valid tick)
+ */
+export function checkPostOnly({ price, isBid, bestBid, bestAsk, tickSize }) {
+  const opposing = isBid ? bestAsk : bestBid;
+  if (opposing === null || opposing === undefined) return { crosses: false, opposing: null, repriced: null };
+  const p = BigInt(price);
+  const o = BigInt(opposing);
+  const crosses = isBid ? p >= o : p <= o;
+  if (!crosses) return { crosses, opposing: o, repriced: null };
+  const t = BigInt(tickSize);
+  const r = isBid ? o - t : o + t;
+  return { crosses, opposing: o, repriced: isValidTickPrice(r, t) ? r : null };
+}
+
+/**
+ * How far a limit price reaches through the opposing best, in bps of that best
+ * (0 when it does not cross or the other side is empty).
+ */
+export function throughMarketBps({ price, isBid, bestBid, bestAsk }) {
+  const opposing = isBid ? bestAsk : bestBid;
+  if (opposing === null || opposing === undefined || BigInt(opposing) === 0n) return 0;
+  const p = BigInt(price);
+  const o = BigInt(opposing);
+  const diff = isBid ? p - o : o - p;
+  return diff > 0n ? Number((diff * BPS) / o) : 0;
+}
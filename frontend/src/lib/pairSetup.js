@@ -0,0 +1,73 @@
+// src/lib/pairSetup.js
+import { ethers } from 'ethers';
+import { MAX_TICK_INDEX } from './ticks.js';
+
+const BPS = 10000n;
+
+/** Warn when one tick is coarser than this at the bottom of the expected range */
+export const MAX_LOW_END_TICK_BPS = 100;
+
+/**
+ * ClobFactory orders a pair's tokens by address: the lower address becomes the
+ * pair's base, so prices are always quoted in the higher-address token.
+ * @returns {{ base: string, quote: string, flipped: boolean }}  flipped: tokenA ended up as quote
+ */
+export function canonicalPair(tokenA, tokenB) {
+  const flipped = BigInt(tokenA) > BigInt(tokenB);
+  return flipped ? { base: tokenB, quote: tokenA, flipped } : { base: tokenA, quote: tokenB, flipped };
+}
+
+/** Lowest and highest prices a tick size can represent (tick index 1..MAX_TICK_INDEX), 18-dec. */
+export function tickSizeRange(tickSize) {
+  const t = BigInt(tickSize);
+  return { minPrice: t, maxPrice: t * MAX_TICK_INDEX };
+}
+
+/** Smallest power-of-ten tick size whose range still reaches `maxPrice`. */
+export function suggestTickSize(maxPrice) {
+  const need = (BigInt(maxPrice) + MAX_TICK_INDEX - 1n) / MAX_TICK_INDEX;
+  let t = 1n;
+  while (t < need) t *= 10n;
+  return t;
+}
+
+/**
+ * Check a tick size against the prices the pair is expected to trade at.
+ * @param {bigint} tickSize          18-dec
+ * @param {{ minPrice?: bigint|null, maxPrice?: bigint|null }} [range]  expected prices, 18-dec
+ * @returns {{ errors: string[], warnings: string[], minPrice: bigint, maxPrice: bigint }}
+ *   minPrice/maxPrice: what the tick size can represent
+ */
+export function validateTickSize(tickSize, { minPrice = null, maxPrice = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const t = BigInt(tickSize ?? 0);
+  if (t <= 0n) return { errors: ["Tick size must be > 0"], warnings, minPrice: 0n, maxPrice: 0n };
+  const range = tickSizeRange(t);
+
+  if (minPrice !== null && maxPrice !== null && BigInt(minPrice) > BigInt(maxPrice)) {
+    errors.push("Minimum price is above the maximum price");
+  }
+  if (minPrice !== null && BigInt(minPrice) < range.minPrice) {
+    errors.push("Minimum price is below one tick (tick index 0 cannot be traded)");
+  } else if (minPrice !== null && BigInt(minPrice) > 0n && (t * BPS) / BigInt(minPrice) > BigInt(MAX_LOW_END_TICK_BPS)) {
+    warnings.push(`One tick is ${Number((t * BPS) / BigInt(minPrice)) / 100}% of the minimum price`);
+  }
+  if (maxPrice !== null && BigInt(maxPrice) > range.maxPrice) {
+    errors.push(`Maximum price needs a tick index above ${MAX_TICK_INDEX}; use a tick size of at least ${ethers.formatUnits(suggestTickSize(maxPrice), 18)}`);
+  }
+  return { errors, warnings, ...range };
+}
+
+/**
+ * Where a token's Vault support stands in the timelocked propose/execute flow.
+ * A pair's executor authorization goes through the same flow (`supported` = authorized).
+ * @param {{ supported: boolean, proposedAt: number|null, now: number }} p
+ *   proposedAt: unix seconds the pending proposal unlocks (null if none); now: unix seconds
+ * @returns {'done'|'propose'|'pending'|'execute'}
+ */
+export function tokenSupportStage({ supported, proposedAt, now }) {
+  if (supported) return 'done';
+  if (!proposedAt) return 'propose';
+  return now < proposedAt ? 'pending' : 'execute';
+}
@@ -0,0 +1,27 @@
+// src/lib/ticks.js
+
+export const MAX_TICK_INDEX = 32767n;
+
+/**
+ * Align an 18-dec price to the pair's tickSize.
+ * mode: 'down' (floor), 'up' (ceil) or 'nearest'.
+ */
+export function snapToTick(price, tickSize, mode = 'nearest') {
+  const p = BigInt(price);
+  const t = BigInt(tickSize);
+  if (t <= 0n) return p;
+  const rem = p % t;
+  if (rem === 0n) return p;
+  const down = p - rem;
+  if (mode === 'down') return down;
+  if (mode === 'up') return down + t;
+  return rem * 2n >= t ? down + t : down;
+}
+
+/** True when the price is a positive tick multiple inside ClobPair's index range */
+export function isValidTickPrice(price, tickSize) {
+  const p = BigInt(price);
+  const t = BigInt(tickSize);
+  if (t <= 0n || p <= 0n || p % t !== 0n) return false;
+  return p / t <= MAX_TICK_INDEX;
+}
@@ -0,0 +1,80 @@
+// src/lib/trades.js
+import { ethers } from 'ethers';
+
+/**
+ * @typedef {Object} Trade
+ * @property {string} id            `${txHash}-${logIndex}`, unique per fill
+ * @property {string} orderHash     resting (maker) order that was hit
+ * @property {string} maker
+ * @property {string} taker
+ * @property {'buy'|'sell'|null} side  taker side (null when the maker side is unknown)
+ * @property {bigint} priceRaw      18-dec on-chain price (quote raw per base raw)
+ * @property {bigint} baseRaw
+ * @property {bigint} quoteRaw
+ * @property {number} price         priceRaw as a number, the unit the order book and forms show
+ * @property {number} amount        human base amount
+ * @property {number} total         human quote amount
+ * @property {boolean} isFinal      maker order fully filled by this fill
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} txHash
+ * @property {number} time          block timestamp in ms
+ * @property {string} [takerOrderHash] taker order, when the Router reported it fully filled on arrival
+ */
+
+/**
+ * Display price of an 18-dec on-chain price. Every screen (book, forms, trades,
+ * candles, stats) shows prices in this one unit, with no base/quote decimals shift.
+ */
+export function toHumanPrice(price18) {
+  return Number(ethers.formatUnits(price18, 18));
+}
+
+/** Taker side is the opposite of the resting maker order's side */
+export function takerSideFromMaker(makerIsBid) {
+  if (makerIsBid === null || makerIsBid === undefined) return null;
+  return makerIsBid ? 'sell' : 'buy';
+}
+
+/**
+ * Turn a ClobPair OrderFilled log into a Trade.
+ * @param {ethers.EventLog} log
+ * @returns {Trade}
+ */
+export function normalizeFill(log, { baseDecimals = 18, quoteDecimals = 18, makerIsBid = null, timestamp = 0 } = {}) {
+  const { orderHash, maker, taker, fillBase, fillQuote, price, isFinal } = log.args;
+  const baseRaw = BigInt(fillBase);
+  const quoteRaw = BigInt(fillQuote);
+  const priceRaw = BigInt(price);
+  return {
+    id: `${log.transactionHash}-${log.index}`,
+    orderHash,
+    maker,
+    taker,
+    side: takerSideFromMaker(makerIsBid),
+    priceRaw,
+    baseRaw,
+    quoteRaw,
+    price: toHumanPrice(priceRaw),
+    amount: Number(ethers.formatUnits(baseRaw, baseDecimals)),
+    total: Number(ethers.formatUnits(quoteRaw, quoteDecimals)),
+    isFinal,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    time: timestamp * 1000
+  };
+}
+
+/** Chain order: block, then log index */
+export function compareTrades(a, b) {
+  return a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber - b.blockNumber;
+}
+
+/** Merge new trades into a newest-first list, dropping duplicates and capping the length */
+export function mergeTrades(prev, incoming, limit = 50) {
+  const seen = new Set(prev.map(t => t.id));
+  const fresh = incoming.filter(t => !seen.has(t.id));
+  if (!fresh.length) return prev;
+  return [...prev, ...fresh].sort((a, b) => compareTrades(b, a)).slice(0, limit);
+}
@@ -0,0 +1,60 @@
+// src/lib/vaultGovernance.js
+import { ethers } from 'ethers';
+
+/** Timelocked Vault admin actions (each has a propose* and execute* function) */
+export const VAULT_ACTION_KINDS = ['authorizeExecutor', 'addSupportedToken', 'removeSupportedToken', 'emergencyWithdraw'];
+
+/**
+ * @typedef {(
+ *   { kind: 'authorizeExecutor', executor: string, isAuthorized: boolean } |
+ *   { kind: 'addSupportedToken', token: string } |
+ *   { kind: 'removeSupportedToken', token: string } |
+ *   { kind: 'emergencyWithdraw', token: string, to: string, amount: bigint }
+ * )} VaultAction
+ */
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** Arguments of the action's propose/execute call (both take the same ones). */
+export function vaultActionArgs(a) {
+  switch (a.kind) {
+    case 'authorizeExecutor': return [a.executor, a.isAuthorized];
+    case 'addSupportedToken':
+    case 'removeSupportedToken': return [a.token];
+    case 'emergencyWithdraw': return [a.token, a.to, BigInt(a.amount)];
+    default: throw new Error(`Unknown vault action: ${a.kind}`);
+  }
+}
+
+/** Key Vault.pendingActions stores the unlock time under: keccak256(abi.encode(kind, ...args)). */
+export function vaultActionHash(a) {
+  const types = {
+    authorizeExecutor: ['string', 'address', 'bool'],
+    addSupportedToken: ['string', 'address'],
+    removeSupportedToken: ['string', 'address'],
+    emergencyWithdraw: ['string', 'address', 'address', 'uint256']
+  }[a.kind];
+  if (!types) throw new Error(`Unknown vault action: ${a.kind}`);
+  return ethers.keccak256(coder.encode(types, [a.kind, ...vaultActionArgs(a)]));
+}
+
+/** Vault function name for an action, e.g. ('propose', 'addSupportedToken') -> 'proposeAddSupportedToken'. */
+export function vaultActionMethod(prefix, kind) {
+  return prefix + kind[0].toUpperCase() + kind.slice(1);
+}
+
+/**
+ * Candidate actions from governance logs. Vault emits the same events on propose
+ * (executionTime in the future) and execute, and nothing when an emergency withdraw
+ * executes, so callers must confirm each candidate against pendingActions.
+ * @param {{ executor: ethers.EventLog[], token: ethers.EventLog[], emergency: ethers.EventLog[] }} logs
+ * @returns {Map<string, VaultAction & { proposedBlock: number, txHash: string }>}  actionHash -> latest log
+ */
+export function vaultActionsFromLogs({ executor, token, emergency }) {
+  const out = new Map();
+  const add = (action, log) => out.set(vaultActionHash(action), { ...action, proposedBlock: log.blockNumber, txHash: log.transactionHash });
+  for (const l of executor) add({ kind: 'authorizeExecutor', executor: l.args.executor, isAuthorized: l.args.authorized }, l);
+  for (const l of token) add({ kind: l.args.supported ? 'addSupportedToken' : 'removeSupportedToken', token: l.args.token }, l);
+  for (const l of emergency) add({ kind: 'emergencyWithdraw', token: l.args.token, to: l.args.to, amount: BigInt(l.args.amount) }, l);
+  return out;
+}